@@ -0,0 +1,91 @@
+import styles from "../styles/AnalysisPanel.module.css";
+import { fitGrowth, growthRatio } from "../utils/growth";
+
+const STOP_LABELS = { step: "step limit", timeout: "time limit", payload: "size limit", memory: "memory limit", cancelled: "cancelled" };
+
+/**
+ * What an analysed run did as a whole: total steps, how much of the code ran,
+ * calls per function with their recursion depth, and the growth table of
+ * steps against input size when the run measured one. Per-line counts are
+ * drawn in the editor's gutter (see CodeEditor).
+ */
+const AnalysisPanel = ({ analysis }) => {
+  const counts = Object.values(analysis.lines || {});
+  const ran = counts.filter((count) => count > 0).length;
+  const functions = analysis.functions || [];
+  const growth = analysis.growth || [];
+  const fit = fitGrowth(growth);
+
+  return (
+    <div className={styles.analysisPanel}>
+      {"steps" in analysis && (
+        <div className={styles.summary}>
+          <span><strong>{analysis.steps.toLocaleString()}</strong> steps</span>
+          <span>
+            <strong>{ran}</strong>/{counts.length} lines ran
+          </span>
+          <span>deepest call stack <strong>{analysis.maxDepth}</strong></span>
+        </div>
+      )}
+
+      {functions.length > 0 && (
+        <table className={styles.table}>
+          <thead>
+            <tr>
+              <th>Function</th>
+              <th>Calls</th>
+              <th title="Most calls of the function open at once">Max recursion depth</th>
+            </tr>
+          </thead>
+          <tbody>
+            {functions.map((fn) => (
+              <tr key={fn.name}>
+                <td><code>{fn.name}</code></td>
+                <td>{fn.calls.toLocaleString()}</td>
+                <td className={fn.maxDepth > 1 ? styles.recursive : undefined}>{fn.maxDepth}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {growth.length > 0 && (
+        <>
+          <table className={styles.table}>
+            <thead>
+              <tr>
+                <th>n</th>
+                <th>Steps</th>
+                <th title="Growth in steps since the previous size">×</th>
+              </tr>
+            </thead>
+            <tbody>
+              {growth.map((row, index) => {
+                const ratio = growthRatio(growth, index);
+                return (
+                  <tr key={index}>
+                    <td>{row.n.toLocaleString()}</td>
+                    <td>
+                      {row.stopped ? "≥ " : ""}
+                      {row.steps?.toLocaleString() ?? "–"}
+                      {row.stopped && <span className={styles.note}> ({STOP_LABELS[row.stopped] || row.stopped})</span>}
+                      {row.error && <span className={styles.error}> {row.error}</span>}
+                    </td>
+                    <td>{ratio === null ? "" : `×${ratio.toFixed(1)}`}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <div className={styles.fit}>
+            {fit
+              ? <>Closest fit: <strong>{fit}</strong> <span className={styles.note}>(rough, from steps = a + b·f(n))</span></>
+              : <span className={styles.note}>Three or more sizes that finish are needed to estimate the growth.</span>}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AnalysisPanel;
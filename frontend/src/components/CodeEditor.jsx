@@ -1,55 +1,363 @@
 import { useState, useEffect, useRef } from "react";
 import { Editor } from "@monaco-editor/react";
 import styles from "../styles/CodeEditor.module.css";
+import ExamplesMenu from "./ExamplesMenu";
+import InputPanel from "./InputPanel";
+import { toInputDraft, parseInputDraft } from "../utils/programInput";
+import { EXAMPLES, LANGUAGES } from "../data/examples";
 
-const CodeEditor = ({ onRun, highlightLine }) => {
+// "8, 16, 32" -> [8, 16, 32]; sizes must be whole numbers
+function parseGrowthSizes(text) {
+  const sizes = text.split(/[\s,]+/).filter(Boolean).map(Number);
+  if (sizes.some((n) => !Number.isInteger(n) || n < 0)) {
+    throw new Error("Growth sizes must be whole numbers, e.g. 8, 16, 32, 64");
+  }
+  return sizes;
+}
+
+// Shade 1-4 of a line's count, on a log scale so a hot loop doesn't wash out the rest
+const heatLevel = (count, max) => Math.max(1, Math.ceil((4 * Math.log(count + 1)) / Math.log(max + 1)));
+
+/**
+ * Monaco editor with the step highlight and line breakpoints. The step's line
+ * is highlighted, and within it `highlightRange` (a Monaco range as an array)
+ * with `valueHint` written after it, e.g. the value an expression gave. Clicking the
+ * glyph margin toggles a breakpoint; `breakpoints` is owned by the parent and
+ * updated through `setBreakpoints` so the Visualizer can stop at them.
+ * `initialCode` and `initialOptions` seed the editor, e.g. from a saved session.
+ * The language selector picks the tracer, Monaco's language and the examples;
+ * the input panel holds stdin, named inputs and test cases. With "Analyze" on,
+ * runs report statistics, optionally at several sizes of the named input `n`;
+ * `lineCounts` (line -> runs, from the analysis) colours the gutter and
+ * dims the lines that never ran.
+ */
+const CodeEditor = ({
+  initialCode = "",
+  initialOptions = {},
+  onRun,
+  onRunToCursor,
+  highlightLine,
+  highlightKind = "step",
+  highlightRange = null,
+  valueHint = null,
+  breakpoints = [],
+  setBreakpoints,
+  lineCounts = null,
+}) => {
   // Local state to manage the code inside the editor
-  const [code, setCode] = useState();
+  const [code, setCode] = useState(initialCode);
+  // Opt-in because every array read and comparison becomes a traced event
+  const [traceReads, setTraceReads] = useState(Boolean(initialOptions.traceReads));
+  // Likewise for every value computed inside a statement
+  const [traceExpressions, setTraceExpressions] = useState(Boolean(initialOptions.traceExpressions));
+  const [language, setLanguage] = useState(initialOptions.language || "javascript");
+  const [inputDraft, setInputDraft] = useState(() => toInputDraft(initialOptions));
+  const [inputError, setInputError] = useState(null);
+  const [showInput, setShowInput] = useState(
+    Boolean(initialOptions.stdin || initialOptions.inputs || initialOptions.tests)
+  );
+  const [analyze, setAnalyze] = useState(Boolean(initialOptions.analyze));
+  const [growthDraft, setGrowthDraft] = useState(initialOptions.growth?.sizes?.join(", ") || "");
+  const [growthError, setGrowthError] = useState(null);
+  // Suggested inputs of the example last loaded
+  const [exampleHint, setExampleHint] = useState(null);
   const editorRef = useRef(null);
+  // Monaco mounts asynchronously; the decorations below are applied again
+  // once it has, since their props may have arrived first
+  const [editorReady, setEditorReady] = useState(false);
   const decorationsRef = useRef([]);
+  const breakpointDecorationsRef = useRef([]);
+  const heatDecorationsRef = useRef([]);
 
   // This effect handles highlighting the current line of execution
   useEffect(() => {
     const { editor, monaco } = editorRef.current || {};
     if (editor && monaco && highlightLine !== null) {
-      // Use deltaDecorations to add, change, or remove decorations efficiently
-      decorationsRef.current = editor.deltaDecorations(
-        decorationsRef.current, // Old decorations to remove
-        [
-          // New decorations to add
-          {
-            range: new monaco.Range(highlightLine, 1, highlightLine, 1),
-            options: {
-              isWholeLine: true,
-              className: "lineHighlight", // CSS class for styling
-            },
+      const decorations = [
+        {
+          range: new monaco.Range(highlightLine, 1, highlightLine, 1),
+          options: {
+            isWholeLine: true,
+            // CSS class for styling; error steps get a red highlight
+            className: highlightKind === "error" ? "errorLineHighlight" : "lineHighlight",
           },
-        ]
-      );
+        },
+      ];
+      // The part of the line the step is about, and what it evaluated to
+      if (highlightRange) {
+        const [startLine, startColumn, endLine, endColumn] = highlightRange;
+        decorations.push({
+          range: new monaco.Range(startLine, startColumn, endLine, endColumn),
+          options: { inlineClassName: "rangeHighlight" },
+        });
+        if (valueHint) {
+          decorations.push({
+            range: new monaco.Range(endLine, endColumn, endLine, endColumn),
+            options: { after: { content: ` ${valueHint}`, inlineClassName: "inlineValueHint" } },
+          });
+        }
+      }
+      // Use deltaDecorations to add, change, or remove decorations efficiently
+      decorationsRef.current = editor.deltaDecorations(decorationsRef.current, decorations);
       // Optionally reveal the line if it's not in view
       editor.revealLineInCenter(highlightLine);
     } else if (editor) {
       // Clear decorations if there is no line to highlight
       decorationsRef.current = editor.deltaDecorations(decorationsRef.current, []);
     }
-  }, [highlightLine]);
+  }, [editorReady, highlightLine, highlightKind, highlightRange, valueHint]);
+
+  // Breakpoint dots in the glyph margin; conditional ones are drawn hollow
+  useEffect(() => {
+    const { editor, monaco } = editorRef.current || {};
+    if (!editor || !monaco) return;
+    breakpointDecorationsRef.current = editor.deltaDecorations(
+      breakpointDecorationsRef.current,
+      breakpoints.map(({ line, condition }) => ({
+        range: new monaco.Range(line, 1, line, 1),
+        options: {
+          glyphMarginClassName: condition ? "conditionalBreakpointGlyph" : "breakpointGlyph",
+          glyphMarginHoverMessage: { value: condition ? `Breakpoint if \`${condition}\`` : "Breakpoint" },
+        },
+      }))
+    );
+  }, [editorReady, breakpoints]);
+
+  // Line counts of an analysed run: a heat bar beside the line numbers, and
+  // the code on lines that never ran faded out
+  useEffect(() => {
+    const { editor, monaco } = editorRef.current || {};
+    if (!editor || !monaco) return;
+    const model = editor.getModel();
+    const counts = Object.entries(lineCounts || {})
+      .map(([line, count]) => [Number(line), count])
+      .filter(([line]) => line <= model.getLineCount());
+    const max = Math.max(1, ...counts.map(([, count]) => count));
+    heatDecorationsRef.current = editor.deltaDecorations(
+      heatDecorationsRef.current,
+      counts.map(([line, count]) => ({
+        range: new monaco.Range(line, 1, line, model.getLineMaxColumn(line)),
+        options:
+          count === 0
+            ? { inlineClassName: "unexecutedLine", hoverMessage: { value: "Never ran" } }
+            : {
+                isWholeLine: true,
+                linesDecorationsClassName: `lineHeat lineHeat${heatLevel(count, max)}`,
+                hoverMessage: { value: `Ran ${count.toLocaleString()} ${count === 1 ? "time" : "times"}` },
+              },
+      }))
+    );
+  }, [editorReady, lineCounts]);
+
+  const toggleBreakpoint = (line) => {
+    setBreakpoints((current) =>
+      current.some((breakpoint) => breakpoint.line === line)
+        ? current.filter((breakpoint) => breakpoint.line !== line)
+        : [...current, { line, condition: "" }].sort((a, b) => a.line - b.line)
+    );
+  };
+
+  const setCondition = (line, condition) => {
+    setBreakpoints((current) =>
+      current.map((breakpoint) => (breakpoint.line === line ? { ...breakpoint, condition } : breakpoint))
+    );
+  };
 
   const handleEditorDidMount = (editor, monaco) => {
     editorRef.current = { editor, monaco };
+    setEditorReady(true);
+    editor.onMouseDown((e) => {
+      if (e.target.type === monaco.editor.MouseTargetType.GUTTER_GLYPH_MARGIN && e.target.position) {
+        toggleBreakpoint(e.target.position.lineNumber);
+      }
+    });
+  };
+
+  const { traceReads: canTraceReads, traceExpressions: canTraceExpressions } =
+    LANGUAGES.find(({ id }) => id === language) || {};
+
+  // What the tracer is asked for, leaving out options the language lacks.
+  // Null, with the panel showing why, when the input doesn't parse.
+  const buildRunOptions = (draft = inputDraft) => {
+    let input;
+    try {
+      input = parseInputDraft(draft);
+      setInputError(null);
+    } catch (err) {
+      setInputError(err.message);
+      setShowInput(true);
+      return null;
+    }
+    const options = {
+      language,
+      ...(canTraceReads ? { traceReads } : {}),
+      ...(canTraceExpressions ? { traceExpressions } : {}),
+      ...input,
+    };
+    if (!analyze) return options;
+
+    // Test cases bring their own inputs, so they don't get a growth table
+    try {
+      const sizes = parseGrowthSizes(growthDraft);
+      setGrowthError(null);
+      return { ...options, analyze: true, ...(sizes.length > 0 && !input.tests ? { growth: { sizes } } : {}) };
+    } catch (err) {
+      setGrowthError(err.message);
+      return null;
+    }
+  };
+
+  const run = (source, draft) => {
+    const options = buildRunOptions(draft);
+    if (options) onRun(source, options);
+  };
+
+  // An example's input replaces the draft, test cases included, since they
+  // were written for other code. Returns the new draft.
+  const fillExampleInput = (example) => {
+    const draft = toInputDraft({ stdin: example.stdin, inputs: example.inputs });
+    setInputDraft(draft);
+    setInputError(null);
+    if (example.stdin || example.inputs) setShowInput(true);
+    return draft;
+  };
+
+  // Loads an example into the editor, tracing it right away if asked to
+  const loadExample = (example, runNow) => {
+    setCode(example.code);
+    const draft = fillExampleInput(example);
+    setExampleHint(example.hint);
+    if (runNow) run(example.code, draft);
+  };
+
+  // Switching language swaps in its first example, unless the editor holds
+  // code of the user's own
+  const changeLanguage = (next) => {
+    setLanguage(next);
+    if (!code.trim() || EXAMPLES.some((example) => example.code === code)) {
+      const example = EXAMPLES.find((candidate) => candidate.language === next);
+      setCode(example.code);
+      fillExampleInput(example);
+      setExampleHint(null);
+    }
+  };
+
+  const runToCursor = () => {
+    const position = editorRef.current?.editor.getPosition();
+    const options = position && buildRunOptions();
+    if (options) onRunToCursor(code, options, position.lineNumber);
   };
 
   return (
     <div className={styles.editorContainer}>
       <div className={styles.editorHeader}>
-        <h2 className={styles.editorTitle}>Code Editor</h2>
-        <button className={styles.runButton} onClick={() => onRun(code)}>
-          ▶️ Run Code
-        </button>
+        <div className={styles.editorActions}>
+          <h2 className={styles.editorTitle}>Code Editor</h2>
+          <select
+            className={styles.languageSelect}
+            value={language}
+            onChange={(e) => changeLanguage(e.target.value)}
+            title="Language"
+          >
+            {LANGUAGES.map(({ id, label }) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+          <ExamplesMenu language={language} onPick={loadExample} />
+        </div>
+        <div className={styles.editorActions}>
+          {canTraceReads && (
+            <label className={styles.traceOption}>
+              <input type="checkbox" checked={traceReads} onChange={(e) => setTraceReads(e.target.checked)} />
+              Trace reads &amp; comparisons
+            </label>
+          )}
+          {canTraceExpressions && (
+            <label className={styles.traceOption} title="Step through the value of every call and operation in a line">
+              <input
+                type="checkbox"
+                checked={traceExpressions}
+                onChange={(e) => setTraceExpressions(e.target.checked)}
+              />
+              Trace expressions
+            </label>
+          )}
+          <label className={styles.traceOption} title="Line counts, calls per function and recursion depth">
+            <input type="checkbox" checked={analyze} onChange={(e) => setAnalyze(e.target.checked)} />
+            Analyze
+          </label>
+          <button
+            className={showInput ? `${styles.cursorButton} ${styles.toggleActive}` : styles.cursorButton}
+            onClick={() => setShowInput((shown) => !shown)}
+            aria-expanded={showInput}
+            title="Stdin, named inputs and test cases"
+          >
+            ⌨ Input{inputDraft.tests.length > 0 ? ` (${inputDraft.tests.length} tests)` : ""}
+          </button>
+          <button className={styles.cursorButton} onClick={runToCursor} title="Run and stop at the line with the cursor">
+            ⤵ Run to Cursor
+          </button>
+          <button className={styles.runButton} onClick={() => run(code)}>
+            ▶️ Run Code
+          </button>
+        </div>
       </div>
+      {showInput && (
+        <InputPanel
+          draft={inputDraft}
+          onChange={(draft) => {
+            setInputDraft(draft);
+            setInputError(null);
+          }}
+          error={inputError}
+        />
+      )}
+      {analyze && (
+        <div className={styles.growthRow}>
+          <label className={styles.growthField}>
+            Growth table: run with <code>n</code> =
+            <input
+              className={styles.breakpointCondition}
+              value={growthDraft}
+              placeholder="8, 16, 32, 64"
+              onChange={(e) => {
+                setGrowthDraft(e.target.value);
+                setGrowthError(null);
+              }}
+            />
+          </label>
+          {growthError && <span className={styles.growthError}>{growthError}</span>}
+        </div>
+      )}
+      {exampleHint && (
+        <div className={styles.exampleHint}>
+          <span>💡 {exampleHint}</span>
+          <button className={styles.breakpointRemove} onClick={() => setExampleHint(null)} title="Dismiss">×</button>
+        </div>
+      )}
+      {breakpoints.length > 0 && (
+        <div className={styles.breakpointList}>
+          {breakpoints.map(({ line, condition }) => (
+            <div key={line} className={styles.breakpointItem}>
+              <span className={styles.breakpointDot} />
+              <span className={styles.breakpointLine}>line {line}</span>
+              <input
+                className={styles.breakpointCondition}
+                value={condition}
+                placeholder="condition, e.g. i === 3"
+                onChange={(e) => setCondition(line, e.target.value)}
+              />
+              <button className={styles.breakpointRemove} onClick={() => toggleBreakpoint(line)} title="Remove breakpoint">
+                ×
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
       <div className={styles.editorWrapper}>
         <Editor
           height="100%"
-          language="javascript"
+          language={language}
           theme="vs-dark"
           value={code}
           onChange={(value) => setCode(value || "")}
@@ -60,6 +368,7 @@ const CodeEditor = ({ onRun, highlightLine }) => {
             scrollBeyondLastLine: false,
             automaticLayout: true,
             wordWrap: "off",
+            glyphMargin: true,
           }}
         />
       </div>
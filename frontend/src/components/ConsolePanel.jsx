@@ -0,0 +1,55 @@
+import styles from "../styles/Visualizer.module.css";
+
+// Console methods by how their lines are colored; stderr output without a
+// level (e.g. from Python) reads as an error
+const LEVEL_CLASSES = {
+  log: styles.consoleLog,
+  info: styles.consoleInfo,
+  debug: styles.consoleDebug,
+  warn: styles.consoleWarn,
+  error: styles.consoleError,
+  trace: styles.consoleError,
+};
+
+const ConsoleTable = ({ table }) => (
+  <table className={styles.consoleTable}>
+    <thead>
+      <tr>
+        {table.columns.map((column) => (
+          <th key={column}>{column}</th>
+        ))}
+      </tr>
+    </thead>
+    <tbody>
+      {table.rows.map((row, index) => (
+        <tr key={index}>
+          {row.map((cell, i) => (
+            <td key={i}>{cell}</td>
+          ))}
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+/**
+ * Everything the program printed up to the current step, one entry per
+ * console call, colored by level. console.table output is drawn as a table.
+ */
+const ConsolePanel = ({ entries }) => (
+  <div className={styles.stdoutContainer}>
+    <h3 className={styles.variableName}>Console Output</h3>
+    <div className={styles.stdoutContent}>
+      {entries.map((entry, index) => {
+        const level = entry.level || (entry.action.startsWith("stderr") ? "error" : "log");
+        return (
+          <div key={index} className={`${styles.consoleEntry} ${LEVEL_CLASSES[level] || styles.consoleLog}`}>
+            {entry.table ? <ConsoleTable table={entry.table} /> : entry.output}
+          </div>
+        );
+      })}
+    </div>
+  </div>
+);
+
+export default ConsolePanel;
@@ -0,0 +1,65 @@
+import { useState } from "react";
+import styles from "../styles/ExamplesMenu.module.css";
+import { EXAMPLES, EXAMPLE_CATEGORIES } from "../data/examples";
+
+/**
+ * Dropdown of the example programs in `language`, grouped by category and
+ * filterable by text. `onPick(example, runNow)` loads the chosen example.
+ */
+const ExamplesMenu = ({ language, onPick }) => {
+  const [open, setOpen] = useState(false);
+  const [query, setQuery] = useState("");
+  const [runNow, setRunNow] = useState(true);
+
+  const needle = query.trim().toLowerCase();
+  const matches = (example) =>
+    !needle || [example.title, example.description, example.category].some((text) => text.toLowerCase().includes(needle));
+
+  const pick = (example) => {
+    setOpen(false);
+    onPick(example, runNow);
+  };
+
+  return (
+    <div className={styles.examplesMenu}>
+      <button className={styles.examplesButton} onClick={() => setOpen((o) => !o)} aria-expanded={open}>
+        📚 Examples
+      </button>
+      {open && (
+        <div className={styles.examplesPanel}>
+          <div className={styles.examplesToolbar}>
+            <input
+              className={styles.examplesSearch}
+              value={query}
+              placeholder="Search examples"
+              onChange={(e) => setQuery(e.target.value)}
+              autoFocus
+            />
+            <label className={styles.examplesRunNow}>
+              <input type="checkbox" checked={runNow} onChange={(e) => setRunNow(e.target.checked)} />
+              Run after loading
+            </label>
+          </div>
+          {EXAMPLE_CATEGORIES.map((category) => {
+            const examples = EXAMPLES.filter((example) => example.language === language && example.category === category && matches(example));
+            if (examples.length === 0) return null;
+            return (
+              <div key={category} className={styles.examplesCategory}>
+                <h4 className={styles.examplesCategoryTitle}>{category}</h4>
+                {examples.map((example) => (
+                  <button key={example.id} className={styles.exampleItem} onClick={() => pick(example)}>
+                    <span className={styles.exampleTitle}>{example.title}</span>
+                    <span className={styles.exampleDescription}>{example.description}</span>
+                    <span className={styles.exampleHint}>{example.hint}</span>
+                  </button>
+                ))}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExamplesMenu;
@@ -0,0 +1,296 @@
+import { useLayoutEffect, useRef, useState } from "react";
+import styles from "../styles/Visualizer.module.css";
+import { isRef, formatPrimitive, describeHeapObject, heapLayoutOrder } from "../utils/heap";
+
+// Python-Tutor style view of a step: stack frames on the left, heap objects on
+// the right, and an arrow from every pointer to the object it refers to. Two
+// variables aliasing one array point at the same box.
+
+// A variable or slot: primitives inline, objects as a pointer dot
+const ValueSlot = ({ value }) => {
+  if (isRef(value)) {
+    return <span className={styles.pointer} data-pointer={value.ref} title={`object #${value.ref}`} />;
+  }
+  return <span className={styles.stackLocalValue}>{formatPrimitive(value)}</span>;
+};
+
+const TOUCH_CLASSES = { compared: styles.heapCellCompared, read: styles.heapCellRead };
+
+/**
+ * Which array cells a step read or compared, as { heapId: { index: kind } }.
+ * A cell that was compared is not also marked as merely read.
+ */
+function touchedCells(reads = [], comparisons = []) {
+  const touched = {};
+  const mark = ({ heapId, index }, kind) => {
+    touched[heapId] = touched[heapId] || {};
+    if (touched[heapId][index] !== "compared") touched[heapId][index] = kind;
+  };
+  comparisons.forEach((comparison) => comparison.cells.forEach((cell) => mark(cell, "compared")));
+  reads.forEach((cell) => mark(cell, "read"));
+  return touched;
+}
+
+const changed = (prev, next) => prev !== undefined && JSON.stringify(prev) !== JSON.stringify(next);
+
+// Labeled arrows under the cells that index variables point at. Positions
+// are measured from the rendered cells so the arrows can slide between them.
+const ArrayPointers = ({ pointers, cellsRef }) => {
+  const [offsets, setOffsets] = useState({});
+
+  useLayoutEffect(() => {
+    const cells = [...cellsRef.current.querySelectorAll("[data-cell]")];
+    if (cells.length === 0) return;
+    const origin = cellsRef.current.getBoundingClientRect();
+    const centerOf = (cell) => {
+      const rect = cell.getBoundingClientRect();
+      return rect.left - origin.left + rect.width / 2;
+    };
+    // Pointers just outside the array (e.g. right = arr.length) sit past its ends
+    const step = cells.length > 1 ? centerOf(cells[1]) - centerOf(cells[0]) : 40;
+    const next = {};
+    pointers.forEach(({ name, index }) => {
+      if (index < 0) next[name] = centerOf(cells[0]) + index * step;
+      else if (index >= cells.length) next[name] = centerOf(cells[cells.length - 1]) + (index - cells.length + 1) * step;
+      else next[name] = centerOf(cells[index]);
+    });
+    setOffsets((current) => (JSON.stringify(current) === JSON.stringify(next) ? current : next));
+  }, [cellsRef, pointers]);
+
+  // Pointers on the same cell stack their labels
+  const rowOf = {};
+  const seenAt = {};
+  pointers.forEach(({ name, index }) => {
+    rowOf[name] = seenAt[index] || 0;
+    seenAt[index] = rowOf[name] + 1;
+  });
+  const rows = Math.max(1, ...Object.values(seenAt));
+
+  return (
+    <div className={styles.arrayPointers} style={{ height: `${rows * 1.1 + 0.9}rem` }}>
+      {pointers.map(({ name }) => (
+        offsets[name] === undefined ? null : (
+          <div key={name} className={styles.arrayPointer} style={{ left: offsets[name], top: `${rowOf[name] * 1.1}rem` }}>
+            <span className={styles.arrayPointerArrow}>▲</span>
+            <span className={styles.arrayPointerName}>{name}</span>
+          </div>
+        )
+      ))}
+    </div>
+  );
+};
+
+// The cells of an array or set, highlighted when they changed since the last
+// step. With two or more index pointers, the cells between them are shaded.
+// `touched` maps a cell index to "compared" or "read" when read tracing is on.
+const ItemCells = ({ items, prevItems, pointers = [], touched = {} }) => {
+  const cellsRef = useRef(null);
+  const indexes = pointers.map((pointer) => pointer.index);
+  const low = Math.min(...indexes);
+  const high = Math.max(...indexes);
+  const inRange = (idx) => pointers.length > 1 && idx >= low && idx <= high;
+
+  return (
+    <div ref={cellsRef} className={styles.heapCellsWrapper}>
+      <div className={styles.heapCells}>
+        {items.map((item, idx) => (
+          <div
+            key={idx}
+            data-cell={idx}
+            className={`${styles.heapCell} ${inRange(idx) ? styles.heapCellInRange : ''} ${changed(prevItems?.[idx], item) ? styles.heapCellChanged : ''} ${touched[idx] ? TOUCH_CLASSES[touched[idx]] : ''}`}
+          >
+            <span className={styles.blockIndex}>{idx}</span>
+            <ValueSlot value={item} />
+          </div>
+        ))}
+        {items.length === 0 && <div className={styles.stackEmpty}>empty</div>}
+      </div>
+      {pointers.length > 0 && <ArrayPointers pointers={pointers} cellsRef={cellsRef} />}
+    </div>
+  );
+};
+
+const HeapObjectBody = ({ object, prev, pointers, touched }) => {
+  const prevMatches = prev && prev.type === object.type;
+  switch (object.type) {
+    case "array":
+      return <ItemCells items={object.items} prevItems={prevMatches ? prev.items : undefined} pointers={pointers} touched={touched} />;
+    case "set":
+      return <ItemCells items={object.items} prevItems={prevMatches ? prev.items : undefined} />;
+    case "object": {
+      const entries = Object.entries(object.properties);
+      if (entries.length === 0) return <div className={styles.stackEmpty}>no properties</div>;
+      return (
+        <div className={styles.heapRows}>
+          {entries.map(([key, item]) => (
+            <div key={key} className={`${styles.heapRow} ${prevMatches && changed(prev.properties[key], item) ? styles.heapCellChanged : ''}`}>
+              <span className={styles.stackLocalName}>{key}</span>
+              <ValueSlot value={item} />
+            </div>
+          ))}
+        </div>
+      );
+    }
+    case "map":
+      return (
+        <div className={styles.heapRows}>
+          {object.entries.map(([key, item], idx) => (
+            <div key={idx} className={styles.heapRow}>
+              <ValueSlot value={key} />
+              <span className={styles.stackLocalName}>→</span>
+              <ValueSlot value={item} />
+            </div>
+          ))}
+          {object.entries.length === 0 && <div className={styles.stackEmpty}>empty</div>}
+        </div>
+      );
+    case "error":
+      return <div className={styles.heapText}>{object.message}</div>;
+    case "date":
+    case "regexp":
+      return <div className={styles.heapText}>{object.value}</div>;
+    case "promise":
+      return "value" in object ? <div className={styles.heapRow}><ValueSlot value={object.value} /></div> : null;
+    default:
+      return null;
+  }
+};
+
+// Arrow geometry from each pointer dot to the left edge of its target box,
+// relative to the container
+function measureArrows(container) {
+  const origin = container.getBoundingClientRect();
+  return [...container.querySelectorAll("[data-pointer]")].flatMap((dot, index) => {
+    const target = container.querySelector(`[data-heap-id="${dot.dataset.pointer}"]`);
+    if (!target) return [];
+    const from = dot.getBoundingClientRect();
+    const to = target.getBoundingClientRect();
+    return [{
+      key: index,
+      x1: from.left + from.width / 2 - origin.left,
+      y1: from.top + from.height / 2 - origin.top,
+      x2: to.left - origin.left,
+      y2: to.top + 14 - origin.top,
+    }];
+  });
+}
+
+const HeapView = ({
+  stack,
+  heap = {},
+  prevHeap = {},
+  arrayPointers = [],
+  reads,
+  comparisons,
+  selectedVariable,
+  onSelectVariable,
+}) => {
+  const containerRef = useRef(null);
+  const [arrows, setArrows] = useState([]);
+  const frames = [...stack].reverse();
+  const order = heapLayoutOrder(stack, heap);
+  const touched = touchedCells(reads, comparisons);
+
+  // Re-measure after every render and whenever the panel is resized
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+    const update = () => {
+      const next = measureArrows(container);
+      setArrows((current) => (JSON.stringify(current) === JSON.stringify(next) ? current : next));
+    };
+    update();
+    const observer = new ResizeObserver(update);
+    observer.observe(container);
+    return () => observer.disconnect();
+  });
+
+  return (
+    <div className={styles.heapView} ref={containerRef}>
+      <div className={styles.heapColumn}>
+        <h3 className={styles.variableName}>Call Stack</h3>
+        <div className={styles.stackFrames}>
+          {frames.map((frame, index) => (
+            <div
+              key={frame.frameId}
+              className={`${styles.stackFrame} ${index === 0 ? styles.stackFrameActive : ''}`}
+            >
+              <div className={styles.stackFrameHeader}>
+                <span className={styles.stackFrameName} title={frame.function}>{frame.label || frame.function}</span>
+                <span className={styles.stackFrameLine}>
+                  {frame.line ? `line ${frame.line}` : ''}
+                  {frame.callLine ? ` · called from line ${frame.callLine}` : ''}
+                </span>
+              </div>
+              {Object.keys(frame.locals || {}).length > 0 ? (
+                <div className={styles.stackLocals}>
+                  {Object.entries(frame.locals).map(([name, val]) => (
+                    <div
+                      key={name}
+                      className={`${styles.stackLocal} ${selectedVariable?.frameId === frame.frameId && selectedVariable?.name === name ? styles.stackLocalSelected : ''}`}
+                    >
+                      <button
+                        className={`${styles.stackLocalName} ${styles.stackLocalButton}`}
+                        onClick={() => onSelectVariable?.({ frameId: frame.frameId, function: frame.label || frame.function, name })}
+                        title="Show this variable's history"
+                      >
+                        {name}
+                      </button>
+                      <ValueSlot value={val} />
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <div className={styles.stackEmpty}>no locals</div>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {order.length > 0 && (
+        <div className={styles.heapColumn}>
+          <h3 className={styles.variableName}>Heap</h3>
+          <div className={styles.heapObjects}>
+            {order.map((id) => (
+              <div key={id} className={styles.heapObject} data-heap-id={id}>
+                <div className={styles.heapObjectHeader}>
+                  <span className={styles.stackFrameName}>{describeHeapObject(heap[id])}</span>
+                  <span className={styles.stackFrameLine}>#{id}</span>
+                </div>
+                <HeapObjectBody
+                  object={heap[id]}
+                  prev={prevHeap[id]}
+                  pointers={arrayPointers.filter((pointer) => pointer.heapId === id)}
+                  touched={touched[id]}
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <svg className={styles.heapArrows}>
+        <defs>
+          <marker id="heap-arrowhead" markerWidth="8" markerHeight="8" refX="7" refY="4" orient="auto">
+            <path d="M0,0 L8,4 L0,8 Z" fill="#60a5fa" />
+          </marker>
+        </defs>
+        {arrows.map(({ key, x1, y1, x2, y2 }) => {
+          // Bend outwards so arrows between boxes of the same column stay visible
+          const bend = Math.max(40, Math.abs(x2 - x1) / 2);
+          return (
+            <path
+              key={key}
+              d={`M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}`}
+              className={styles.heapArrow}
+              markerEnd="url(#heap-arrowhead)"
+            />
+          );
+        })}
+      </svg>
+    </div>
+  );
+};
+
+export default HeapView;
@@ -0,0 +1,98 @@
+import styles from "../styles/InputPanel.module.css";
+import { emptyTestDraft } from "../utils/programInput";
+
+/**
+ * Stdin, named inputs and test cases for the program in the editor. `draft`
+ * is the editable text (see utils/programInput); `error` is the last parse
+ * error, shown until the draft changes.
+ */
+const InputPanel = ({ draft, onChange, error }) => {
+  const setField = (field, value) => onChange({ ...draft, [field]: value });
+  const setTest = (index, field, value) =>
+    setField("tests", draft.tests.map((test, i) => (i === index ? { ...test, [field]: value } : test)));
+
+  return (
+    <div className={styles.inputPanel}>
+      <div className={styles.inputRow}>
+        <label className={styles.inputField}>
+          <span>stdin</span>
+          <textarea
+            value={draft.stdin}
+            rows={3}
+            placeholder="Lines for readline() / input()"
+            onChange={(e) => setField("stdin", e.target.value)}
+            disabled={draft.tests.length > 0}
+          />
+        </label>
+        <label className={styles.inputField}>
+          <span>Named inputs</span>
+          <textarea
+            value={draft.inputs}
+            rows={3}
+            placeholder={"arr = [1, 3, 5, 7]\ntarget = 5"}
+            onChange={(e) => setField("inputs", e.target.value)}
+            disabled={draft.tests.length > 0}
+          />
+        </label>
+      </div>
+
+      <div className={styles.testHeader}>
+        <span>Test cases</span>
+        {draft.tests.length > 0 && <span className={styles.testNote}>each case runs with its own input</span>}
+        <button className={styles.addTest} onClick={() => setField("tests", [...draft.tests, emptyTestDraft()])}>
+          + Add case
+        </button>
+      </div>
+      {draft.tests.map((test, index) => (
+        <div key={index} className={styles.testCase}>
+          <div className={styles.testTitle}>
+            <input
+              value={test.name}
+              placeholder={`Case ${index + 1}`}
+              onChange={(e) => setTest(index, "name", e.target.value)}
+            />
+            <button
+              className={styles.removeTest}
+              onClick={() => setField("tests", draft.tests.filter((_, i) => i !== index))}
+              title="Remove test case"
+            >
+              ×
+            </button>
+          </div>
+          <div className={styles.inputRow}>
+            <label className={styles.inputField}>
+              <span>stdin</span>
+              <textarea value={test.stdin} rows={2} onChange={(e) => setTest(index, "stdin", e.target.value)} />
+            </label>
+            <label className={styles.inputField}>
+              <span>Named inputs</span>
+              <textarea
+                value={test.inputs}
+                rows={2}
+                placeholder="target = 5"
+                onChange={(e) => setTest(index, "inputs", e.target.value)}
+              />
+            </label>
+          </div>
+          <div className={styles.inputRow}>
+            <label className={styles.inputField}>
+              <span>Expected output</span>
+              <textarea value={test.output} rows={2} onChange={(e) => setTest(index, "output", e.target.value)} />
+            </label>
+            <label className={styles.inputField}>
+              <span>Expected return value</span>
+              <input
+                value={test.returnValue}
+                placeholder="JSON, e.g. 2"
+                onChange={(e) => setTest(index, "returnValue", e.target.value)}
+              />
+            </label>
+          </div>
+        </div>
+      ))}
+      {error && <div className={styles.inputError}>{error}</div>}
+    </div>
+  );
+};
+
+export default InputPanel;
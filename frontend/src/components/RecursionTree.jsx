@@ -0,0 +1,56 @@
+import styles from "../styles/Visualizer.module.css";
+
+// Beyond this many calls the tree is cut off; the rest can still be stepped through
+const MAX_NODES = 300;
+
+/**
+ * The calls made up to `step` as a tree, for following recursion. The active
+ * path (the current call stack) is highlighted, finished calls show what they
+ * returned, and repeated calls (same function and arguments as an earlier
+ * one) are marked, so memoized calls that return at once stand out. Clicking
+ * a call jumps to the step it was made on.
+ */
+const RecursionTree = ({ tree, step, stack = [], setStep }) => {
+  const active = new Set(stack.map((frame) => frame.frameId));
+  const current = stack.length > 0 ? stack[stack.length - 1].frameId : null;
+  const visible = [...tree.nodes.values()].filter((node) => node.callStep <= step);
+  const shown = new Set(visible.slice(0, MAX_NODES).map((node) => node.id));
+
+  const renderNode = (id) => {
+    const node = tree.nodes.get(id);
+    const finished = node.returnStep !== null && node.returnStep <= step;
+    const state = id === current ? styles.callNodeCurrent : active.has(id) ? styles.callNodeActive : finished ? styles.callNodeDone : "";
+    const children = node.children.filter((child) => shown.has(child));
+    return (
+      <li key={id} className={styles.callTreeItem}>
+        <button
+          className={`${styles.callNode} ${state} ${node.repeatOf !== undefined ? styles.callNodeRepeat : ""}`}
+          onClick={() => setStep(node.callStep)}
+          title={node.repeatOf !== undefined ? "Same call as an earlier one" : `Step ${node.callStep + 1}`}
+        >
+          <span>{node.label}</span>
+          {finished && (
+            <span className={node.threw ? styles.callNodeThrew : styles.callNodeReturn}>
+              {node.threw ? "threw" : `→ ${node.returnText}`}
+            </span>
+          )}
+        </button>
+        {children.length > 0 && <ul className={styles.callTreeChildren}>{children.map(renderNode)}</ul>}
+      </li>
+    );
+  };
+
+  return (
+    <div className={styles.callTreeContainer}>
+      <h3 className={styles.variableName}>Recursion Tree</h3>
+      <div className={styles.callTreeScroll}>
+        <ul className={styles.callTreeRoots}>{tree.roots.filter((id) => shown.has(id)).map(renderNode)}</ul>
+      </div>
+      {visible.length > MAX_NODES && (
+        <p className={styles.callTreeMore}>{`… and ${visible.length - MAX_NODES} more calls`}</p>
+      )}
+    </div>
+  );
+};
+
+export default RecursionTree;
@@ -0,0 +1,62 @@
+import { useState } from "react";
+import styles from "../styles/SessionBar.module.css";
+
+/**
+ * Recently run programs and the Share button. Picking a session reopens it;
+ * the active session's name can be edited in place.
+ */
+const SessionBar = ({ sessions, activeId, onOpen, onRename, onRemove, onShare, canShare }) => {
+  const [shareStatus, setShareStatus] = useState(null);
+  const active = sessions.find((session) => session.id === activeId);
+
+  const share = async () => {
+    try {
+      const url = await onShare();
+      await navigator.clipboard.writeText(url);
+      setShareStatus("Link copied");
+    } catch (err) {
+      console.error(err);
+      setShareStatus("Could not copy the link");
+    }
+    setTimeout(() => setShareStatus(null), 2500);
+  };
+
+  return (
+    <div className={styles.sessionBar}>
+      <select
+        className={styles.sessionSelect}
+        value={activeId || ""}
+        onChange={(e) => onOpen(sessions.find((session) => session.id === e.target.value))}
+        disabled={sessions.length === 0}
+      >
+        <option value="" disabled>
+          {sessions.length === 0 ? "No recent programs" : "Recent programs…"}
+        </option>
+        {sessions.map((session) => (
+          <option key={session.id} value={session.id}>
+            {`${session.name} · ${new Date(session.updatedAt).toLocaleString()}`}
+          </option>
+        ))}
+      </select>
+      {active && (
+        <>
+          <input
+            className={styles.sessionName}
+            value={active.name}
+            onChange={(e) => onRename(active.id, e.target.value)}
+            aria-label="Session name"
+          />
+          <button className={styles.sessionButton} onClick={() => onRemove(active.id)} title="Forget this program">
+            🗑
+          </button>
+        </>
+      )}
+      <button className={styles.shareButton} onClick={share} disabled={!canShare} title="Copy a link to this program at the current step">
+        🔗 Share
+      </button>
+      {shareStatus && <span className={styles.shareStatus}>{shareStatus}</span>}
+    </div>
+  );
+};
+
+export default SessionBar;
@@ -0,0 +1,168 @@
+import { Fragment } from "react";
+import styles from "../styles/Visualizer.module.css";
+import { detectShape, findStructures, changedNodes } from "../utils/shapes";
+
+// Drawings for the structures utils/shapes.js recognizes. RENDERERS maps a
+// structure kind to its view; a new detector only needs an entry here.
+
+const LinkArrow = () => (
+  <div className={styles.llArrow}><svg width="24" height="24" viewBox="0 0 24 24"><path d="M5 12H19" stroke="#94a3b8" strokeWidth="2" strokeLinecap="round" /><path d="M12 5L19 12L12 19" stroke="#94a3b8" strokeWidth="2" strokeLinecap="round" /></svg></div>
+);
+
+const DoubleLinkArrow = () => (
+  <div className={styles.llArrow}><svg width="24" height="24" viewBox="0 0 24 24"><path d="M5 12H19" stroke="#94a3b8" strokeWidth="2" strokeLinecap="round" /><path d="M15 7L19 12L15 17" stroke="#94a3b8" strokeWidth="2" strokeLinecap="round" /><path d="M9 7L5 12L9 17" stroke="#94a3b8" strokeWidth="2" strokeLinecap="round" /></svg></div>
+);
+
+const PointerLabels = ({ names }) => (
+  <div className={styles.structurePointers}>{names ? names.join(", ") : " "}</div>
+);
+
+// --- Linked lists (singly and doubly) ---
+const ListView = ({ structure, pointers, changed }) => {
+  const Arrow = structure.kind === "doubly-linked-list" ? DoubleLinkArrow : LinkArrow;
+  const cycleNode = structure.cycleTo && structure.nodes.find((node) => node.key === structure.cycleTo);
+  return (
+    <div className={`${styles.linkedListContainer} ${styles.structureList}`}>
+      {structure.nodes.map((node, index) => (
+        <Fragment key={node.key}>
+          {index > 0 && <Arrow />}
+          <div className={styles.structureListItem}>
+            <PointerLabels names={pointers[node.key]} />
+            <div className={`${styles.llNode} ${changed.has(node.key) ? styles.structureNodeChanged : ''}`}>{node.label}</div>
+          </div>
+        </Fragment>
+      ))}
+      <Arrow />
+      {cycleNode ? (
+        <div className={styles.llNull}>{`↺ back to ${cycleNode.label}`}</div>
+      ) : (
+        <div className={styles.llNull}>NULL</div>
+      )}
+    </div>
+  );
+};
+
+const NODE_RADIUS = 18;
+
+// A node circle with its value and the variables pointing at it
+const SvgNode = ({ node, x, y, pointers, changed }) => (
+  <g>
+    <circle cx={x} cy={y} r={NODE_RADIUS} className={changed ? styles.structureCircleChanged : styles.structureCircle} />
+    <text x={x} y={y} className={styles.structureCircleText}>{node.label}</text>
+    {pointers && <text x={x} y={y + NODE_RADIUS + 12} className={styles.structureSvgPointer}>{pointers.join(", ")}</text>}
+  </g>
+);
+
+// --- Binary trees: in-order position across, depth down ---
+const TreeView = ({ structure, pointers, changed }) => {
+  const byKey = new Map(structure.nodes.map((node) => [node.key, node]));
+  const positions = new Map();
+  let column = 0;
+  let maxDepth = 0;
+  const place = (key, depth) => {
+    if (!key) return;
+    const node = byKey.get(key);
+    place(node.left, depth + 1);
+    positions.set(key, { x: 30 + column++ * 48, y: 28 + depth * 64 });
+    maxDepth = Math.max(maxDepth, depth);
+    place(node.right, depth + 1);
+  };
+  place(structure.nodes[0].key, 0);
+
+  return (
+    <svg className={styles.structureSvg} width={column * 48 + 12} height={maxDepth * 64 + 70}>
+      {structure.edges.map(({ from, to }) => (
+        <line key={`${from}-${to}`} x1={positions.get(from).x} y1={positions.get(from).y} x2={positions.get(to).x} y2={positions.get(to).y} className={styles.structureEdge} />
+      ))}
+      {structure.nodes.map((node) => (
+        <SvgNode key={node.key} node={node} {...positions.get(node.key)} pointers={pointers[node.key]} changed={changed.has(node.key)} />
+      ))}
+    </svg>
+  );
+};
+
+// --- Graphs: nodes on a circle, directed edges ---
+const GraphView = ({ structure, pointers, changed }) => {
+  const count = structure.nodes.length;
+  const radius = Math.max(60, count * 14);
+  const center = radius + 40;
+  const positions = new Map(structure.nodes.map((node, i) => {
+    const angle = (2 * Math.PI * i) / count - Math.PI / 2;
+    return [node.key, { x: center + radius * Math.cos(angle), y: center + radius * Math.sin(angle) }];
+  }));
+  const edgeKeys = new Set(structure.edges.map(({ from, to }) => `${from}->${to}`));
+
+  return (
+    <svg className={styles.structureSvg} width={center * 2} height={center * 2}>
+      <defs>
+        <marker id="structure-arrowhead" markerWidth="8" markerHeight="8" refX="7" refY="4" orient="auto">
+          <path d="M0,0 L8,4 L0,8 Z" fill="#94a3b8" />
+        </marker>
+      </defs>
+      {structure.edges.map(({ from, to }) => {
+        const a = positions.get(from);
+        const b = positions.get(to);
+        if (from === to) {
+          return <circle key={`${from}->${to}`} cx={a.x} cy={a.y - NODE_RADIUS - 8} r={9} className={styles.structureEdge} />;
+        }
+        // An edge listed both ways is undirected: draw it once, without arrowheads
+        const mutual = edgeKeys.has(`${to}->${from}`);
+        if (mutual && from > to) return null;
+        const length = Math.hypot(b.x - a.x, b.y - a.y);
+        const ux = (b.x - a.x) / length;
+        const uy = (b.y - a.y) / length;
+        return (
+          <line
+            key={`${from}->${to}`}
+            x1={a.x + ux * NODE_RADIUS}
+            y1={a.y + uy * NODE_RADIUS}
+            x2={b.x - ux * (NODE_RADIUS + 2)}
+            y2={b.y - uy * (NODE_RADIUS + 2)}
+            className={styles.structureEdge}
+            markerEnd={mutual ? undefined : "url(#structure-arrowhead)"}
+          />
+        );
+      })}
+      {structure.nodes.map((node) => (
+        <SvgNode key={node.key} node={node} {...positions.get(node.key)} pointers={pointers[node.key]} changed={changed.has(node.key)} />
+      ))}
+    </svg>
+  );
+};
+
+const RENDERERS = {
+  "linked-list": { title: "linked list", View: ListView },
+  "doubly-linked-list": { title: "doubly linked list", View: ListView },
+  "binary-tree": { title: "binary tree", View: TreeView },
+  graph: { title: "graph", View: GraphView },
+};
+
+/**
+ * Draws every linked list, tree or graph reachable from the active frame's
+ * variables. Nodes that are new or changed since the previous step are
+ * highlighted.
+ */
+const StructurePanel = ({ locals, heap, prevHeap }) => {
+  const structures = findStructures(locals, heap);
+  if (structures.length === 0) return null;
+
+  return (
+    <div className={styles.structureContainer}>
+      {structures.map(({ name, root, structure, pointers }) => {
+        const { title, View } = RENDERERS[structure.kind];
+        const prevStructure = prevHeap ? detectShape(root, prevHeap) : null;
+        const changed = changedNodes(structure, prevStructure?.kind === structure.kind ? prevStructure : null);
+        return (
+          <div key={name} className={styles.linkedListVariableContainer}>
+            <h3 className={styles.variableName}>{`${name} · ${title}`}</h3>
+            <div className={styles.datastructureView}>
+              <View structure={structure} pointers={pointers} changed={changed} />
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default StructurePanel;
@@ -0,0 +1,50 @@
+import styles from "../styles/TestResults.module.css";
+
+const STATUS_ICONS = { true: "✅", false: "❌", null: "▫️" };
+
+const CHECK_LABELS = { output: "Output", returnValue: "Return value" };
+
+// Expected and actual values are text for output, JSON for return values
+const showValue = (check, value) => (check.kind === "output" ? value : JSON.stringify(value));
+
+/**
+ * One tab per traced test case, with the selected case's checks. Choosing a
+ * tab shows that case's trace via `onSelect(index)`.
+ */
+const TestResults = ({ results, active, skipped = 0, onSelect }) => {
+  const passed = results.filter((result) => result.passed === true).length;
+  const current = results[active];
+
+  return (
+    <div className={styles.testResults}>
+      <div className={styles.testTabs}>
+        <span className={styles.testSummary}>
+          {passed}/{results.length} passed{skipped > 0 ? `, ${skipped} not run` : ""}
+        </span>
+        {results.map((result, index) => (
+          <button
+            key={index}
+            className={index === active ? `${styles.testTab} ${styles.testTabActive}` : styles.testTab}
+            onClick={() => onSelect(index)}
+          >
+            {STATUS_ICONS[result.passed]} {result.name}
+          </button>
+        ))}
+      </div>
+      {current && (current.checks.length > 0 || current.error) && (
+        <div className={styles.testChecks}>
+          {current.error && <div className={styles.testError}>{current.error}</div>}
+          {current.checks.map((check) => (
+            <div key={check.kind} className={check.passed ? styles.checkPassed : styles.checkFailed}>
+              <span className={styles.checkLabel}>{CHECK_LABELS[check.kind]}</span>
+              <span>expected <code>{showValue(check, check.expected)}</code></span>
+              <span>got <code>{showValue(check, check.actual)}</code></span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TestResults;
@@ -0,0 +1,79 @@
+import { useRef, useState } from "react";
+import styles from "../styles/Visualizer.module.css";
+import { timelineKind } from "../utils/timeline";
+
+// One tick per step, colored by what the step did. Dragging across the strip
+// scrubs through the trace; hovering previews the step's source line.
+const TICK_CLASSES = {
+  call: styles.tickCall,
+  return: styles.tickReturn,
+  stdout: styles.tickStdout,
+  test: styles.tickTest,
+  error: styles.tickError,
+  step: styles.tickStep,
+};
+
+const LEGEND = ["call", "return", "test", "stdout", "error"];
+
+const Timeline = ({ logs, step, setStep, code = "" }) => {
+  const stripRef = useRef(null);
+  const [hover, setHover] = useState(null);
+  const [dragging, setDragging] = useState(false);
+  const sourceLines = code.split("\n");
+
+  const stepAt = (clientX) => {
+    const rect = stripRef.current.getBoundingClientRect();
+    const ratio = Math.min(Math.max((clientX - rect.left) / rect.width, 0), 1);
+    return Math.min(Math.floor(ratio * logs.length), logs.length - 1);
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDragging(true);
+    setStep(stepAt(e.clientX));
+  };
+
+  const handlePointerMove = (e) => {
+    const index = stepAt(e.clientX);
+    setHover({ index, x: e.clientX - stripRef.current.getBoundingClientRect().left });
+    if (dragging) setStep(index);
+  };
+
+  const hovered = hover && logs[hover.index];
+  const hoveredSource = hovered?.line > 0 ? sourceLines[hovered.line - 1]?.trim() : null;
+
+  return (
+    <div className={styles.timeline}>
+      <div
+        ref={stripRef}
+        className={styles.timelineStrip}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={() => setDragging(false)}
+        onPointerLeave={() => setHover(null)}
+      >
+        <svg className={styles.timelineTicks} viewBox={`0 0 ${logs.length} 1`} preserveAspectRatio="none">
+          {logs.map((frame, index) => (
+            <rect key={index} x={index} y={0} width={1} height={1} className={TICK_CLASSES[timelineKind(frame)]} />
+          ))}
+        </svg>
+        <div className={styles.timelineCursor} style={{ left: `${((step + 0.5) / logs.length) * 100}%` }} />
+        {hovered && (
+          <div className={styles.timelinePreview} style={{ left: hover.x }}>
+            <span className={styles.timelinePreviewStep}>
+              {`Step ${hover.index + 1} · ${hovered.action}${hovered.line > 0 ? ` · line ${hovered.line}` : ""}`}
+            </span>
+            {hoveredSource && <code>{hoveredSource}</code>}
+          </div>
+        )}
+      </div>
+      <div className={styles.timelineLegend}>
+        {LEGEND.map((kind) => (
+          <span key={kind}><i className={`${styles.timelineSwatch} ${TICK_CLASSES[kind]}`} />{kind}</span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default Timeline;
@@ -0,0 +1,22 @@
+import styles from "../styles/TraceProgress.module.css";
+
+/**
+ * Shown while a trace streams in: how many steps have arrived so far (and
+ * test cases finished, for a run with tests, or input sizes measured for a
+ * growth table) and a button to stop the run.
+ */
+const TraceProgress = ({ steps, testsDone = null, sizesDone = null, onCancel, canCancel }) => (
+  <div className={styles.traceProgress}>
+    <div className={styles.progressBar} />
+    <span className={styles.progressText}>
+      Tracing… {steps.toLocaleString()} {steps === 1 ? "step" : "steps"}
+      {testsDone !== null ? `, ${testsDone} ${testsDone === 1 ? "case" : "cases"} done` : ""}
+      {sizesDone !== null ? `, ${sizesDone} ${sizesDone === 1 ? "size" : "sizes"} measured` : ""}
+    </span>
+    <button className={styles.cancelButton} onClick={onCancel} disabled={!canCancel}>
+      Cancel
+    </button>
+  </div>
+);
+
+export default TraceProgress;
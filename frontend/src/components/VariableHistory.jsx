@@ -0,0 +1,67 @@
+import styles from "../styles/Visualizer.module.css";
+import { variableHistory } from "../utils/timeline";
+
+const CHART_WIDTH = 280;
+const CHART_HEIGHT = 48;
+
+// Step-shaped line of a numeric variable over the whole trace
+const Sparkline = ({ points, totalSteps, step }) => {
+  const values = points.map((point) => point.number);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const x = (s) => (totalSteps > 1 ? (s / (totalSteps - 1)) * CHART_WIDTH : 0);
+  const y = (value) => (max === min ? CHART_HEIGHT / 2 : CHART_HEIGHT - 4 - ((value - min) / (max - min)) * (CHART_HEIGHT - 8));
+  const path = points
+    .map((point, index) => {
+      const next = points[index + 1];
+      const end = next ? next.step : totalSteps - 1;
+      return `${index === 0 ? "M" : "L"} ${x(point.step)} ${y(point.number)} H ${x(end)}`;
+    })
+    .join(" ");
+
+  return (
+    <svg className={styles.sparkline} width={CHART_WIDTH} height={CHART_HEIGHT}>
+      <path d={path} className={styles.sparklinePath} />
+      <line x1={x(step)} x2={x(step)} y1={0} y2={CHART_HEIGHT} className={styles.sparklineCursor} />
+    </svg>
+  );
+};
+
+/**
+ * Every value one variable took, with its steps. Numbers also get a chart.
+ * Clicking an entry jumps to the step where the variable took that value.
+ */
+const VariableHistory = ({ logs, step, setStep, variable, onClose }) => {
+  const history = variableHistory(logs, variable.frameId, variable.name);
+  const numeric = history.filter((entry) => entry.number !== null);
+
+  return (
+    <div className={styles.historyContainer}>
+      <div className={styles.historyHeader}>
+        <h3 className={styles.variableName}>{`${variable.name} in ${variable.function}`}</h3>
+        <button className={styles.historyClose} onClick={onClose} title="Close history">×</button>
+      </div>
+      {numeric.length > 1 && numeric.length === history.length && (
+        <Sparkline points={numeric} totalSteps={logs.length} step={step} />
+      )}
+      <ol className={styles.historyList}>
+        {history.map((entry, index) => {
+          const current = entry.step <= step && (history[index + 1]?.step ?? Infinity) > step;
+          return (
+            <li key={entry.step}>
+              <button
+                className={`${styles.historyEntry} ${current ? styles.historyEntryCurrent : ""}`}
+                onClick={() => setStep(entry.step)}
+              >
+                <span className={styles.historyStep}>step {entry.step + 1}</span>
+                <span className={styles.stackLocalValue}>{entry.text}</span>
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+};
+
+export default VariableHistory;
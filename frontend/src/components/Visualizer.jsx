@@ -1,36 +1,146 @@
 import { useState, useEffect, useRef, useMemo } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import styles from "../styles/Visualizer.module.css";
+import HeapView from "./HeapView";
+import StructurePanel from "./StructureViews";
+import RecursionTree from "./RecursionTree";
+import Timeline from "./Timeline";
+import VariableHistory from "./VariableHistory";
+import ConsolePanel from "./ConsolePanel";
+import WatchPanel from "./WatchPanel";
+import { isRef, formatPrimitive } from "../utils/heap";
+import { isBreakpointHit, findNextHit } from "../utils/breakpoints";
+import { stepTarget, STEP_SHORTCUTS } from "../utils/stepping";
+import { buildCallTree, hasRecursion } from "../utils/callTree";
 
-// (isLinkedListNode, LinkedListVisualizer, renderValue, and usePrevious helpers are unchanged)
-const isLinkedListNode = (value) => {
-  return (
-    value !== null &&
-    typeof value === 'object' &&
-    !Array.isArray(value) &&
-    Object.prototype.hasOwnProperty.call(value, 'data') &&
-    Object.prototype.hasOwnProperty.call(value, 'next')
-  );
-};
-const LinkedListVisualizer = ({ node }) => {
-  if (!isLinkedListNode(node)) { return <div className={styles.llNode}>{renderValue(node)}</div>; }
-  return (
-    <div className={styles.linkedListContainer}>
-      <div className={styles.llNode}>{renderValue(node.data)}</div>
-      <div className={styles.llArrow}><svg width="24" height="24" viewBox="0 0 24 24"><path d="M5 12H19" stroke="#94a3b8" strokeWidth="2" strokeLinecap="round" /><path d="M12 5L19 12L12 19" stroke="#94a3b8" strokeWidth="2" strokeLinecap="round" /></svg></div>
-      {node.next !== null ? (<LinkedListVisualizer node={node.next} />) : (<div className={styles.llNull}>NULL</div>)}
+// Shows what the event loop is running and what waits in each queue
+const EVENT_LOOP_PHASES = { script: "main script", idle: "script finished", microtask: "microtask", task: "task" };
+const QueueList = ({ title, items, showTime }) => (
+  <div className={styles.queue}>
+    <div className={styles.queueTitle}>{title}</div>
+    <div className={styles.queueItems}>
+      <AnimatePresence initial={false}>
+        {items.map((item) => (
+          <motion.div
+            key={item.id}
+            layout
+            initial={{ opacity: 0, x: 12 }}
+            animate={{ opacity: 1, x: 0 }}
+            exit={{ opacity: 0, x: -12 }}
+            transition={{ duration: 0.25 }}
+            className={styles.queueItem}
+          >
+            {item.label}
+            {showTime && <span className={styles.queueTime}>{` @ ${item.time}ms`}</span>}
+          </motion.div>
+        ))}
+      </AnimatePresence>
+      {items.length === 0 && <div className={styles.stackEmpty}>empty</div>}
     </div>
-  );
-};
-function renderValue(value) {
-  if (value === null) return "null";
-  if (value === undefined) return "undefined";
-  if (typeof value === 'string') return `"${value}"`;
-  if (isLinkedListNode(value)) { return "[Linked List]"; }
-  if (Array.isArray(value)) return `[${value.join(", ")}]`;
-  if (typeof value === "object") { return JSON.stringify(value); }
-  return String(value);
+  </div>
+);
+const EventLoopPanel = ({ eventLoop }) => (
+  <div className={styles.eventLoopContainer}>
+    <h3 className={styles.variableName}>Event Loop</h3>
+    <div className={styles.eventLoopRunning}>
+      running: {eventLoop.phase === "microtask" || eventLoop.phase === "task"
+        ? `${EVENT_LOOP_PHASES[eventLoop.phase]} ${eventLoop.current}`
+        : EVENT_LOOP_PHASES[eventLoop.phase]}
+    </div>
+    <QueueList title="Microtask Queue" items={eventLoop.microtasks} />
+    <QueueList title="Task Queue (timers)" items={eventLoop.tasks} showTime />
+  </div>
+);
+// Human-readable summary of control-flow steps (break, catch, case, ...)
+function describeEvent(frame) {
+  const detail = frame.detail;
+  if (!frame.action) return null;
+  const kind = frame.action.split(" ")[0];
+  // Calls are described by the frame they push, e.g. "called stack.push(3)"
+  if (kind === "call") {
+    const callee = frame.stack?.[frame.stack.length - 1];
+    return callee?.label ? `called ${callee.label}` : null;
+  }
+  if (kind === "eval") return `evaluated ${frame.evaluated.expression} = ${frame.evaluated.text}`;
+  if (!detail) return null;
+  const target = detail.label ? `${detail.target} loop "${detail.label}"` : detail.target;
+  const targetLine = detail.targetLine > 0 ? ` (line ${detail.targetLine})` : "";
+  switch (kind) {
+    case "break":
+      return detail.target === "switch" ? `break out of switch${targetLine}` : `break: exited ${target}${targetLine}`;
+    case "continue":
+      return `continue: next iteration of ${target}${targetLine}`;
+    case "case":
+      return detail.case === "default" ? "no case matched, entered default" : `entered case ${detail.case}`;
+    case "throw":
+      return `threw ${detail.error.type}: ${detail.error.message}`;
+    case "catch":
+      return detail.param ? `caught ${detail.error.type} into ${detail.param}` : `caught ${detail.error.type}`;
+    case "finally":
+      return "entered finally block";
+    case "await":
+      return `await ${detail.expression}: function suspended`;
+    case "resume":
+      return detail.threw ? `${detail.function} resumed with a rejection` : `${detail.function} resumed`;
+    case "enqueue":
+      return `queued ${detail.label} as a ${detail.queue}`;
+    case "dequeue":
+      return `event loop runs ${detail.label}`;
+    case "cancel":
+      return `cancelled ${detail.label}`;
+    default:
+      return null;
+  }
 }
+// Comparisons made since the previous step, e.g. "arr[j] > arr[j + 1]: 5 > 1 → true"
+const operandText = (value) => (isRef(value) ? `#${value.ref}` : formatPrimitive(value));
+const ComparisonList = ({ comparisons }) => (
+  <div className={styles.comparisons}>
+    {comparisons.map((comparison, index) => (
+      <p key={index} className={comparison.cells.length > 0 ? styles.comparisonElements : styles.comparison}>
+        {`${comparison.expression}: ${operandText(comparison.left)} ${comparison.operator} ${operandText(comparison.right)} → ${comparison.result}`}
+      </p>
+    ))}
+  </div>
+);
+// Running totals for runs traced with reads and comparisons
+const CounterBar = ({ counters }) => (
+  <div className={styles.counters}>
+    <span><strong>{counters.comparisons}</strong> comparisons</span>
+    <span><strong>{counters.swaps}</strong> swaps</span>
+    <span><strong>{counters.reads}</strong> reads</span>
+  </div>
+);
+// Step over/into/out, each backwards (◀) and forwards (▶)
+const STEP_BUTTONS = [
+  { command: "over", label: "Over", shortcut: "F10" },
+  { command: "into", label: "Into", shortcut: "F11" },
+  { command: "out", label: "Out", shortcut: "Shift+F11" },
+];
+const StepControls = ({ logs, step, onStep }) => (
+  <div className={styles.stepControls}>
+    <span className={styles.stepControlsLabel}>Step</span>
+    {STEP_BUTTONS.map(({ command, label, shortcut }) => (
+      <div key={command} className={styles.stepPair}>
+        <button
+          onClick={() => onStep(command, -1)}
+          disabled={stepTarget(logs, step, command, -1) === -1}
+          title={`Step ${command} backwards (Alt+${shortcut})`}
+        >
+          ◀
+        </button>
+        <span>{label}</span>
+        <button
+          onClick={() => onStep(command, 1)}
+          disabled={stepTarget(logs, step, command, 1) === -1}
+          title={`Step ${command} (${shortcut})`}
+        >
+          ▶
+        </button>
+      </div>
+    ))}
+  </div>
+);
 const usePrevious = (value) => {
   const ref = useRef();
   useEffect(() => { ref.current = value; });
@@ -38,44 +148,73 @@ const usePrevious = (value) => {
 };
 
 
-const Visualizer = ({ logs, step, setStep }) => {
+// `watches` are the expressions the run was traced with; `onWatchesChange`
+// traces it again with a new list
+const Visualizer = ({ logs, step, setStep, breakpoints = [], code, watches = [], onWatchesChange }) => {
   const [isPlaying, setIsPlaying] = useState(false);
+  // The variable whose history is shown; it belongs to the run it was picked in
+  const [selection, setSelection] = useState(null);
+  const selectedVariable = selection?.logs === logs ? selection.variable : null;
   const [speed, setSpeed] = useState(500);
   const intervalRef = useRef(null);
+  // The step playback started from, which must not stop it again
+  const playStartRef = useRef(null);
 
-  const currentStepData = logs[step] || { locals: {}, context: null, stack: [] };
-  const currentLocals = currentStepData.locals || {};
-  const prevLocals = usePrevious(currentLocals);
-
-  // --- THIS IS THE NEW "MASTER SWITCH" ---
-  // A memoized flag that checks if any variable in the current step is a linked list.
-  const hasLinkedList = useMemo(() => {
-    return Object.values(currentLocals).some(isLinkedListNode);
-  }, [currentLocals]);
-
-  // (The rest of the existing useMemo hooks are unchanged)
-  const { array: arrayVars, scalar: scalarVars } = useMemo(() => {
-    const array = {}; const scalar = {};
-    for (const key in currentLocals) {
-      if (Array.isArray(currentLocals[key])) { array[key] = currentLocals[key]; }
-      else { scalar[key] = currentLocals[key]; }
-    }
-    return { array, scalar };
-  }, [currentLocals]);
-  const stdoutContent = useMemo(() => {
-    return logs.slice(0, step + 1).filter(log => log.action.includes('stdout')).map(log => log.output);
+  const currentStepData = logs[step] || { locals: {}, context: null, stack: [], heap: {} };
+  const currentHeap = currentStepData.heap || {};
+  const prevHeap = usePrevious(currentHeap);
+  const isErrorStep = currentStepData.action === 'error';
+  const eventDescription = describeEvent(currentStepData);
+  const atBreakpoint = isBreakpointHit(logs, step, breakpoints);
+  const nextHit = findNextHit(logs, step, breakpoints);
+
+  // Calls are drawn as a tree once one is nested in a call of its own function
+  const callTree = useMemo(() => buildCallTree(logs), [logs]);
+  const showCallTree = useMemo(() => hasRecursion(callTree), [callTree]);
+
+  const consoleEntries = useMemo(() => {
+    return logs.slice(0, step + 1).filter(log => 'output' in log);
   }, [logs, step]);
 
-  // (Playback useEffect is unchanged)
+  // Playback advances one step per tick and pauses at breakpoints
   useEffect(() => {
     if (isPlaying) {
       if (step >= logs.length - 1) { setIsPlaying(false); return; }
+      if (step !== playStartRef.current && isBreakpointHit(logs, step, breakpoints)) { setIsPlaying(false); return; }
       intervalRef.current = setInterval(() => {
         setStep((s) => Math.min(s + 1, logs.length - 1));
       }, 2050 - speed);
     } else { clearInterval(intervalRef.current); }
     return () => clearInterval(intervalRef.current);
-  }, [isPlaying, speed, logs, step, setStep]);
+  }, [isPlaying, speed, logs, step, setStep, breakpoints]);
+
+  // Debugger shortcuts: F10 over, F11 into, Shift+F11 out; with Alt, backwards
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      const shortcut = STEP_SHORTCUTS.find(({ key, shift }) => key === e.key && shift === e.shiftKey);
+      if (!shortcut || logs.length === 0) return;
+      e.preventDefault();
+      const target = stepTarget(logs, step, shortcut.command, e.altKey ? -1 : 1);
+      if (target !== -1) {
+        setIsPlaying(false);
+        setStep(target);
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [logs, step, setStep]);
+
+  const stepBy = (command, direction) => {
+    const target = stepTarget(logs, step, command, direction);
+    if (target === -1) return;
+    setIsPlaying(false);
+    setStep(target);
+  };
+
+  const togglePlay = () => {
+    playStartRef.current = step;
+    setIsPlaying((p) => !p);
+  };
 
   if (!logs || logs.length === 0) {
     return (
@@ -88,109 +227,96 @@ const Visualizer = ({ logs, step, setStep }) => {
       <div className={styles.mainContent}>
         <div className={styles.header}>
           <h2 className={styles.stepTitle}>Step {step + 1} / {logs.length}</h2>
-          <p className={styles.operation}>{currentStepData.action || 'Ready'}{currentStepData.line ? ` (Line ${currentStepData.line})` : ''}</p>
+          <p className={`${styles.operation} ${isErrorStep ? styles.operationError : ''}`}>{currentStepData.action || 'Ready'}{currentStepData.line ? ` (Line ${currentStepData.line})` : ''}</p>
+          {atBreakpoint && (<p className={styles.breakpointHit}>● paused at breakpoint on line {currentStepData.line}</p>)}
+          {eventDescription && (<p className={styles.eventDescription}>{eventDescription}</p>)}
           {currentStepData.context && (<p className={styles.context}>{currentStepData.context}</p>)}
+          {currentStepData.comparisons && (<ComparisonList comparisons={currentStepData.comparisons} />)}
+          {currentStepData.counters && (<CounterBar counters={currentStepData.counters} />)}
+          {currentStepData.message && (<p className={styles.stopMessage}>{currentStepData.message}</p>)}
+          {isErrorStep && currentStepData.error && (
+            <div className={styles.errorMessage}>
+              <span className={styles.errorType}>{currentStepData.error.type}</span>
+              {`: ${currentStepData.error.message}`}
+              {currentStepData.error.line && (
+                <span className={styles.errorLocation}>
+                  {` at line ${currentStepData.error.line}`}
+                  {currentStepData.error.column ? `, column ${currentStepData.error.column}` : ''}
+                  {currentStepData.error.phase === 'compile' ? ' (before execution)' : ''}
+                </span>
+              )}
+            </div>
+          )}
         </div>
 
-        {/* --- THIS IS THE KEY CHANGE: CONDITIONAL RENDERING --- */}
-        {hasLinkedList ? (
-          // IF a linked list exists, only render this special view
-          <div className={styles.scalarContainer}>
-            {Object.entries(currentLocals).map(([name, val]) => {
-              // We only care about rendering the linked lists in this view
-              if (!isLinkedListNode(val)) return null;
-
-              return (
-                <div key={name} className={styles.linkedListVariableContainer}>
-                  <h3 className={styles.variableName}>{name}</h3>
-                  <AnimatePresence>
-                    <motion.div
-                      key={JSON.stringify(val)}
-                      className={styles.datastructureView}
-                      initial={{ opacity: 0 }}
-                      animate={{ opacity: 1, transition: { delay: 0.1 } }}
-                      exit={{ opacity: 0 }}
-                    >
-                      <LinkedListVisualizer node={val} />
-                    </motion.div>
-                  </AnimatePresence>
-                </div>
-              );
-            })}
-          </div>
-        ) : (
-          // ELSE, if no linked lists, render the normal view with everything
-          <>
-            {/* Array Visualization (Unchanged) */}
-            {Object.keys(arrayVars).length > 0 && (
-              <div className={styles.arrayContainer}>
-                {Object.entries(arrayVars).map(([name, arr]) => {
-                  const prevArray = prevLocals?.hasOwnProperty(name) ? prevLocals[name] : [];
-                  return (
-                    <div key={name}>
-                      <h3 className={styles.variableName}>{name}</h3>
-                      <div className={styles.arrayBlocks}>
-                        {arr.map((val, idx) => {
-                          const prevValue = prevArray ? prevArray[idx] : undefined;
-                          const hasChanged = prevValue !== undefined && JSON.stringify(prevValue) !== JSON.stringify(val);
-                          return (
-                            <motion.div key={`${name}-${idx}`} layout initial={{ opacity: 0, scale: 0.5 }} animate={{ opacity: 1, scale: 1, background: hasChanged ? "linear-gradient(135deg, #F59E0B, #FBBF24)" : "linear-gradient(135deg, #475569, #334155)" }} transition={{ duration: 0.4 }} className={styles.block}>
-                              <span className={styles.blockIndex}>{idx}</span>
-                              <span className={styles.blockValue}>{renderValue(val)}</span>
-                            </motion.div>
-                          );
-                        })}
-                      </div>
-                    </div>
-                  );
-                })}
-              </div>
-            )}
-
-
-            {/* Scalar Visualization (Unchanged) */}
-            {Object.keys(scalarVars).length > 0 && (
-              <div className={styles.scalarContainer}>
-                <h3 className={styles.variableName}>Variables</h3>
-                <div className={styles.scalarGrid}>
-                  {Object.entries(scalarVars).map(([name, val]) => {
-                    const prevValue = prevLocals ? prevLocals[name] : undefined;
-                    const hasChanged = prevValue !== undefined && JSON.stringify(prevValue) !== JSON.stringify(val);
-                    return (
-                      <motion.div key={name} layout initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0, scale: hasChanged ? [1, 1.15, 1] : 1, background: hasChanged ? "linear-gradient(135deg, #F59E0B, #FBBF24)" : "linear-gradient(135deg, #334155, #1E2D3B)", boxShadow: hasChanged ? "0 0 16px rgba(251, 191, 36, 0.6)" : "0 4px 12px rgba(0,0,0,0.4)" }} transition={{ duration: 0.5 }} className={styles.scalar}>
-                        <span className={styles.scalarName}>{name}</span>
-                        <span className={styles.scalarValue}>{renderValue(val)}</span>
-                      </motion.div>
-                    );
-                  })}
-                </div>
-              </div>
-            )}
-
-            {/* Console Output (Unchanged) */}
-            {stdoutContent.length > 0 && (
-              <div className={styles.stdoutContainer}>
-                <h3 className={styles.variableName}>Console Output</h3>
-                <pre className={styles.stdoutContent}>
-                  {stdoutContent.map((line, index) => (
-                    <div key={index}>{renderValue(line)}</div>
-                  ))}
-                </pre>
-              </div>
-            )}
-          </>
+        {/* Linked lists, trees and graphs, drawn next to the stack and heap */}
+        <StructurePanel locals={currentStepData.locals || {}} heap={currentHeap} prevHeap={prevHeap} />
+
+        {/* Stack and heap: variables point at the objects they reference */}
+        {currentStepData.stack?.length > 0 && (
+          <HeapView
+            stack={currentStepData.stack}
+            heap={currentHeap}
+            prevHeap={prevHeap}
+            arrayPointers={currentStepData.arrayPointers}
+            reads={currentStepData.reads}
+            comparisons={currentStepData.comparisons}
+            selectedVariable={selectedVariable}
+            onSelectVariable={(variable) => setSelection({ logs, variable })}
+          />
+        )}
+
+        {/* Values one variable took over the run */}
+        {selectedVariable && (
+          <VariableHistory
+            logs={logs}
+            step={step}
+            setStep={setStep}
+            variable={selectedVariable}
+            onClose={() => setSelection(null)}
+          />
+        )}
+
+        {/* Watch expressions, evaluated against every step's scope */}
+        {onWatchesChange && (
+          <WatchPanel
+            watches={watches}
+            values={currentStepData.watches}
+            previous={step > 0 ? logs[step - 1].watches : undefined}
+            onChange={onWatchesChange}
+          />
+        )}
+
+        {/* Recursion Tree: every call so far, with what finished calls returned */}
+        {showCallTree && (
+          <RecursionTree tree={callTree} step={step} stack={currentStepData.stack} setStep={setStep} />
         )}
+
+        {/* Event Loop: queues of async programs */}
+        {currentStepData.eventLoop && (
+          <EventLoopPanel eventLoop={currentStepData.eventLoop} />
+        )}
+
+        {/* Console Output: stdout and stderr, by level */}
+        {consoleEntries.length > 0 && <ConsolePanel entries={consoleEntries} />}
       </div>
 
       {/* --- Controls (Unchanged) --- */}
       <div className={styles.controls}>
         <button onClick={() => setStep(0)}>↩ Reset</button>
         <button onClick={() => setStep((s) => Math.max(s - 1, 0))}>⏮ Prev</button>
-        <button className={styles.playButton} onClick={() => setIsPlaying((p) => !p)}>
+        <button className={styles.playButton} onClick={togglePlay}>
           {isPlaying ? "⏸ Pause" : "▶️ Play"}
         </button>
         <button onClick={() => setStep((s) => Math.min(s + 1, logs.length - 1))}>Next ⏭</button>
+        {breakpoints.length > 0 && (
+          <button onClick={() => setStep(nextHit)} disabled={nextHit === -1} title="Jump to the next breakpoint hit">
+            Continue ⏩
+          </button>
+        )}
       </div>
+      <Timeline logs={logs} step={step} setStep={setStep} code={code} />
+      <StepControls logs={logs} step={step} onStep={stepBy} />
       <div className={styles.speedControl}>
         <span>Speed</span>
         <input type="range" min="50" max="2000" step="50" value={speed} onChange={(e) => setSpeed(Number(e.target.value))} />
@@ -0,0 +1,73 @@
+import { useState } from "react";
+import styles from "../styles/Visualizer.module.css";
+
+// The server's default TRACE_MAX_WATCHES
+const MAX_WATCHES = 10;
+
+// What a watch showed at a step: its value or its error, null when the step
+// has none (the watch wasn't evaluated in that step's scope yet)
+const watchText = (value) => (value ? value.text ?? value.error : null);
+
+/**
+ * Expressions the tracer evaluates against the scope of every step (the
+ * run's `watches` option), with their values at the current step. Values are
+ * highlighted where they differ from the previous step's. Adding or removing
+ * a watch goes through `onChange`, which traces the code again.
+ */
+const WatchPanel = ({ watches, values = [], previous = [], onChange }) => {
+  const [draft, setDraft] = useState("");
+  const expression = draft.trim();
+  const canAdd = expression !== "" && !watches.includes(expression) && watches.length < MAX_WATCHES;
+
+  const add = (e) => {
+    e.preventDefault();
+    if (!canAdd) return;
+    onChange([...watches, expression]);
+    setDraft("");
+  };
+
+  return (
+    <div className={styles.watchContainer}>
+      <h3 className={styles.variableName}>Watch</h3>
+      {watches.length > 0 && (
+        <ul className={styles.watchList}>
+          {watches.map((watch, index) => {
+            const value = values?.[index];
+            const text = watchText(value);
+            const before = watchText(previous?.[index]);
+            const changed = text !== null && before !== null && text !== before;
+            return (
+              <li key={watch} className={`${styles.watchItem} ${changed ? styles.watchItemChanged : ""}`}>
+                <code className={styles.watchExpression}>{watch}</code>
+                <span
+                  className={value?.error ? styles.watchError : styles.watchValue}
+                  title={text === null ? "Not evaluated at this step" : undefined}
+                >
+                  {text ?? "–"}
+                </span>
+                <button
+                  className={styles.historyClose}
+                  onClick={() => onChange(watches.filter((_, i) => i !== index))}
+                  title="Remove watch"
+                >
+                  ×
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+      <form className={styles.watchForm} onSubmit={add}>
+        <input
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          placeholder="Expression, e.g. arr.slice(left, right + 1)"
+          spellCheck={false}
+        />
+        <button type="submit" disabled={!canAdd}>Add</button>
+      </form>
+    </div>
+  );
+};
+
+export default WatchPanel;
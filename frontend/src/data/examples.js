@@ -0,0 +1,650 @@
+// examples.js
+// The example gallery. Most JavaScript programs come from samplepycodes.txt at
+// the repo root; each example has a language, a category, a title, a one-line
+// description, the code itself, the input it runs with and a hint at other
+// inputs worth trying (`hint`). The input has the shape of a run's options
+// (`inputs` as { name: value }, or `stdin`), so loading an example fills the
+// input panel with it; the code reads named values as globals.
+
+// The languages the backend can trace; ids double as Monaco language ids.
+// Read tracing is part of the Babel tracer, so JavaScript and TypeScript only.
+export const LANGUAGES = [
+  { id: "javascript", label: "JavaScript", traceReads: true, traceExpressions: true },
+  { id: "typescript", label: "TypeScript", traceReads: true, traceExpressions: true },
+  { id: "python", label: "Python", traceReads: false, traceExpressions: false },
+];
+
+export const EXAMPLE_CATEGORIES = ["searching", "sorting", "recursion", "linked lists", "classes"];
+
+export const EXAMPLES = [
+  // --- Searching ---
+  {
+    id: "binary-search",
+    language: "javascript",
+    category: "searching",
+    title: "Binary search",
+    description: "Halves the search range of a sorted array until it finds the target.",
+    hint: "Try a target that is missing (4) or at either end (1, 9).",
+    inputs: { arr: [1, 3, 5, 7, 9], target: 7 },
+    code: `// Binary search
+function binarySearch(arr, target) {
+  let left = 0, right = arr.length - 1;
+  while (left <= right) {
+    let mid = Math.floor((left + right) / 2);
+    if (arr[mid] === target) return mid;
+    if (arr[mid] < target) left = mid + 1;
+    else right = mid - 1;
+  }
+  return -1;
+}
+console.log(binarySearch(arr, target)); // Output: 3
+`,
+  },
+  {
+    id: "linear-max",
+    language: "javascript",
+    category: "searching",
+    title: "First and maximum",
+    description: "Scans an array once with for...of, keeping the largest value seen so far.",
+    hint: "Try an empty array, or one with only negative numbers.",
+    inputs: { data: [10, 50, 30] },
+    code: `// modern.js
+const processData = (data) => {
+  if (!data || data.length === 0) {
+    return { first: null, max: -Infinity };
+  }
+
+  const [first] = data;
+  let max = first;
+
+  for (const value of data) {
+    if (value > max) {
+      max = value;
+    }
+  }
+  return { first, max };
+};
+
+console.log(processData(data)); // { first: 10, max: 50 }
+`,
+  },
+  {
+    id: "two-pointer-palindrome",
+    language: "javascript",
+    category: "searching",
+    title: "Palindrome with two pointers",
+    description: "Moves one index in from each end of a string, comparing characters.",
+    hint: 'Try "madm", or a single character.',
+    inputs: { word: "racecar" },
+    code: `function isPalindrome(str) {
+  let i = 0;
+  let j = str.length - 1;
+  while (i < j) {
+    if (str[i] !== str[j]) return false;
+    i++;
+    j--;
+  }
+  return true;
+}
+
+console.log(isPalindrome(word));
+`,
+  },
+
+  // --- Sorting ---
+  {
+    id: "bubble-sort",
+    language: "javascript",
+    category: "sorting",
+    title: "Bubble sort",
+    description: "Swaps neighbors that are out of order; the largest value bubbles to the end each pass.",
+    hint: "Try an already sorted array, or one sorted in reverse. Turn on read tracing to count comparisons and swaps.",
+    inputs: { arr: [5, 3, 8, 4, 2] },
+    code: `function bubbleSort(arr) {
+  let n = arr.length;
+
+  for (let i = 0; i < n - 1; i++) {
+    for (let j = 0; j < n - 1 - i; j++) {
+      if (arr[j] > arr[j + 1]) {
+        // Swap elements
+        let temp = arr[j];
+        arr[j] = arr[j + 1];
+        arr[j + 1] = temp;
+      }
+    }
+  }
+
+  return arr;
+}
+
+console.log(bubbleSort(arr));  // Output: [2, 3, 4, 5, 8]
+`,
+  },
+  {
+    id: "bubble-sort-while",
+    language: "javascript",
+    category: "sorting",
+    title: "Bubble sort with while loops",
+    description: "The same passes as bubble sort, with the loop counters managed by hand.",
+    hint: "Try arrays with duplicate values, e.g. [3, 1, 3, 2].",
+    inputs: { arr: [5, 3, 8, 4, 2] },
+    code: `function bubbleSortWithWhile(arr) {
+  let n = arr.length;
+  let i = 0;
+
+  while (i < n - 1) {
+    let j = 0;
+    while (j < n - 1 - i) {
+      if (arr[j] > arr[j + 1]) {
+        // Swap elements
+        let temp = arr[j];
+        arr[j] = arr[j + 1];
+        arr[j + 1] = temp;
+      }
+      j++;
+    }
+    i++;
+  }
+
+  return arr;
+}
+
+console.log(bubbleSortWithWhile(arr));
+`,
+  },
+  {
+    id: "selection-sort",
+    language: "javascript",
+    category: "sorting",
+    title: "Selection sort",
+    description: "Finds the smallest remaining value and swaps it into place, one position at a time.",
+    hint: "Try an already sorted array: the comparisons stay the same.",
+    inputs: { arr: [64, 25, 12, 22, 11] },
+    code: `// selectionSort.js
+function selectionSort(arr) {
+  const n = arr.length;
+  for (let i = 0; i < n - 1; i++) {
+    let minIndex = i;
+    for (let j = i + 1; j < n; j++) {
+      if (arr[j] < arr[minIndex]) {
+        minIndex = j;
+      }
+    }
+    // Swap elements
+    const temp = arr[i];
+    arr[i] = arr[minIndex];
+    arr[minIndex] = temp;
+  }
+  return arr;
+}
+
+console.log(selectionSort(arr));
+`,
+  },
+  {
+    id: "insertion-sort",
+    language: "javascript",
+    category: "sorting",
+    title: "Insertion sort",
+    description: "Shifts larger values right to open a slot for each new element.",
+    hint: "Try a nearly sorted array such as [1, 2, 4, 3, 5].",
+    inputs: { arr: [7, 3, 5, 1, 4] },
+    code: `function insertionSort(arr) {
+  for (let i = 1; i < arr.length; i++) {
+    const key = arr[i];
+    let j = i - 1;
+    while (j >= 0 && arr[j] > key) {
+      arr[j + 1] = arr[j];
+      j--;
+    }
+    arr[j + 1] = key;
+  }
+  return arr;
+}
+
+console.log(insertionSort(arr));
+`,
+  },
+
+  // --- Recursion ---
+  {
+    id: "factorial",
+    language: "javascript",
+    category: "recursion",
+    title: "Factorial",
+    description: "Each call waits on a smaller call until the base case returns 1.",
+    hint: "Try n = 1 for the base case alone, or n = 6 for a deeper stack.",
+    inputs: { n: 4 },
+    code: `// factorial.js
+function factorial(n) {
+  if (n <= 1) {
+    return 1;
+  } else {
+    return n * factorial(n - 1);
+  }
+}
+
+console.log(factorial(n)); // Output: 24
+`,
+  },
+  {
+    id: "binary-search-recursive",
+    language: "javascript",
+    category: "recursion",
+    title: "Recursive binary search",
+    description: "Binary search where each halving is a new call with narrower bounds.",
+    hint: "Try a target of 4, which is not in the array.",
+    inputs: { arr: [1, 3, 5, 7, 9, 11, 13, 15], target: 5 },
+    code: `// Recursive binary search function
+function binarySearchRecursive(array, target, left, right) {
+  if (left > right) {
+    return -1; // Target not found
+  }
+
+  const mid = Math.floor((left + right) / 2);
+
+  if (array[mid] === target) {
+    return mid; // Target found
+  } else if (array[mid] > target) {
+    return binarySearchRecursive(array, target, left, mid - 1);
+  } else {
+    return binarySearchRecursive(array, target, mid + 1, right);
+  }
+}
+
+// Call the function
+const result = binarySearchRecursive(arr, target, 0, arr.length - 1);
+
+// Output
+if (result !== -1) {
+  console.log(\`Target \${target} found at index \${result}\`);
+} else {
+  console.log(\`Target \${target} not found in the array\`);
+}
+`,
+  },
+  {
+    id: "fibonacci",
+    language: "javascript",
+    category: "recursion",
+    title: "Fibonacci (tree recursion)",
+    description: "Two recursive calls per step, so the same values are computed again and again.",
+    hint: "Try n = 5, then compare the step count with n = 3.",
+    inputs: { n: 4 },
+    code: `function fib(n) {
+  if (n < 2) return n;
+  return fib(n - 1) + fib(n - 2);
+}
+
+console.log(fib(n));
+`,
+  },
+  {
+    id: "reverse-string",
+    language: "javascript",
+    category: "recursion",
+    title: "Reverse a string recursively",
+    description: "Reverses the rest of the string, then appends the first character.",
+    hint: 'Try "madam", or an empty string.',
+    inputs: { inputString: "madm" },
+    code: `function reverseString(str) {
+  if (str === "") {
+    return "";
+  }
+  return reverseString(str.slice(1)) + str[0];
+}
+
+// Function to check if a string is a palindrome
+function isPalindrome(str) {
+  const reversed = reverseString(str);
+  return str === reversed;
+}
+
+// Output
+const reversed = reverseString(inputString);
+const palindromeCheck = isPalindrome(inputString);
+
+console.log("Original String:", inputString);
+console.log("Reversed String:", reversed);
+console.log("Is Palindrome:", palindromeCheck);
+`,
+  },
+
+  // --- Linked lists ---
+  {
+    id: "linked-list-append",
+    language: "javascript",
+    category: "linked lists",
+    title: "Append to a linked list",
+    description: "Walks a current pointer to the tail and links a new node after it.",
+    hint: "Try a third value to see the walk get longer.",
+    inputs: { values: [10, 20] },
+    code: `// linkedList.js
+class Node {
+  constructor(data) {
+    this.data = data;
+    this.next = null;
+  }
+}
+
+class LinkedList {
+  constructor() {
+    this.head = null;
+  }
+
+  append(data) {
+    const newNode = new Node(data);
+    if (!this.head) {
+      this.head = newNode;
+      return;
+    }
+    let current = this.head;
+    while (current.next) {
+      current = current.next;
+    }
+    current.next = newNode;
+  }
+}
+
+const list = new LinkedList();
+for (const value of values) {
+  list.append(value);
+}
+console.log(JSON.stringify(list.head)); // {"data":10,"next":{"data":20,"next":null}}
+`,
+  },
+  {
+    id: "linked-list-reverse",
+    language: "javascript",
+    category: "linked lists",
+    title: "Reverse a linked list",
+    description: "Turns each next pointer around using prev, curr and next variables.",
+    hint: "Try a list of one node, or an empty one.",
+    inputs: { values: [1, 2, 3, 4] },
+    code: `function makeList(values) {
+  let head = null;
+  for (let i = values.length - 1; i >= 0; i--) {
+    head = { val: values[i], next: head };
+  }
+  return head;
+}
+
+function reverse(head) {
+  let prev = null;
+  let curr = head;
+  while (curr) {
+    const next = curr.next;
+    curr.next = prev;
+    prev = curr;
+    curr = next;
+  }
+  return prev;
+}
+
+const reversed = reverse(makeList(values));
+console.log(JSON.stringify(reversed));
+`,
+  },
+
+  // --- Classes ---
+  {
+    id: "stack-class",
+    language: "javascript",
+    category: "classes",
+    title: "Stack class",
+    description: "A class wrapping an array, with push, pop and peek methods.",
+    hint: "Try an empty array, so pop has nothing to take.",
+    inputs: { values: [1, 2, 3] },
+    code: `class Stack {
+  constructor() {
+    this.items = [];
+  }
+
+  push(value) {
+    this.items.push(value);
+  }
+
+  pop() {
+    return this.items.pop();
+  }
+
+  peek() {
+    return this.items[this.items.length - 1];
+  }
+}
+
+const stack = new Stack();
+for (const value of values) {
+  stack.push(value);
+}
+console.log(stack.pop(), stack.peek());
+`,
+  },
+  {
+    id: "bank-account",
+    language: "javascript",
+    category: "classes",
+    title: "Bank account with inheritance",
+    description: "A subclass extends a base class and overrides one of its methods.",
+    hint: "Try withdrawing more than the balance.",
+    inputs: { amount: 30 },
+    code: `class Account {
+  constructor(owner, balance) {
+    this.owner = owner;
+    this.balance = balance;
+  }
+
+  withdraw(amount) {
+    if (amount > this.balance) {
+      throw new Error("Insufficient funds");
+    }
+    this.balance -= amount;
+    return this.balance;
+  }
+}
+
+class SavingsAccount extends Account {
+  constructor(owner, balance, rate) {
+    super(owner, balance);
+    this.rate = rate;
+  }
+
+  addInterest() {
+    this.balance += this.balance * this.rate;
+  }
+}
+
+const savings = new SavingsAccount("Ada", 100, 0.1);
+savings.addInterest();
+console.log(savings.withdraw(amount));
+`,
+  },
+
+  // --- TypeScript ---
+  {
+    id: "ts-binary-search",
+    language: "typescript",
+    category: "searching",
+    title: "Generic binary search",
+    description: "Binary search over any sorted array, given a compare function.",
+    hint: "Try a target that isn't among the names.",
+    inputs: { names: ["Ada", "Alan", "Grace", "Linus"], target: "Grace" },
+    code: `// Generic binary search
+declare const names: string[];
+declare const target: string;
+
+type Compare<T> = (a: T, b: T) => number;
+
+export function binarySearch<T>(items: T[], target: T, compare: Compare<T>): number {
+  let left = 0;
+  let right = items.length - 1;
+  while (left <= right) {
+    const mid = Math.floor((left + right) / 2);
+    const order = compare(items[mid], target);
+    if (order === 0) return mid;
+    if (order < 0) left = mid + 1;
+    else right = mid - 1;
+  }
+  return -1;
+}
+
+console.log(binarySearch(names, target, (a, b) => a.localeCompare(b)));
+`,
+  },
+  {
+    id: "ts-queue-class",
+    language: "typescript",
+    category: "classes",
+    title: "Typed queue",
+    description: "A generic class with private fields and an interface for its items.",
+    hint: "Try an empty list of titles, so dequeue has nothing to take.",
+    inputs: { titles: ["Write tests", "Fix bug"] },
+    code: `// A generic queue
+declare const titles: string[];
+
+interface Task {
+  id: number;
+  title: string;
+}
+
+class Queue<T> {
+  private items: T[] = [];
+
+  enqueue(item: T): void {
+    this.items.push(item);
+  }
+
+  dequeue(): T | undefined {
+    return this.items.shift();
+  }
+
+  get size(): number {
+    return this.items.length;
+  }
+}
+
+const tasks = new Queue<Task>();
+titles.forEach((title, index) => tasks.enqueue({ id: index + 1, title }));
+const next = tasks.dequeue();
+console.log(next?.title, tasks.size);
+`,
+  },
+
+  // --- Python ---
+  {
+    id: "py-binary-search",
+    language: "python",
+    category: "searching",
+    title: "Binary search",
+    description: "Halves the search range of a sorted list until it finds the target.",
+    hint: "Try a target that is missing (4) or at either end (1, 9).",
+    inputs: { items: [1, 3, 5, 7, 9], target: 7 },
+    code: `# Binary search
+def binary_search(items, target):
+    left, right = 0, len(items) - 1
+    while left <= right:
+        mid = (left + right) // 2
+        if items[mid] == target:
+            return mid
+        if items[mid] < target:
+            left = mid + 1
+        else:
+            right = mid - 1
+    return -1
+
+print(binary_search(items, target))  # Output: 3
+`,
+  },
+  {
+    id: "py-bubble-sort",
+    language: "python",
+    category: "sorting",
+    title: "Bubble sort",
+    description: "Swaps neighbouring items with tuple assignment until the list is sorted.",
+    hint: "Try an already sorted list, or one sorted in reverse.",
+    inputs: { items: [5, 2, 9, 1] },
+    code: `# Bubble sort
+def bubble_sort(items):
+    n = len(items)
+    for i in range(n - 1):
+        for j in range(n - 1 - i):
+            if items[j] > items[j + 1]:
+                items[j], items[j + 1] = items[j + 1], items[j]
+    return items
+
+print(bubble_sort(items))
+`,
+  },
+  {
+    id: "py-factorial",
+    language: "python",
+    category: "recursion",
+    title: "Factorial",
+    description: "Each call waits on the stack for the smaller factorial it depends on.",
+    hint: "Try 0, or a larger n to watch the stack grow.",
+    inputs: { n: 5 },
+    code: `# Recursive factorial
+def factorial(n):
+    if n <= 1:
+        return 1
+    return n * factorial(n - 1)
+
+print(factorial(n))
+`,
+  },
+  {
+    id: "py-linked-list",
+    language: "python",
+    category: "linked lists",
+    title: "Reverse a linked list",
+    description: "Builds a list of nodes, then turns every next pointer around.",
+    hint: "Try a single value, or an empty list.",
+    inputs: { values: [1, 2, 3] },
+    code: `# Reverse a linked list
+class Node:
+    def __init__(self, value, next=None):
+        self.value = value
+        self.next = next
+
+def reverse(head):
+    previous = None
+    while head is not None:
+        head.next, previous, head = previous, head, head.next
+    return previous
+
+head = None
+for value in reversed(values):
+    head = Node(value, head)
+head = reverse(head)
+while head:
+    print(head.value)
+    head = head.next
+`,
+  },
+  {
+    id: "py-word-count",
+    language: "python",
+    category: "classes",
+    title: "Word counter",
+    description: "An object keeps a dict of counts that grows as words are added.",
+    hint: "Try words with different capitalisation.",
+    inputs: { sentences: ["the cat saw the dog", "The dog ran"] },
+    code: `# Counting words with a class
+class WordCounter:
+    def __init__(self):
+        self.counts = {}
+
+    def add(self, sentence):
+        for word in sentence.lower().split():
+            self.counts[word] = self.counts.get(word, 0) + 1
+
+    def most_common(self):
+        return max(self.counts, key=self.counts.get)
+
+counter = WordCounter()
+for sentence in sentences:
+    counter.add(sentence)
+print(counter.most_common())
+`,
+  },
+];
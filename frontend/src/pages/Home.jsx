@@ -1,47 +1,289 @@
-import { useState } from "react";
+import { useEffect, useRef, useState } from "react";
 import CodeEditor from "../components/CodeEditor";
 import Visualizer from "../components/Visualizer";
+import SessionBar from "../components/SessionBar";
+import TestResults from "../components/TestResults";
+import TraceProgress from "../components/TraceProgress";
+import AnalysisPanel from "../components/AnalysisPanel";
+import { findNextHit } from "../utils/breakpoints";
+import { createPermalink, readPermalink } from "../utils/permalink";
+import { loadSessions, recordSession, updateSession, removeSession } from "../utils/sessions";
+import { streamTrace, cancelTrace } from "../utils/traceStream";
+import { EXAMPLES } from "../data/examples";
+
+const MAX_HINT_LENGTH = 60;
+// How long stepping must pause before the session's position is saved
+const SESSION_SAVE_DELAY = 500;
+
+// What the editor writes after a step's range: the value an expression gave
+// (with expression tracing) or the value being returned
+function valueHint(frame) {
+  if (!frame?.range) return null;
+  const returned = frame.returns?.find((entry) => entry.id === frame.frameId && "value" in entry);
+  const hint = frame.evaluated ? `= ${frame.evaluated.text}` : returned ? `→ ${returned.text}` : null;
+  return hint && hint.length > MAX_HINT_LENGTH ? `${hint.slice(0, MAX_HINT_LENGTH - 1)}…` : hint;
+}
+
+// Run options with the watch expressions every step is evaluated against
+function withWatches(options, watchList) {
+  const run = { ...options };
+  delete run.watches;
+  if (watchList.length > 0) run.watches = watchList;
+  return run;
+}
 
 const Home = () => {
   const [logs, setLogs] = useState([]);
   const [code, setCode] = useState("");
   const [currentStep, setCurrentStep] = useState(0);
+  const [breakpoints, setBreakpoints] = useState([]);
+  // What the current logs were traced from, so run-to-cursor can reuse them
+  const lastRunRef = useRef(null);
+  const [runOptions, setRunOptions] = useState({});
+  // Watch expressions go with every run; changing them traces the code again
+  const [watches, setWatches] = useState([]);
+  const [sessions, setSessions] = useState(loadSessions);
+  const [activeSessionId, setActiveSessionId] = useState(null);
+  // Replacing the editor's content remounts it with a new key; a first visit
+  // starts on the first example, with its input
+  const [editorSeed, setEditorSeed] = useState({ key: 0, code: EXAMPLES[0].code, options: { inputs: EXAMPLES[0].inputs } });
+  const restoredRef = useRef(false);
+  // The latest openSession, for restoring a session once the page has loaded
+  const openSessionRef = useRef(null);
+  // { results, active, skipped } when the run had test cases; `logs` are the
+  // active case's frames
+  const [testRun, setTestRun] = useState(null);
+  // Statistics of the shown run (or test case) when it was analysed, with the
+  // `growth` rows measured so far
+  const [analysis, setAnalysis] = useState(null);
+  // { runId, steps, cancelling } while a trace is streaming in
+  const [tracing, setTracing] = useState(null);
+  const streamRef = useRef(null);
 
-  const runCode = async (codeInput) => {
+  // options: { language, traceReads, traceExpressions, stdin, inputs, tests, analyze, growth }
+  // from the editor, passed through to the tracer with `watchList` as watches.
+  // Frames are shown as they stream in. The run opens at `startStep` (clamped
+  // to the trace) once it is complete and becomes the most recent session.
+  // Resolves with the shown frames; a run replaced by a newer one resolves with [].
+  const runCode = async (codeInput, editorOptions = {}, startStep = 0, watchList = watches) => {
+    const options = withWatches(editorOptions, watchList);
     setCode(codeInput);
+    setRunOptions(options);
+    lastRunRef.current = JSON.stringify({ code: codeInput, ...options });
+    const recorded = recordSession({ code: codeInput, breakpoints, options });
+    setSessions(recorded.sessions);
+    setActiveSessionId(recorded.id);
+
+    streamRef.current?.abort();
+    const controller = new AbortController();
+    streamRef.current = controller;
+    const hasTests = options.tests?.length > 0;
+    // Frames per test case (just [0] without tests); case 0 is shown live
+    const caseFrames = [[]];
+    const results = [];
+    setLogs([]);
+    setCurrentStep(0);
+    setTestRun(hasTests ? { results: [], active: 0, skipped: 0 } : null);
+    setAnalysis(null);
+    setTracing({ runId: null, steps: 0, cancelling: false });
+
+    const onEvent = (event, data) => {
+      if (controller.signal.aborted) return;
+      switch (event) {
+        case "start":
+          setTracing((current) => ({ ...current, runId: data.runId }));
+          break;
+        case "frames": {
+          const index = data.test ?? 0;
+          caseFrames[index] = (caseFrames[index] || []).concat(data.frames);
+          if (index === 0) setLogs(caseFrames[0]);
+          setTracing((current) => ({ ...current, steps: current.steps + data.frames.length }));
+          break;
+        }
+        case "test":
+          results[data.index] = { ...data, logs: caseFrames[data.index] || [] };
+          setTestRun((run) => ({ ...run, results: [...results] }));
+          if (data.index === 0 && data.analysis) setAnalysis(data.analysis);
+          break;
+        case "analysis":
+          setAnalysis((current) => ({ ...current, ...data }));
+          break;
+        case "growth":
+          setAnalysis((current) => ({ ...current, growth: [...(current?.growth || []), data] }));
+          break;
+        case "done":
+          if (hasTests) setTestRun((run) => ({ ...run, skipped: data.skippedTests || 0 }));
+          break;
+        default:
+          break;
+      }
+    };
+
     try {
-      const res = await fetch("http://127.0.0.1:5000/api/code/run", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ code: codeInput }),
-      });
-      const data = await res.json();
-      setLogs(data.logs);
-      setCurrentStep(0);
+      await streamTrace({ code: codeInput, ...options }, { onEvent, signal: controller.signal });
+      if (startStep > 0) setCurrentStep(Math.max(0, Math.min(startStep, caseFrames[0].length - 1)));
+      return caseFrames[0];
     } catch (err) {
+      if (controller.signal.aborted) return [];
       console.error(err);
-      setLogs([{ error: err.message }]);
+      const errorLogs = [{ action: "error", locals: {}, stack: [], heap: {}, error: { type: err.name, message: err.message } }];
+      setTestRun(null);
+      setAnalysis(null);
+      setLogs(errorLogs);
+      return errorLogs;
+    } finally {
+      if (streamRef.current === controller) {
+        streamRef.current = null;
+        setTracing(null);
+      }
     }
   };
 
+  // The stream ends by itself with an "execution cancelled" frame
+  const cancelRun = () => {
+    if (!tracing?.runId) return;
+    setTracing((current) => ({ ...current, cancelling: true }));
+    cancelTrace(tracing.runId).catch((err) => console.error(err));
+  };
+
+  // Jumps to the next step on `line`, tracing the code first if it changed
+  const runToCursor = async (codeInput, options, line) => {
+    const cursor = [{ line, condition: "" }];
+    if (logs.length > 0 && lastRunRef.current === JSON.stringify({ code: codeInput, ...withWatches(options, watches) })) {
+      const next = findNextHit(logs, currentStep, cursor);
+      if (next !== -1) setCurrentStep(next);
+      return;
+    }
+    const newLogs = await runCode(codeInput, options);
+    const first = findNextHit(newLogs, -1, cursor);
+    if (first !== -1) setCurrentStep(first);
+  };
+
+  // Loads a saved or shared session into the editor and traces it again
+  const openSession = (session) => {
+    if (!session) return;
+    const sessionWatches = session.options?.watches || [];
+    setBreakpoints(session.breakpoints || []);
+    setWatches(sessionWatches);
+    setEditorSeed((seed) => ({ key: seed.key + 1, code: session.code, options: session.options || {} }));
+    runCode(session.code, session.options || {}, session.step || 0, sessionWatches);
+  };
+
+  // Watches are evaluated while tracing, so the shown run is traced again
+  // with the new list, staying on the current step
+  const changeWatches = (watchList) => {
+    setWatches(watchList);
+    if (code) runCode(code, runOptions, currentStep, watchList);
+  };
+
+  const selectTestCase = (index) => {
+    setTestRun((run) => ({ ...run, active: index }));
+    setLogs(testRun.results[index].logs);
+    setAnalysis(testRun.results[index].analysis || null);
+    setCurrentStep(0);
+  };
+
+  const share = () => createPermalink({ code, step: currentStep, breakpoints, options: runOptions });
+
+  useEffect(() => {
+    openSessionRef.current = openSession;
+  });
+
+  // On load, open a shared link if there is one, otherwise the latest session.
+  // Later sessions are opened from the session bar.
+  useEffect(() => {
+    if (restoredRef.current) return;
+    restoredRef.current = true;
+    readPermalink(window.location.hash).then((shared) => {
+      if (shared) {
+        window.history.replaceState(null, "", window.location.pathname + window.location.search);
+        openSessionRef.current(shared);
+      } else {
+        openSessionRef.current(loadSessions()[0]);
+      }
+    });
+  }, []);
+
+  // Keep the active session's position and breakpoints up to date. Stepping
+  // through a trace changes them many times a second, so they're saved once
+  // it pauses, or when the page is left before then.
+  useEffect(() => {
+    if (!activeSessionId) return;
+    const save = () => setSessions(updateSession(activeSessionId, { step: currentStep, breakpoints }));
+    const timer = setTimeout(save, SESSION_SAVE_DELAY);
+    window.addEventListener("pagehide", save);
+    return () => {
+      clearTimeout(timer);
+      window.removeEventListener("pagehide", save);
+    };
+  }, [activeSessionId, currentStep, breakpoints]);
+
   return (
     <div style={{ padding: "0.5rem", maxWidth: "900px", margin: "auto" }}>
       <h1 style={{ textAlign: "center", marginBottom: "1rem" }}>
-        JavaScript Code Visualizer
+        CodeSculpt Code Visualizer
       </h1>
 
+      <SessionBar
+        sessions={sessions}
+        activeId={activeSessionId}
+        onOpen={openSession}
+        onRename={(id, name) => setSessions(updateSession(id, { name }))}
+        onRemove={(id) => {
+          setSessions(removeSession(id));
+          setActiveSessionId(null);
+        }}
+        onShare={share}
+        canShare={logs.length > 0}
+      />
+
       <div className="home-container">
         <div className="code-editor-container">
           <CodeEditor
-            code={code}
+            key={editorSeed.key}
+            initialCode={editorSeed.code}
+            initialOptions={editorSeed.options}
             onRun={runCode}
-            highlightLine={logs[currentStep]?.line ? logs[currentStep].line - 1 : null}
+            onRunToCursor={runToCursor}
+            breakpoints={breakpoints}
+            setBreakpoints={setBreakpoints}
+            highlightLine={logs[currentStep]?.line > 0 ? logs[currentStep].line : null}
+            highlightKind={logs[currentStep]?.action === "error" ? "error" : "step"}
+            highlightRange={logs[currentStep]?.range || null}
+            valueHint={valueHint(logs[currentStep])}
+            lineCounts={analysis?.lines}
           />
         </div>
 
         <div className="visualizer-container">
+          {tracing && (
+            <TraceProgress
+              steps={tracing.steps}
+              testsDone={testRun ? testRun.results.length : null}
+              sizesDone={analysis?.growth ? analysis.growth.length : null}
+              onCancel={cancelRun}
+              canCancel={Boolean(tracing.runId) && !tracing.cancelling}
+            />
+          )}
+          {testRun && testRun.results.length > 0 && (
+            <TestResults
+              results={testRun.results}
+              active={testRun.active}
+              skipped={testRun.skipped}
+              onSelect={selectTestCase}
+            />
+          )}
+          {analysis && <AnalysisPanel analysis={analysis} />}
           {logs.length > 0 && (
-            <Visualizer logs={logs} step={currentStep} setStep={setCurrentStep} />
+            <Visualizer
+              logs={logs}
+              step={currentStep}
+              setStep={setCurrentStep}
+              breakpoints={breakpoints}
+              code={code}
+              watches={runOptions.watches}
+              onWatchesChange={changeWatches}
+            />
           )}
         </div>
       </div>
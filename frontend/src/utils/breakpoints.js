@@ -0,0 +1,71 @@
+// breakpoints.js
+// Line breakpoints over a finished trace. A breakpoint is { line, condition }
+// where the optional condition is an expression evaluated against the
+// variables of the frame that reached the line, e.g. `i === 3` (see
+// expression.js for what a condition may use).
+import { decodeValue } from "./heap";
+import { compileExpression } from "./expression";
+
+// Compiled conditions by source text; null marks one that doesn't compile
+const compiled = new Map();
+
+function compileCondition(condition) {
+  if (!compiled.has(condition)) {
+    let evaluate = null;
+    try {
+      evaluate = compileExpression(condition);
+    } catch {
+      evaluate = null;
+    }
+    compiled.set(condition, evaluate);
+  }
+  return compiled.get(condition);
+}
+
+/**
+ * Evaluates a condition against a frame's locals. A condition that throws
+ * or doesn't compile never holds.
+ */
+export function conditionHolds(condition, frame) {
+  if (!condition || !condition.trim()) return true;
+  const evaluate = compileCondition(condition);
+  if (!evaluate) return false;
+  const locals = frame.locals || {};
+  const decoded = new Map();
+  const lookup = (name) => {
+    if (!Object.hasOwn(locals, name)) throw new ReferenceError(`${name} is not defined`);
+    return decodeValue(locals[name], frame.heap || {}, decoded);
+  };
+  try {
+    return Boolean(evaluate(lookup));
+  } catch {
+    return false;
+  }
+}
+
+// The step after an if/loop/switch test also counts as reaching the test's line
+const matches = (frame, breakpoint) =>
+  Boolean(frame) &&
+  (frame.line === breakpoint.line || frame.contextLine === breakpoint.line) &&
+  conditionHolds(breakpoint.condition, frame);
+
+/**
+ * Whether the frame at `index` stops at a breakpoint. A line that produces
+ * several steps in a row only stops on the first one that matches.
+ */
+export function isBreakpointHit(logs, index, breakpoints) {
+  return breakpoints.some((breakpoint) =>
+    matches(logs[index], breakpoint) && !(index > 0 && matches(logs[index - 1], breakpoint))
+  );
+}
+
+/**
+ * Index of the first breakpoint hit after `from`, or -1 if there is none.
+ */
+export function findNextHit(logs, from, breakpoints) {
+  if (breakpoints.length === 0) return -1;
+  for (let i = from + 1; i < logs.length; i++) {
+    if (isBreakpointHit(logs, i, breakpoints)) return i;
+  }
+  return -1;
+}
@@ -0,0 +1,47 @@
+// callTree.js
+// The call tree recorded in a trace (see createFrameBuilder in server.js): a
+// call step carries `callNode` ({ id, parent, function, label, args }) and
+// the step a call finishes on lists it under `returns` ({ id, text } or
+// { id, threw }).
+
+/**
+ * Every call in `logs` with the steps it starts and finishes on.
+ *
+ * @returns {{ nodes: Map<number, Object>, roots: Array<number> }} Nodes by
+ *   call id, with `children` ids in call order; `roots` are calls made from
+ *   the top level. `repeatOf` names an earlier call with the same arguments.
+ */
+export function buildCallTree(logs) {
+  const nodes = new Map();
+  const roots = [];
+  const firstCall = new Map();
+  logs.forEach((frame, step) => {
+    if (frame.callNode) {
+      const node = { ...frame.callNode, children: [], callStep: step, returnStep: null, returnText: null, threw: false };
+      if (firstCall.has(node.label)) node.repeatOf = firstCall.get(node.label);
+      else firstCall.set(node.label, node.id);
+      nodes.set(node.id, node);
+      const parent = nodes.get(node.parent);
+      if (parent) parent.children.push(node.id);
+      else roots.push(node.id);
+    }
+    (frame.returns || []).forEach(({ id, text, threw }) => {
+      const node = nodes.get(id);
+      if (!node) return;
+      node.returnStep = step;
+      node.returnText = text ?? null;
+      node.threw = Boolean(threw);
+    });
+  });
+  return { nodes, roots };
+}
+
+// True when some call is made, directly or not, from a call of the same function
+export function hasRecursion({ nodes }) {
+  for (const node of nodes.values()) {
+    for (let parent = nodes.get(node.parent); parent; parent = nodes.get(parent.parent)) {
+      if (parent.function === node.function) return true;
+    }
+  }
+  return false;
+}
@@ -0,0 +1,245 @@
+// expression.js
+// A small evaluator for the JavaScript expressions breakpoint conditions are
+// written in. Conditions travel in share links and saved sessions, so they
+// are never compiled as code: only literals, variables, property reads,
+// operators and a few read-only methods (e.g. `arr.includes(x)`) are allowed.
+
+const TOKEN =
+  /\s*(?:(\d+(?:\.\d*)?(?:[eE][+-]?\d+)?n?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_$][\w$]*)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(===|!==|\*\*|==|!=|<=|>=|&&|\|\||\?\?|\?\.|[-+*/%<>!?:.,()[\]]))/y;
+
+const ESCAPES = { n: "\n", t: "\t", r: "\r", 0: "\0" };
+
+// Binary operators by precedence, loosest first
+const PRECEDENCE = {
+  "??": 1, "||": 2, "&&": 3,
+  "==": 4, "!=": 4, "===": 4, "!==": 4,
+  "<": 5, ">": 5, "<=": 5, ">=": 5,
+  "+": 6, "-": 6,
+  "*": 7, "/": 7, "%": 7,
+  "**": 8,
+};
+
+const CONSTANTS = { true: true, false: false, null: null, undefined: undefined, NaN: NaN, Infinity: Infinity };
+
+// Methods a condition may call, by the kind of value they are called on
+const METHODS = [
+  [(value) => Array.isArray(value), ["includes", "indexOf", "lastIndexOf", "at", "join", "slice"]],
+  [(value) => typeof value === "string", ["includes", "indexOf", "startsWith", "endsWith", "at", "slice", "toLowerCase", "toUpperCase", "trim"]],
+  [(value) => value instanceof Map, ["has", "get"]],
+  [(value) => value instanceof Set, ["has"]],
+];
+
+function tokenize(source) {
+  const tokens = [];
+  const text = source.trimEnd();
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < text.length) {
+    const start = TOKEN.lastIndex;
+    const match = TOKEN.exec(text);
+    if (!match) throw new SyntaxError(`Unexpected "${text.slice(start).trim()[0]}"`);
+    const [, number, name, string, punctuator] = match;
+    if (number !== undefined) {
+      tokens.push({ type: "literal", value: number.endsWith("n") ? BigInt(number.slice(0, -1)) : Number(number) });
+    } else if (name !== undefined) {
+      tokens.push({ type: "name", value: name });
+    } else if (string !== undefined) {
+      const value = string.slice(1, -1).replace(/\\(.)/g, (_, char) => ESCAPES[char] ?? char);
+      tokens.push({ type: "literal", value });
+    } else {
+      tokens.push({ type: "punctuator", value: punctuator });
+    }
+  }
+  return tokens;
+}
+
+// Recursive descent over the tokens into { type, ... } nodes
+function parse(source) {
+  const tokens = tokenize(source);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isPunctuator = (value) => peek()?.type === "punctuator" && peek().value === value;
+  const expect = (value) => {
+    if (!isPunctuator(value)) throw new SyntaxError(`Expected "${value}"`);
+    position++;
+  };
+
+  function primary() {
+    const token = tokens[position++];
+    if (!token) throw new SyntaxError("Unexpected end of condition");
+    if (token.type === "literal") return { type: "literal", value: token.value };
+    if (token.type === "name") {
+      if (token.value in CONSTANTS) return { type: "literal", value: CONSTANTS[token.value] };
+      return { type: "variable", name: token.value };
+    }
+    if (token.value === "(") {
+      const inner = conditional();
+      expect(")");
+      return inner;
+    }
+    throw new SyntaxError(`Unexpected "${token.value}"`);
+  }
+
+  function postfix() {
+    let node = primary();
+    for (;;) {
+      const optional = isPunctuator("?.");
+      if (optional) position++;
+      if (isPunctuator("[")) {
+        position++;
+        const key = conditional();
+        expect("]");
+        node = { type: "member", object: node, key, optional };
+      } else if (optional || isPunctuator(".")) {
+        if (!optional) position++;
+        const name = tokens[position++];
+        if (name?.type !== "name") throw new SyntaxError("Expected a property name");
+        node = { type: "member", object: node, key: { type: "literal", value: name.value }, optional };
+      } else if (isPunctuator("(")) {
+        if (node.type !== "member") throw new SyntaxError("Only methods can be called");
+        position++;
+        const args = [];
+        while (!isPunctuator(")")) {
+          args.push(conditional());
+          if (!isPunctuator(")")) expect(",");
+        }
+        position++;
+        node = { type: "call", callee: node, args };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  function unary() {
+    if (["!", "-", "+"].some(isPunctuator)) {
+      const operator = tokens[position++].value;
+      return { type: "unary", operator, argument: unary() };
+    }
+    if (peek()?.type === "name" && peek().value === "typeof") {
+      position++;
+      return { type: "unary", operator: "typeof", argument: unary() };
+    }
+    return postfix();
+  }
+
+  function binary(minPrecedence) {
+    let left = unary();
+    for (;;) {
+      const token = peek();
+      const precedence = token?.type === "punctuator" ? PRECEDENCE[token.value] : undefined;
+      if (!precedence || precedence < minPrecedence) return left;
+      position++;
+      // ** groups to the right, everything else to the left
+      const right = binary(token.value === "**" ? precedence : precedence + 1);
+      left = { type: "binary", operator: token.value, left, right };
+    }
+  }
+
+  function conditional() {
+    const test = binary(1);
+    if (!isPunctuator("?")) return test;
+    position++;
+    const consequent = conditional();
+    expect(":");
+    return { type: "conditional", test, consequent, alternate: conditional() };
+  }
+
+  const tree = conditional();
+  if (position < tokens.length) throw new SyntaxError(`Unexpected "${peek().value}"`);
+  return tree;
+}
+
+// Only a value's own data is readable, plus the length or size of the
+// built-in collections
+function readProperty(object, key) {
+  if (object === null || object === undefined) throw new TypeError(`Cannot read properties of ${object}`);
+  if (key === "length" && (typeof object === "string" || Array.isArray(object))) return object.length;
+  if (key === "size" && (object instanceof Map || object instanceof Set)) return object.size;
+  return Object.hasOwn(Object(object), key) ? object[key] : undefined;
+}
+
+function callMethod(object, name, args) {
+  const entry = METHODS.find(([accepts]) => accepts(object));
+  if (!entry || !entry[1].includes(name)) throw new TypeError(`${name} can't be called in a condition`);
+  return object[name](...args);
+}
+
+function evaluate(node, lookup) {
+  switch (node.type) {
+    case "literal":
+      return node.value;
+    case "variable":
+      return lookup(node.name);
+    case "member": {
+      const object = evaluate(node.object, lookup);
+      if (node.optional && (object === null || object === undefined)) return undefined;
+      return readProperty(object, String(evaluate(node.key, lookup)));
+    }
+    case "call": {
+      const object = evaluate(node.callee.object, lookup);
+      if (node.callee.optional && (object === null || object === undefined)) return undefined;
+      const args = node.args.map((arg) => evaluate(arg, lookup));
+      return callMethod(object, String(evaluate(node.callee.key, lookup)), args);
+    }
+    case "unary": {
+      if (node.operator === "typeof") {
+        try {
+          return typeof evaluate(node.argument, lookup);
+        } catch (err) {
+          if (err instanceof ReferenceError) return "undefined";
+          throw err;
+        }
+      }
+      const value = evaluate(node.argument, lookup);
+      if (node.operator === "!") return !value;
+      return node.operator === "-" ? -value : +value;
+    }
+    case "conditional":
+      return evaluate(node.test, lookup) ? evaluate(node.consequent, lookup) : evaluate(node.alternate, lookup);
+    case "binary":
+      return evaluateBinary(node, lookup);
+    default:
+      throw new TypeError(`Unknown node ${node.type}`);
+  }
+}
+
+function evaluateBinary({ operator, left, right }, lookup) {
+  const a = evaluate(left, lookup);
+  switch (operator) {
+    case "&&": return a && evaluate(right, lookup);
+    case "||": return a || evaluate(right, lookup);
+    case "??": return a ?? evaluate(right, lookup);
+    default: break;
+  }
+  const b = evaluate(right, lookup);
+  switch (operator) {
+    case "===": return a === b;
+    case "!==": return a !== b;
+    case "==": return a == b;
+    case "!=": return a != b;
+    case "<": return a < b;
+    case ">": return a > b;
+    case "<=": return a <= b;
+    case ">=": return a >= b;
+    case "+": return a + b;
+    case "-": return a - b;
+    case "*": return a * b;
+    case "/": return a / b;
+    case "%": return a % b;
+    default: return a ** b;
+  }
+}
+
+/**
+ * Parses a condition once for repeated evaluation.
+ *
+ * @returns {(lookup: (name: string) => any) => any} Evaluates the condition,
+ *   reading variables through `lookup`, which throws a ReferenceError for
+ *   unknown names.
+ * @throws {SyntaxError} If the condition uses anything outside the subset.
+ */
+export function compileExpression(source) {
+  const tree = parse(source);
+  return (lookup) => evaluate(tree, lookup);
+}
@@ -0,0 +1,59 @@
+// growth.js
+// Reading a growth table: the steps a program took at several input sizes
+// (rows of { n, steps, stopped?, error? } from the tracer's `growth` option).
+
+// Growth rates a table is compared with, slowest first
+const MODELS = [
+  { label: "O(1)", f: () => 1 },
+  { label: "O(log n)", f: (n) => Math.log2(n + 1) },
+  { label: "O(n)", f: (n) => n },
+  { label: "O(n log n)", f: (n) => n * Math.log2(n + 1) },
+  { label: "O(n²)", f: (n) => n * n },
+  { label: "O(n³)", f: (n) => n ** 3 },
+  { label: "O(2ⁿ)", f: (n) => 2 ** n },
+];
+
+// Squared error of the least-squares line steps = a + b·x, with b >= 0 so a
+// model only explains steps that grow with it
+function fitError(points) {
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const meanX = mean(points.map(([x]) => x));
+  const meanY = mean(points.map(([, y]) => y));
+  const varianceX = mean(points.map(([x]) => (x - meanX) ** 2));
+  const covariance = mean(points.map(([x, y]) => (x - meanX) * (y - meanY)));
+  const slope = varianceX > 0 ? Math.max(0, covariance / varianceX) : 0;
+  const intercept = meanY - slope * meanX;
+  return points.reduce((sum, [x, y]) => sum + (y - intercept - slope * x) ** 2, 0);
+}
+
+/**
+ * The growth rate that best explains a table, fitting steps = a + b·f(n) for
+ * each of MODELS; the constant `a` absorbs setup work that doesn't depend on
+ * n. Only complete runs count, and at least three sizes are needed.
+ *
+ * @returns {string|null} e.g. "O(n log n)", or null when there's too little data.
+ */
+export function fitGrowth(rows) {
+  const complete = rows.filter((row) => Number.isFinite(row.steps) && !row.stopped && !row.error);
+  if (new Set(complete.map((row) => row.n)).size < 3) return null;
+
+  let best = null;
+  for (const model of MODELS) {
+    const error = fitError(complete.map((row) => [model.f(row.n), row.steps]));
+    // Ties go to the slower-growing model
+    if (!best || error < best.error * 0.999) best = { label: model.label, error };
+  }
+  return best.label;
+}
+
+/**
+ * How many times the steps grew since the previous row, e.g. 3.9 when n
+ * doubled and the steps almost quadrupled. Null for the first row and rows
+ * that didn't finish.
+ */
+export function growthRatio(rows, index) {
+  const row = rows[index];
+  const previous = rows[index - 1];
+  if (!previous || !(previous.steps > 0) || row.stopped || row.error || previous.stopped || previous.error) return null;
+  return row.steps / previous.steps;
+}
@@ -0,0 +1,143 @@
+// heap.js
+// Helpers for the encoded values in trace frames. The backend sends objects
+// as { ref: id } pointers into the frame's `heap`; primitives JSON can't carry
+// come as { type, value } (see js-tracer-backend/heap-encoder.js).
+
+export const isRef = (value) =>
+  value !== null && typeof value === "object" && typeof value.ref === "number";
+
+// Text for a value that is drawn inline, i.e. anything but a pointer
+export function formatPrimitive(value) {
+  if (value === null) return "null";
+  if (typeof value === "string") return `"${value}"`;
+  if (typeof value === "object") {
+    if (value.type === "undefined") return "undefined";
+    if (value.type === "bigint") return `${value.value}n`;
+    if (value.type === "accessor") return "(getter)";
+    return String(value.value);
+  }
+  return String(value);
+}
+
+// The encoded values a heap object points at, in display order
+export function heapChildren(object) {
+  switch (object.type) {
+    case "array":
+    case "set":
+      return object.items;
+    case "map":
+      return object.entries.flat();
+    case "object":
+      return Object.values(object.properties);
+    case "promise":
+      return "value" in object ? [object.value] : [];
+    default:
+      return [];
+  }
+}
+
+// Heading of a heap object's box, e.g. "Array(3)", "Node", "Map(2)"
+export function describeHeapObject(object) {
+  switch (object.type) {
+    case "array":
+      return `${object.className || "Array"}(${object.items.length})`;
+    case "set":
+      return `Set(${object.items.length})`;
+    case "map":
+      return `Map(${object.entries.length})`;
+    case "object":
+      return object.className || "Object";
+    case "function":
+      return `function ${object.name}`;
+    case "class":
+      return `class ${object.name}`;
+    case "error":
+      return object.name;
+    case "promise":
+      return `Promise <${object.state}>`;
+    case "date":
+      return "Date";
+    case "regexp":
+      return "RegExp";
+    default:
+      return object.type;
+  }
+}
+
+/**
+ * Orders heap ids the way they are first reached from the stack (outermost
+ * frame first), so objects sit close to the variables and objects that
+ * point at them.
+ */
+export function heapLayoutOrder(stack, heap) {
+  const order = [];
+  const seen = new Set();
+  const queue = stack.flatMap((frame) => Object.values(frame.locals || {}));
+  while (queue.length > 0) {
+    const value = queue.shift();
+    if (!isRef(value) || seen.has(value.ref) || !heap[value.ref]) continue;
+    seen.add(value.ref);
+    order.push(value.ref);
+    queue.push(...heapChildren(heap[value.ref]));
+  }
+  // Anything only reachable from elsewhere (e.g. a return value) goes last
+  Object.keys(heap).map(Number).forEach((id) => { if (!seen.has(id)) order.push(id); });
+  return order;
+}
+
+/**
+ * Rebuilds a JavaScript value from its encoding, so user expressions (e.g. a
+ * breakpoint condition) can run against a frame's variables. Objects come
+ * back as plain copies: arrays, objects, Maps and Sets keep their contents
+ * and aliasing, anything else becomes an empty stand-in.
+ */
+export function decodeValue(value, heap, decoded = new Map()) {
+  if (isRef(value)) {
+    if (decoded.has(value.ref)) return decoded.get(value.ref);
+    const object = heap[value.ref];
+    switch (object?.type) {
+      case "array": {
+        const items = [];
+        decoded.set(value.ref, items);
+        object.items.forEach((item) => items.push(decodeValue(item, heap, decoded)));
+        return items;
+      }
+      case "object": {
+        const properties = {};
+        decoded.set(value.ref, properties);
+        Object.entries(object.properties).forEach(([key, item]) => {
+          properties[key] = decodeValue(item, heap, decoded);
+        });
+        return properties;
+      }
+      case "map": {
+        const map = new Map();
+        decoded.set(value.ref, map);
+        object.entries.forEach(([key, item]) => map.set(decodeValue(key, heap, decoded), decodeValue(item, heap, decoded)));
+        return map;
+      }
+      case "set": {
+        const set = new Set();
+        decoded.set(value.ref, set);
+        object.items.forEach((item) => set.add(decodeValue(item, heap, decoded)));
+        return set;
+      }
+      case "function":
+      case "class":
+        return function stub() {};
+      default:
+        return {};
+    }
+  }
+  if (value === null || typeof value !== "object") return value;
+  switch (value.type) {
+    case "undefined":
+      return undefined;
+    case "number":
+      return value.value === "-0" ? -0 : Number(value.value);
+    case "bigint":
+      return BigInt(value.value);
+    default:
+      return value.value;
+  }
+}
@@ -0,0 +1,66 @@
+// permalink.js
+// Share links carry a whole session in the URL hash: the program, the step
+// to open at, the breakpoints and the tracer options, as deflated JSON in
+// base64url. Nothing is stored on a server.
+const PREFIX = "#s1.";
+
+// Bytes are turned into characters a chunk at a time: spreading a large
+// program's bytes into one call would exceed the engine's argument limit
+const CHUNK_SIZE = 0x8000;
+
+const toBase64Url = (bytes) => {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + CHUNK_SIZE));
+  }
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+};
+
+async function transform(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * @param {{ code: string, step: number, breakpoints: Array, options: Object }} session
+ * @returns {Promise<string>} A URL for the current page that reopens `session`.
+ */
+export async function createPermalink(session) {
+  const json = new TextEncoder().encode(JSON.stringify(session));
+  const compressed = await transform(json, new CompressionStream("deflate-raw"));
+  const url = new URL(window.location.href);
+  url.hash = PREFIX + toBase64Url(compressed);
+  return url.toString();
+}
+
+const isBreakpoint = (breakpoint) =>
+  Number.isInteger(breakpoint?.line) && typeof breakpoint.condition === "string";
+
+/**
+ * Reads a session back from a URL hash made by createPermalink.
+ *
+ * @returns {Promise<Object|null>} The session, or null if the hash holds none
+ *   or can't be decoded.
+ */
+export async function readPermalink(hash) {
+  if (!hash.startsWith(PREFIX)) return null;
+  try {
+    const json = await transform(fromBase64Url(hash.slice(PREFIX.length)), new DecompressionStream("deflate-raw"));
+    const session = JSON.parse(new TextDecoder().decode(json));
+    if (typeof session.code !== "string") return null;
+    return {
+      code: session.code,
+      step: Number.isInteger(session.step) ? session.step : 0,
+      breakpoints: Array.isArray(session.breakpoints) ? session.breakpoints.filter(isBreakpoint) : [],
+      options: session.options || {},
+    };
+  } catch (err) {
+    console.error("Could not read the shared link", err);
+    return null;
+  }
+}
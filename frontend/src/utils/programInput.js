@@ -0,0 +1,81 @@
+// programInput.js
+// What a program runs with: stdin text, named input values and test cases.
+// The editor keeps them as text (a draft) and the run options carry them in
+// the shape /api/code/run reads:
+//   { stdin, inputs: { name: value }, tests: [{ name, stdin, inputs, expected }] }
+// Named values are written one per line as `name = <JSON value>`.
+
+const ASSIGNMENT = /^\s*([A-Za-z_$][\w$]*)\s*=\s*(.+?)\s*$/;
+
+export const emptyTestDraft = () => ({ name: "", stdin: "", inputs: "", output: "", returnValue: "" });
+
+function formatInputs(inputs = {}) {
+  return Object.entries(inputs)
+    .map(([name, value]) => `${name} = ${JSON.stringify(value)}`)
+    .join("\n");
+}
+
+function parseInputs(text, where) {
+  const inputs = {};
+  text.split("\n").forEach((line, index) => {
+    if (!line.trim()) return;
+    const match = line.match(ASSIGNMENT);
+    if (!match) throw new Error(`${where}, line ${index + 1}: expected "name = value"`);
+    try {
+      inputs[match[1]] = JSON.parse(match[2]);
+    } catch {
+      throw new Error(`${where}, line ${index + 1}: ${match[2]} is not a JSON value`);
+    }
+  });
+  return inputs;
+}
+
+/**
+ * The editable text for the input in saved run options.
+ */
+export function toInputDraft({ stdin = "", inputs, tests = [] } = {}) {
+  return {
+    stdin,
+    inputs: formatInputs(inputs),
+    tests: tests.map((test) => ({
+      name: test.name || "",
+      stdin: test.stdin || "",
+      inputs: formatInputs(test.inputs),
+      output: test.expected?.output ?? "",
+      returnValue: test.expected && "returnValue" in test.expected ? JSON.stringify(test.expected.returnValue) : "",
+    })),
+  };
+}
+
+/**
+ * Run options for a draft, leaving out what is empty. Throws with a message
+ * naming the field when a value doesn't parse.
+ */
+export function parseInputDraft(draft) {
+  const options = {};
+  if (draft.stdin) options.stdin = draft.stdin;
+  const inputs = parseInputs(draft.inputs, "Inputs");
+  if (Object.keys(inputs).length > 0) options.inputs = inputs;
+  if (draft.tests.length > 0) {
+    options.tests = draft.tests.map((test, index) => {
+      const label = test.name || `Case ${index + 1}`;
+      const expected = {};
+      // An empty expectation isn't checked
+      if (test.output) expected.output = test.output;
+      if (test.returnValue.trim()) {
+        try {
+          expected.returnValue = JSON.parse(test.returnValue);
+        } catch {
+          throw new Error(`${label}: the expected return value is not a JSON value`);
+        }
+      }
+      return {
+        name: test.name || undefined,
+        stdin: test.stdin,
+        inputs: parseInputs(test.inputs, `${label} inputs`),
+        expected,
+      };
+    });
+  }
+  return options;
+}
@@ -0,0 +1,64 @@
+// sessions.js
+// Recently run programs, kept in localStorage. A session is
+// { id, name, code, step, breakpoints, options, updatedAt }; running the same
+// code again updates its session instead of adding one.
+const STORAGE_KEY = "js-visualizer.sessions";
+const MAX_SESSIONS = 20;
+
+export function loadSessions() {
+  try {
+    const sessions = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(sessions) ? sessions : [];
+  } catch {
+    return [];
+  }
+}
+
+function saveSessions(sessions) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(sessions.slice(0, MAX_SESSIONS)));
+  } catch (err) {
+    // Storage can be full or disabled; sessions are a convenience only
+    console.error("Could not save sessions", err);
+  }
+  return sessions.slice(0, MAX_SESSIONS);
+}
+
+// A default name from the program: its first function or class, else its first comment
+export function guessProgramName(code) {
+  const declared = code.match(/(?:function\*?|class)\s+([A-Za-z_$][\w$]*)/);
+  if (declared) return declared[1];
+  const comment = code.match(/^\s*\/\/\s*(.+)$/m);
+  return comment ? comment[1].trim().slice(0, 40) : "untitled";
+}
+
+/**
+ * Records a run as the most recent session.
+ *
+ * @returns {{ sessions: Array<Object>, id: string }} The updated list and the
+ *   id of the session for this run.
+ */
+export function recordSession({ code, breakpoints, options }) {
+  const sessions = loadSessions();
+  const existing = sessions.find((session) => session.code === code);
+  const session = {
+    id: existing?.id || `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: existing?.name || guessProgramName(code),
+    code,
+    step: 0,
+    breakpoints,
+    options,
+    updatedAt: Date.now(),
+  };
+  const rest = sessions.filter((entry) => entry.id !== session.id);
+  return { sessions: saveSessions([session, ...rest]), id: session.id };
+}
+
+// Applies `changes` (e.g. { name } or { step }) to one session
+export function updateSession(id, changes) {
+  return saveSessions(loadSessions().map((session) => (session.id === id ? { ...session, ...changes } : session)));
+}
+
+export function removeSession(id) {
+  return saveSessions(loadSessions().filter((session) => session.id !== id));
+}
@@ -0,0 +1,241 @@
+// shapes.js
+// Recognizes common data structures in a frame's heap so they can be drawn as
+// what they are rather than as loose boxes. Each detector takes an encoded
+// value (see heap.js) and returns a structure or null; the first detector
+// that matches wins, so add new shapes to SHAPE_DETECTORS in priority order.
+//
+// A structure is { kind, nodes, edges, cycleTo, objectIds } where every node
+// is { key, heapId, label, left, right } (left/right only for trees) and
+// `objectIds` lists every heap object the structure is drawn from.
+import { isRef, formatPrimitive } from "./heap";
+
+const VALUE_KEYS = ["val", "value", "data", "key"];
+const NEIGHBOR_KEYS = ["neighbors", "adj", "adjacent", "edges", "children"];
+
+const propertiesOf = (value, heap) =>
+  isRef(value) && heap[value.ref]?.type === "object" ? heap[value.ref].properties : null;
+
+const isEmptyLink = (value) => value === null || (value !== null && typeof value === "object" && value.type === "undefined");
+
+// A link field holds another object or nothing
+const isLink = (value, heap) => isEmptyLink(value) || propertiesOf(value, heap) !== null;
+
+const nodeKey = (value) => (isRef(value) ? String(value.ref) : `v:${JSON.stringify(value)}`);
+
+// What a node shows: its value field, or its class name as a fallback
+function nodeLabel(value, heap) {
+  const properties = propertiesOf(value, heap);
+  if (!properties) return isRef(value) ? `#${value.ref}` : formatPrimitive(value).replace(/^"(.*)"$/, "$1");
+  const valueKey = VALUE_KEYS.find((key) => key in properties);
+  if (valueKey && !isRef(properties[valueKey])) return formatPrimitive(properties[valueKey]);
+  return heap[value.ref].className || `#${value.ref}`;
+}
+
+const makeNode = (value, heap, extra = {}) => ({
+  key: nodeKey(value),
+  heapId: isRef(value) ? value.ref : null,
+  label: nodeLabel(value, heap),
+  ...extra,
+});
+
+// --- Linked lists: { val, next } and { val, next, prev } ---
+function detectLinkedList(value, heap) {
+  const first = propertiesOf(value, heap);
+  if (!first || !("next" in first) || !isLink(first.next, heap) || "left" in first || "right" in first) return null;
+  const doubly = "prev" in first && isLink(first.prev, heap);
+
+  // A doubly linked list is drawn from its head even if the variable points mid-list
+  let head = value;
+  if (doubly) {
+    const visited = new Set([value.ref]);
+    let prev = first.prev;
+    while (isRef(prev) && !visited.has(prev.ref) && propertiesOf(prev, heap)) {
+      visited.add(prev.ref);
+      head = prev;
+      prev = propertiesOf(prev, heap).prev;
+    }
+  }
+
+  const nodes = [];
+  const seen = new Set();
+  let current = head;
+  let cycleTo = null;
+  while (isRef(current)) {
+    const properties = propertiesOf(current, heap);
+    if (!properties || !("next" in properties)) break;
+    if (seen.has(current.ref)) {
+      cycleTo = String(current.ref);
+      break;
+    }
+    seen.add(current.ref);
+    nodes.push(makeNode(current, heap));
+    current = properties.next;
+  }
+  const edges = nodes.slice(1).map((node, i) => ({ from: nodes[i].key, to: node.key }));
+  return {
+    kind: doubly ? "doubly-linked-list" : "linked-list",
+    nodes,
+    edges,
+    cycleTo,
+    objectIds: nodes.map((node) => node.heapId),
+  };
+}
+
+// --- Binary trees: { val, left, right } ---
+function detectBinaryTree(value, heap) {
+  const root = propertiesOf(value, heap);
+  if (!root || !("left" in root || "right" in root)) return null;
+  if (!isLink(root.left ?? null, heap) || !isLink(root.right ?? null, heap)) return null;
+
+  const nodes = [];
+  const seen = new Set();
+  const visit = (current) => {
+    if (!isRef(current) || seen.has(current.ref)) return null;
+    const properties = propertiesOf(current, heap);
+    if (!properties) return null;
+    seen.add(current.ref);
+    const node = makeNode(current, heap);
+    nodes.push(node);
+    node.left = visit(properties.left);
+    node.right = visit(properties.right);
+    return node.key;
+  };
+  visit(value);
+  const edges = nodes.flatMap((node) => [node.left, node.right].filter(Boolean).map((to) => ({ from: node.key, to })));
+  return { kind: "binary-tree", nodes, edges, cycleTo: null, objectIds: nodes.map((node) => node.heapId) };
+}
+
+// Builds a graph from an adjacency list of [node, neighbors] pairs
+function graphFrom(pairs, heap, containerId) {
+  const nodes = new Map();
+  const edges = [];
+  const addNode = (value) => {
+    const key = nodeKey(value);
+    if (!nodes.has(key)) nodes.set(key, makeNode(value, heap));
+    return key;
+  };
+  pairs.forEach(([node, neighbors]) => {
+    const from = addNode(node);
+    neighbors.forEach((neighbor) => edges.push({ from, to: addNode(neighbor) }));
+  });
+  if (edges.length === 0) return null;
+  const objectIds = [containerId, ...[...nodes.values()].map((node) => node.heapId)].filter((id) => id !== null);
+  return { kind: "graph", nodes: [...nodes.values()], edges, cycleTo: null, objectIds };
+}
+
+const arrayItems = (value, heap) => (isRef(value) && heap[value.ref]?.type === "array" ? heap[value.ref].items : null);
+
+// --- Graphs: adjacency lists as a Map, a plain object or an array of index lists ---
+function detectAdjacencyList(value, heap) {
+  if (!isRef(value)) return null;
+  const container = heap[value.ref];
+
+  if (container?.type === "map") {
+    const pairs = container.entries.map(([node, neighbors]) => [node, arrayItems(neighbors, heap)]);
+    if (pairs.length === 0 || pairs.some(([, neighbors]) => !neighbors)) return null;
+    return graphFrom(pairs, heap, value.ref);
+  }
+
+  if (container?.type === "object" && !container.className) {
+    // { A: ["B", "C"], B: [] }: every neighbor must itself be a key
+    const keys = Object.keys(container.properties);
+    const pairs = keys.map((key) => [key, arrayItems(container.properties[key], heap)]);
+    if (pairs.length === 0 || pairs.some(([, neighbors]) => !neighbors)) return null;
+    const closed = pairs.every(([, neighbors]) => neighbors.every((n) => !isRef(n) && keys.includes(String(n))));
+    if (!closed) return null;
+    return graphFrom(pairs.map(([key, neighbors]) => [key, neighbors.map(String)]), heap, value.ref);
+  }
+
+  if (container?.type === "array" && container.items.length > 0) {
+    // [[1, 2], [0], [0]]: neighbors are indices. A square grid is a matrix, not a graph.
+    const rows = container.items.map((item) => arrayItems(item, heap));
+    const n = rows.length;
+    if (rows.some((row) => !row)) return null;
+    if (rows.every((row) => row.length === n)) return null;
+    if (!rows.every((row) => row.every((i) => Number.isInteger(i) && i >= 0 && i < n))) return null;
+    return graphFrom(rows.map((row, i) => [i, row]), heap, value.ref);
+  }
+  return null;
+}
+
+// --- Graphs: node objects with a neighbors array ---
+function detectNodeGraph(value, heap) {
+  const start = propertiesOf(value, heap);
+  const neighborKey = start && NEIGHBOR_KEYS.find((key) => arrayItems(start[key], heap));
+  if (!neighborKey) return null;
+
+  const pairs = [];
+  const seen = new Set([value.ref]);
+  const queue = [value];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    const neighbors = (arrayItems(propertiesOf(current, heap)?.[neighborKey], heap) || [])
+      .filter((neighbor) => propertiesOf(neighbor, heap));
+    pairs.push([current, neighbors]);
+    neighbors.forEach((neighbor) => {
+      if (!seen.has(neighbor.ref)) {
+        seen.add(neighbor.ref);
+        queue.push(neighbor);
+      }
+    });
+  }
+  return graphFrom(pairs, heap, null);
+}
+
+export const SHAPE_DETECTORS = [detectBinaryTree, detectLinkedList, detectNodeGraph, detectAdjacencyList];
+
+export function detectShape(value, heap) {
+  for (const detect of SHAPE_DETECTORS) {
+    const structure = detect(value, heap);
+    if (structure) return structure;
+  }
+  return null;
+}
+
+/**
+ * Finds the structures the given variables point at. A variable pointing into
+ * a structure that is already drawn (e.g. `curr` walking a list) becomes a
+ * label on that node instead of a second drawing.
+ *
+ * @param {Object} locals - Encoded variables of the active frame.
+ * @param {Object} heap - The frame's heap.
+ * @returns {Array<{ name: string, root: Object, structure: Object, pointers: Object }>}
+ *   `pointers` maps node keys to the names of variables pointing at them.
+ */
+export function findStructures(locals, heap) {
+  const candidates = Object.entries(locals)
+    .map(([name, value]) => ({ name, root: value, structure: detectShape(value, heap) }))
+    .filter((candidate) => candidate.structure)
+    .sort((a, b) => b.structure.nodes.length - a.structure.nodes.length);
+
+  const drawn = [];
+  candidates.forEach((candidate) => {
+    const owner = drawn.find((entry) => entry.structure.objectIds.includes(candidate.root.ref));
+    if (!owner) drawn.push({ ...candidate, pointers: {} });
+  });
+  Object.entries(locals).forEach(([name, value]) => {
+    if (!isRef(value)) return;
+    drawn.forEach((entry) => {
+      const key = String(value.ref);
+      if (entry.structure.nodes.some((node) => node.key === key)) {
+        entry.pointers[key] = [...(entry.pointers[key] || []), name];
+      }
+    });
+  });
+  return drawn;
+}
+
+// Keys of nodes that are new or whose value or links differ from the previous step
+export function changedNodes(structure, prevStructure) {
+  if (!prevStructure) return new Set();
+  const signature = (s, node) => JSON.stringify([
+    node.label,
+    node.left ?? null,
+    node.right ?? null,
+    s.edges.filter((edge) => edge.from === node.key).map((edge) => edge.to),
+  ]);
+  const previous = new Map(prevStructure.nodes.map((node) => [node.key, signature(prevStructure, node)]));
+  return new Set(structure.nodes
+    .filter((node) => previous.get(node.key) !== signature(structure, node))
+    .map((node) => node.key));
+}
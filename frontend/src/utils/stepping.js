@@ -0,0 +1,45 @@
+// stepping.js
+// Debugger-style navigation over a finished trace. Every frame carries the
+// `depth` of its active function (0 for top-level code), so stepping over a
+// call means skipping the steps that run deeper than where we are.
+
+const depthOf = (frame) => frame?.depth ?? 0;
+
+// First index from `from` (exclusive) in `direction` whose frame passes `test`
+function seek(logs, from, direction, test) {
+  for (let i = from + direction; i >= 0 && i < logs.length; i += direction) {
+    if (test(logs[i])) return i;
+  }
+  return -1;
+}
+
+/**
+ * Where each stepping command leads from `step`. `direction` is 1 to step
+ * forwards and -1 to step backwards through the trace.
+ *
+ * - into: the adjacent step, entering calls
+ * - over: the next step in this function or its callers, skipping callees
+ * - out:  the next step in a caller of this function
+ *
+ * @returns {number} The target step, or -1 if there is none.
+ */
+export function stepTarget(logs, step, command, direction) {
+  const depth = depthOf(logs[step]);
+  switch (command) {
+    case "into":
+      return step + direction >= 0 && step + direction < logs.length ? step + direction : -1;
+    case "over":
+      return seek(logs, step, direction, (frame) => depthOf(frame) <= depth);
+    case "out":
+      return seek(logs, step, direction, (frame) => depthOf(frame) < depth);
+    default:
+      return -1;
+  }
+}
+
+// Keyboard shortcuts as in most debuggers; Alt steps backwards
+export const STEP_SHORTCUTS = [
+  { key: "F10", shift: false, command: "over" },
+  { key: "F11", shift: false, command: "into" },
+  { key: "F11", shift: true, command: "out" },
+];
@@ -0,0 +1,58 @@
+// timeline.js
+// Per-step data for the timeline scrubber and the variable history panel.
+import { isRef, formatPrimitive, describeHeapObject } from "./heap";
+
+/**
+ * The marker a step gets on the timeline: "call", "return", "stdout" (any
+ * console output),
+ * "test" (the step right after an if/loop/switch test), "error" or "step".
+ */
+export function timelineKind(frame) {
+  const action = frame.action || "";
+  if (action === "error" || action === "stopped") return "error";
+  if (action.startsWith("call")) return "call";
+  if (action.startsWith("return")) return "return";
+  if (action.startsWith("stdout") || action.startsWith("stderr")) return "stdout";
+  if (frame.context) return "test";
+  return "step";
+}
+
+const MAX_SUMMARY_ITEMS = 8;
+
+// Short text for a value, e.g. 3, "abc", [1, 2, 3] or Node
+export function summarizeValue(value, heap = {}) {
+  if (!isRef(value)) return formatPrimitive(value);
+  const object = heap[value.ref];
+  if (!object) return `#${value.ref}`;
+  if (object.type === "array") {
+    const items = object.items.slice(0, MAX_SUMMARY_ITEMS).map((item) =>
+      isRef(item) ? (heap[item.ref] ? describeHeapObject(heap[item.ref]) : `#${item.ref}`) : formatPrimitive(item)
+    );
+    if (object.items.length > MAX_SUMMARY_ITEMS) items.push("…");
+    return `[${items.join(", ")}]`;
+  }
+  return describeHeapObject(object);
+}
+
+/**
+ * Every value a variable of one function call took over the trace. An entry
+ * is recorded at each step where the value (or, for arrays, their contents)
+ * differs from the previous step the call was on the stack.
+ *
+ * @returns {Array<{ step: number, text: string, number: number|null }>}
+ *   `number` is set for numeric values, for charting.
+ */
+export function variableHistory(logs, frameId, name) {
+  const history = [];
+  let previous;
+  logs.forEach((frame, step) => {
+    const entry = (frame.stack || []).find((candidate) => candidate.frameId === frameId);
+    if (!entry || !(name in (entry.locals || {}))) return;
+    const value = entry.locals[name];
+    const text = summarizeValue(value, frame.heap);
+    if (text === previous) return;
+    previous = text;
+    history.push({ step, text, number: typeof value === "number" ? value : null });
+  });
+  return history;
+}
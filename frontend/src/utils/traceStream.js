@@ -0,0 +1,62 @@
+// traceStream.js
+// Client for the tracer's streaming endpoint. /api/code/stream answers with
+// Server-Sent Events (start, frames, test, analysis, growth, done; see server.js) while the
+// program runs, so frames can be shown before the trace is complete.
+const API_URL = "http://127.0.0.1:5000/api/code";
+
+// One "event: name\ndata: json" block
+function parseEvent(block) {
+  let event = "message";
+  let data = "";
+  for (const line of block.split("\n")) {
+    if (line.startsWith("event:")) event = line.slice(6).trim();
+    else if (line.startsWith("data:")) data += line.slice(5).trim();
+  }
+  return { event, data: data ? JSON.parse(data) : {} };
+}
+
+/**
+ * Traces `body` ({ code, ...run options }) and calls `onEvent(event, data)`
+ * for every event as it arrives. Resolves once the stream ends; aborting
+ * `signal` closes the connection, which also stops the run.
+ */
+export async function streamTrace(body, { onEvent, signal }) {
+  const res = await fetch(`${API_URL}/stream`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    signal,
+  });
+  if (!res.ok) {
+    // A bad request says what was wrong with it
+    const { error } = await res.json().catch(() => ({}));
+    throw new Error(error || `The tracer answered ${res.status} ${res.statusText}`);
+  }
+
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += value;
+    let end;
+    while ((end = buffer.indexOf("\n\n")) !== -1) {
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      const { event, data } = parseEvent(block);
+      onEvent(event, data);
+    }
+  }
+}
+
+/**
+ * Asks the server to stop a streamed run. The stream still ends normally,
+ * with an "execution cancelled" frame.
+ */
+export async function cancelTrace(runId) {
+  await fetch(`${API_URL}/cancel`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ runId }),
+  });
+}
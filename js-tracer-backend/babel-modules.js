@@ -0,0 +1,62 @@
+// babel-modules.js
+// Turns ES module syntax into plain script code. The sandbox runs a single
+// program with no module loader, so an export only needs its declaration
+// kept, while an import has nothing to load and is reported like a syntax
+// error.
+const t = require("@babel/types");
+
+// Thrown out of the transform with a source position, so server.js reports
+// it the way it reports parse errors
+function unsupported(node, message) {
+  return Object.assign(new SyntaxError(message), { loc: node.loc.start });
+}
+
+// Type-only imports and exports are left for the TypeScript preset to remove
+function isTypeOnly(node) {
+  return node.importKind === "type" || node.importKind === "typeof" || node.exportKind === "type";
+}
+
+module.exports = function modulesPlugin() {
+  return {
+    name: "strip-modules",
+    visitor: {
+      ImportDeclaration(path) {
+        if (isTypeOnly(path.node)) return;
+        throw unsupported(
+          path.node,
+          `Cannot import "${path.node.source.value}": programs run as a single file without modules`
+        );
+      },
+
+      ExportAllDeclaration(path) {
+        if (isTypeOnly(path.node)) return;
+        throw unsupported(path.node, `Cannot re-export "${path.node.source.value}": programs run as a single file`);
+      },
+
+      // `export const x = 1` -> `const x = 1`; `export { x }` just goes away
+      ExportNamedDeclaration(path) {
+        if (isTypeOnly(path.node)) return;
+        if (path.node.source) {
+          throw unsupported(path.node, `Cannot re-export "${path.node.source.value}": programs run as a single file`);
+        }
+        if (path.node.declaration) path.replaceWith(path.node.declaration);
+        else path.remove();
+      },
+
+      // Named functions and classes stay declarations; anything else is kept
+      // in a `_default` variable so its side effects and value remain visible
+      ExportDefaultDeclaration(path) {
+        const { declaration } = path.node;
+        if ((t.isFunctionDeclaration(declaration) || t.isClassDeclaration(declaration)) && declaration.id) {
+          path.replaceWith(declaration);
+          return;
+        }
+        if (t.isTSInterfaceDeclaration(declaration)) return;
+        const id = path.scope.generateUidIdentifier("default");
+        path.replaceWith(
+          t.variableDeclaration("const", [t.variableDeclarator(id, t.toExpression(declaration))])
+        );
+      },
+    },
+  };
+};
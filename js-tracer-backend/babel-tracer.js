@@ -1,54 +1,781 @@
 // babel-tracer.js
 const t = require("@babel/types");
 const generate = require("@babel/generator").default;
+const { parseExpression } = require("@babel/parser");
 
 // --- Helpers ---
 function getLine(node) {
   return node && node.loc ? node.loc.start.line : -1;
 }
 
+// Identifiers starting with "__" belong to the tracer runtime (see server.js)
+function isTracerInternal(name) {
+  return typeof name === "string" && name.startsWith("__");
+}
+
+function isInternalIdentifier(node) {
+  return t.isIdentifier(node) && isTracerInternal(node.name);
+}
+
+// Nodes built by the tracer itself carry no source location
+function isGenerated(path) {
+  return !path.node.loc;
+}
+
+// Unique "__"-prefixed temp, e.g. __returnValue, __returnValue2
+function generateInternalId(path, name) {
+  return t.identifier(`_${path.scope.generateUid(name)}`);
+}
+
+// Maps a position in the code being instrumented to the user's code, from
+// the plugin's `mapPosition` option for the file being transformed
+let mapPosition = null;
+
+/**
+ * Where a source location is in the user's code, as Monaco ranges it:
+ * `[startLine, startColumn, endLine, endColumn]`, 1-based with the end
+ * exclusive. The last character is mapped rather than the end, which may
+ * sit past the token it belongs to, unless `endsAtToken` says the end is the
+ * start of the next token. Null when the location can't be mapped.
+ */
+function getRange(loc, endsAtToken = false) {
+  if (!loc) return null;
+  const position = (line, column) => (mapPosition ? mapPosition(line, column) : { line, column });
+  const start = position(loc.start.line, loc.start.column);
+  const end = endsAtToken
+    ? position(loc.end.line, loc.end.column)
+    : position(loc.end.line, Math.max(0, loc.end.column - 1));
+  if (!start || !end) return null;
+  return [start.line, start.column + 1, end.line, end.column + (endsAtToken ? 1 : 2)];
+}
+
+/**
+ * Babel plugin refusing programs that name anything in the tracer's "__"
+ * namespace, where the runtime keeps its limits and logs. The server runs it
+ * on the user's own code, as compiling adds names of the runtime's (__jsx);
+ * the error carries the position, so it's reported like a syntax error.
+ */
+function reservedNamesPlugin() {
+  return {
+    name: "reserved-names",
+    visitor: {
+      // Plugins enter the program before presets, so this sees it unchanged
+      Program(programPath) {
+        programPath.traverse({
+          "Identifier|JSXIdentifier"(path) {
+            if (!isTracerInternal(path.node.name)) return;
+            if (!path.isReferencedIdentifier() && !path.isBindingIdentifier()) return;
+            throw Object.assign(
+              new SyntaxError(`"${path.node.name}" can't be used: names starting with "__" belong to the tracer`),
+              { loc: path.node.loc.start }
+            );
+          },
+        });
+      },
+    },
+  };
+}
+
+function makeLogAt(line, type, extraProps = [], range = null) {
+  const event = t.objectExpression([
+    t.objectProperty(t.identifier("action"), t.stringLiteral(type)),
+    t.objectProperty(t.identifier("line"), t.numericLiteral(line)),
+    ...(range ? [t.objectProperty(t.identifier("range"), t.arrayExpression(range.map(n => t.numericLiteral(n))))] : []),
+    // Resolves lexically to the enclosing function's frame (0 = global)
+    t.objectProperty(t.identifier("frameId"), t.identifier("__frameId")),
+    ...extraProps,
+  ]);
+  event.traceEvent = type; // Found again by createWatchVisitor
+  return t.expressionStatement(t.callExpression(t.identifier("__log"), [event]));
+}
+
 function makeLog(path, type, extraProps = []) {
-  const line = getLine(path.node);
-  return t.expressionStatement(
-    t.callExpression(t.identifier("__log"), [
-      t.objectExpression([
-        t.objectProperty(t.identifier("action"), t.stringLiteral(type)),
-        t.objectProperty(t.identifier("line"), t.numericLiteral(line)),
-        ...extraProps,
-      ]),
-    ])
+  return makeLogAt(getLine(path.node), type, extraProps, getRange(path.node.loc));
+}
+
+function getFunctionName(path) {
+  if (path.node.id) return path.node.id.name;
+  // Not the tracer's temps, e.g. the __returnValue a returned arrow is put in
+  if (t.isVariableDeclarator(path.parent) && t.isIdentifier(path.parent.id) && !isInternalIdentifier(path.parent.id)) {
+    return path.parent.id.name;
+  }
+  if ((t.isClassMethod(path.node) || t.isObjectMethod(path.node)) && t.isIdentifier(path.node.key)) {
+    return path.node.key.name;
+  }
+  return "anonymous";
+}
+
+// Source text of a callee made of names, dots and calls ("stack.push",
+// "this.items.at", "list.add(…).add"), or null for anything else (computed
+// members, function expressions)
+function calleeText(node) {
+  if (t.isIdentifier(node)) return node.name;
+  if (t.isCallExpression(node)) {
+    const callee = calleeText(node.callee);
+    return callee && `${callee}(…)`;
+  }
+  if (t.isThisExpression(node)) return "this";
+  if (t.isSuper(node)) return "super";
+  if (t.isMemberExpression(node) && !node.computed) {
+    const object = calleeText(node.object);
+    const property = t.isPrivateName(node.property) ? `#${node.property.id.name}` : node.property.name;
+    return object && property ? `${object}.${property}` : null;
+  }
+  return null;
+}
+
+// Methods see the object they were called on as `this`. A derived class's
+// constructor can't read it before super() returns (see instrumentFunction).
+function hasThis(path) {
+  if (!path.isClassMethod() && !path.isObjectMethod()) return false;
+  if (path.node.static) return false;
+  return !(path.node.kind === "constructor" && path.parentPath.parentPath.node.superClass);
+}
+
+// A property write changes an object on the heap; the frame logs the variable
+// it hangs off (`this` for `this.top.next = node`) so it points at the object.
+// Objects reached any other way show up through the heap alone.
+function propertyWriteLocals(member) {
+  let root = member.object;
+  while (t.isMemberExpression(root)) root = root.object;
+  if (t.isThisExpression(root)) return [[t.identifier("this"), root]];
+  if (t.isIdentifier(root) && !isTracerInternal(root.name)) return [[root, root]];
+  return [];
+}
+
+function encodedThis() {
+  return t.objectProperty(t.identifier("this"), t.callExpression(t.identifier("__encode"), [t.thisExpression()]));
+}
+
+// --- Loop and Jump Helpers ---
+// Part of a for loop's update clause (possibly `i++, j--`), which the
+// ForStatement visitor logs as a whole
+function isForUpdate(path) {
+  let current = path;
+  while (current.parentPath && current.parentPath.isSequenceExpression()) {
+    current = current.parentPath;
+  }
+  return t.isForStatement(current.parent) && current.key === "update";
+}
+
+const LOOP_TYPES = {
+  ForStatement: "for",
+  WhileStatement: "while",
+  DoWhileStatement: "do-while",
+  ForOfStatement: "for-of",
+  ForInStatement: "for-in",
+  SwitchStatement: "switch",
+};
+
+// The current value of a for-of / for-in loop variable as "locals"
+function loopVariableLocals(path) {
+  const left = path.get("left");
+  const names = Object.keys(left.getBindingIdentifiers());
+  if (names.length === 0) return [];
+  return [
+    t.objectProperty(
+      t.identifier("locals"),
+      t.objectExpression(names.map(name =>
+        t.objectProperty(t.identifier(name), t.callExpression(t.identifier("__encode"), [t.identifier(name)]))
+      ))
+    ),
+  ];
+}
+
+/**
+ * Describes the statement a break/continue jumps out of: its kind
+ * ("for", "while", "switch", ...), line and label, if any.
+ */
+function jumpTargetProps(path) {
+  const label = path.node.label ? path.node.label.name : null;
+  let target;
+  if (label) {
+    const labeled = path.findParent(p => p.isLabeledStatement() && p.node.label.name === label);
+    target = labeled && labeled.get("body");
+  } else {
+    // An unlabeled continue skips over switches; break stops at them
+    target = path.findParent(p => p.isLoop() || (path.isBreakStatement() && p.isSwitchStatement()));
+  }
+  return [
+    t.objectProperty(t.identifier("target"), t.stringLiteral(target ? LOOP_TYPES[target.node.type] || "block" : "block")),
+    t.objectProperty(t.identifier("targetLine"), t.numericLiteral(target ? getLine(target.node) : -1)),
+    t.objectProperty(t.identifier("label"), label ? t.stringLiteral(label) : t.nullLiteral()),
+  ];
+}
+
+// --- Array Index Helpers ---
+// The variable an expression offsets: `i` in i, i + 1, i - 1
+function indexVariable(node) {
+  if (t.isIdentifier(node)) return node.name;
+  if (t.isBinaryExpression(node) && (node.operator === "+" || node.operator === "-")) {
+    if (t.isIdentifier(node.left) && t.isNumericLiteral(node.right)) return node.left.name;
+    if (node.operator === "+" && t.isNumericLiteral(node.left) && t.isIdentifier(node.right)) return node.right.name;
+  }
+  return null;
+}
+
+// Plain variables read by an expression (not object names, keys or callees)
+function readVariables(path) {
+  const names = new Set();
+  const collect = p => {
+    const parent = p.parentPath;
+    if (parent.isMemberExpression() && (p.key === "object" || !parent.node.computed)) return;
+    if (parent.isCallExpression() && p.key === "callee") return;
+    if (parent.isObjectProperty() && p.key === "key") return;
+    names.add(p.node.name);
+  };
+  if (path.isIdentifier()) names.add(path.node.name);
+  path.traverse({ Identifier: collect });
+  return [...names];
+}
+
+/**
+ * Finds which variables serve as indexes into which arrays, per function
+ * name ("(global)" for top-level code). `arr[mid]` makes `mid` an index of
+ * `arr`; so do the variables `mid` is computed from (`left + right`) and the
+ * ones set from it (`left = mid + 1`), which is how two-pointer and binary
+ * search code keeps its bounds.
+ *
+ * @returns {Object<string, Array<[string, string]>>} `[arrayName, indexName]` pairs.
+ */
+function collectArrayIndexes(programPath) {
+  const scopes = new Map();
+  const scopeOf = path => {
+    const fn = path.getFunctionParent();
+    const name = fn ? getFunctionName(fn) : "(global)";
+    if (!scopes.has(name)) scopes.set(name, { pairs: [], derivations: [] });
+    return scopes.get(name);
+  };
+  const addDerivation = (path, targetName, valuePath) => {
+    if (!valuePath.node) return;
+    scopeOf(path).derivations.push({
+      target: targetName,
+      sources: readVariables(valuePath),
+      offsetOf: indexVariable(valuePath.node),
+    });
+  };
+
+  programPath.traverse({
+    MemberExpression(path) {
+      if (!path.node.computed || !t.isIdentifier(path.node.object)) return;
+      const indexName = indexVariable(path.node.property);
+      if (indexName) scopeOf(path).pairs.push([path.node.object.name, indexName]);
+    },
+    VariableDeclarator(path) {
+      if (t.isIdentifier(path.node.id)) addDerivation(path, path.node.id.name, path.get("init"));
+    },
+    AssignmentExpression(path) {
+      if (t.isIdentifier(path.node.left)) addDerivation(path, path.node.left.name, path.get("right"));
+    },
+  });
+
+  const result = {};
+  scopes.forEach(({ pairs, derivations }, scopeName) => {
+    const found = [];
+    pairs.forEach(([arrayName, indexName]) => {
+      const indexes = new Set([indexName]);
+      let grew = true;
+      while (grew) {
+        grew = false;
+        derivations.forEach(({ target, sources, offsetOf }) => {
+          const related = indexes.has(target)
+            ? sources
+            : offsetOf && indexes.has(offsetOf) ? [target] : [];
+          related.forEach(name => {
+            if (name !== arrayName && !indexes.has(name)) {
+              indexes.add(name);
+              grew = true;
+            }
+          });
+        });
+      }
+      indexes.forEach(name => {
+        if (!found.some(([a, i]) => a === arrayName && i === name)) found.push([arrayName, name]);
+      });
+    });
+    if (found.length > 0) result[scopeName] = found;
+  });
+  return result;
+}
+
+/**
+ * Lines that start a statement or a function: the lines a run can execute,
+ * which the server's line counts are measured against. Lines holding only
+ * braces, comments or the rest of a multi-line statement aren't listed.
+ *
+ * @returns {Array<number>} Sorted line numbers.
+ */
+function collectCodeLines(programPath) {
+  const lines = new Set();
+  programPath.traverse({
+    "Statement|Function"(path) {
+      if (!path.isBlockStatement() && path.node.loc) lines.add(path.node.loc.start.line);
+    },
+  });
+  return [...lines].sort((a, b) => a - b);
+}
+
+// --- Read Tracing Helpers ---
+const COMPARISON_OPERATORS = ["<", "<=", ">", ">=", "==", "!=", "===", "!=="];
+
+// Code inside a log call (e.g. a loop test re-evaluated for its "test" event)
+// must not produce read events of its own
+function insideTracerLog(path) {
+  return Boolean(path.findParent(p =>
+    p.isCallExpression() && t.isIdentifier(p.node.callee) && ["__log", "__encode"].includes(p.node.callee.name)
+  ));
+}
+
+// A member expression that is written to, deleted or destructured into
+function isWriteTarget(path) {
+  const parent = path.parentPath;
+  if (parent.isAssignmentExpression() && path.key === "left") return true;
+  if (parent.isUpdateExpression() || parent.isUnaryExpression({ operator: "delete" })) return true;
+  if ((parent.isForInStatement() || parent.isForOfStatement()) && path.key === "left") return true;
+  if (parent.isArrayPattern() || parent.isRestElement() || (parent.isAssignmentPattern() && path.key === "left")) return true;
+  return parent.isObjectProperty() && path.key === "value" && parent.parentPath.isObjectPattern();
+}
+
+// A computed member access whose value is read, i.e. not a write target or
+// called as a method
+function isTracedRead(path) {
+  if (isGenerated(path) || !path.node.computed || t.isSuper(path.node.object)) return false;
+  const parent = path.parentPath;
+  if ((parent.isCallExpression() || parent.isNewExpression()) && path.key === "callee") return false;
+  if (isWriteTarget(path)) return false;
+  return !insideTracerLog(path);
+}
+
+// Records the call-site line and callee text so the callee's frame knows where
+// it came from and can be labeled like the call ("stack.push", "new Stack").
+// They're recorded by the last thing evaluated before the call, so calls in
+// the callee or arguments (`list.add(1).add(2)`) can't leave theirs behind:
+// the last argument becomes `__callSite(line, callee, argument)`, and a call
+// without arguments records its site along with its callee's object.
+function trackCallSite(path, callee) {
+  if (path.node.callSiteTracked || !path.node.loc) return;
+  path.node.callSiteTracked = true;
+  const recordSite = (value) => t.callExpression(t.identifier("__callSite"), [
+    t.numericLiteral(getLine(path.node)),
+    callee ? t.stringLiteral(callee) : t.nullLiteral(),
+    ...(value ? [value] : []),
+  ]);
+
+  const { arguments: args, callee: calleeNode } = path.node;
+  const last = args[args.length - 1];
+  if (last && !t.isArgumentPlaceholder(last)) {
+    if (t.isSpreadElement(last)) last.argument = recordSite(last.argument);
+    else args[args.length - 1] = recordSite(last);
+  } else if (t.isMemberExpression(calleeNode) && calleeNode.computed) {
+    calleeNode.property = recordSite(calleeNode.property);
+  } else if (t.isMemberExpression(calleeNode) && !t.isSuper(calleeNode.object)) {
+    calleeNode.object = recordSite(calleeNode.object);
+  } else if (t.isIdentifier(calleeNode) || t.isSuper(calleeNode) || t.isMemberExpression(calleeNode)) {
+    // Nothing runs between a plain name (or super.name) and the call
+    path.replaceWith(t.sequenceExpression([recordSite(null), path.node]));
+  } else {
+    path.node.callee = recordSite(calleeNode);
+  }
+}
+
+// --- Expression Tracing Helpers ---
+// With options.traceExpressions, sub-expressions that compute something
+// become `__eval(expression, event)`, which logs the value and passes it on
+
+const isCallSite = (node) => t.isCallExpression(node) && t.isIdentifier(node.callee, { name: "__callSite" });
+
+// The path whose parent uses an expression's value: trackCallSite puts a call
+// at the end of a `(__callSite(...), call)` sequence, or what is evaluated
+// last before one inside `__callSite(line, callee, value)`
+function valuePath(path) {
+  const parent = path.parentPath;
+  if (isCallSite(parent.node) && path.key === 2) return parent;
+  const tracked = parent.isSequenceExpression() && isCallSite(parent.node.expressions[0]);
+  return tracked && path.key === parent.node.expressions.length - 1 ? parent : path;
+}
+
+// Whether an expression's value is worth a step of its own: not when nobody
+// uses it (a statement of its own), when another event already reports it (a
+// return value, the value assigned, a test) or when it's a constant
+function isTracedEvaluation(path) {
+  if (isGenerated(path) || path.node.evaluationTraced || insideTracerLog(path)) return false;
+  if (path.isCallExpression() && (t.isSuper(path.node.callee) || t.isImport(path.node.callee))) return false;
+  const { parentPath, key } = valuePath(path);
+  if (parentPath.isExpressionStatement() || parentPath.isReturnStatement()) return false;
+  if (parentPath.isVariableDeclarator() && key === "init") return false;
+  if (parentPath.isAssignmentExpression() && key === "right") return false;
+  if (key === "test" || key === "discriminant") return false;
+  if (parentPath.isCallExpression() && isInternalIdentifier(parentPath.node.callee)) return false;
+  return !path.evaluate().confident;
+}
+
+// Runs over the program once everything else is instrumented, so a call is
+// already inside its call site sequence; the source text is taken from the
+// original code since the node's parts have been rewritten by then
+const evaluationVisitor = {
+  "CallExpression|NewExpression|BinaryExpression|LogicalExpression|ConditionalExpression": {
+    exit(path) {
+      if (!isTracedEvaluation(path)) return;
+      path.node.evaluationTraced = true;
+      const event = makeLog(path, "eval", [
+        t.objectProperty(t.identifier("expression"), t.stringLiteral(path.getSource() || generate(path.node).code)),
+      ]).expression.arguments[0];
+      path.replaceWith(t.callExpression(t.identifier("__eval"), [path.node, event]));
+    },
+  },
+};
+
+// --- Heap Change Helpers ---
+// The heap encoder only encodes again the objects marked as possibly changed
+// (see heap-encoder.js). A write or call becomes
+// `__endChange(__beginChange(), expression)` with the objects it may change
+// as `__changing(object)`: the objects a member write goes through, and a
+// call's receiver and arguments. Functions of the program are instrumented
+// themselves, so only their receivers are marked; a callee that may hide its
+// receiver marks everything once the call is done.
+
+const wrapIn = (helper, node) => t.callExpression(t.identifier(helper), [node]);
+
+function trackChanges(path) {
+  path.node.changesTracked = true;
+  path.replaceWith(t.callExpression(t.identifier("__endChange"), [
+    t.callExpression(t.identifier("__beginChange"), []),
+    path.node,
+  ]));
+}
+
+// The member expressions an assignment target writes through, e.g. both
+// sides' in `[a[i], a[j]] = ...`
+function writtenMembers(target) {
+  if (t.isMemberExpression(target)) {
+    return t.isSuper(target.object) || t.isPrivateName(target.property) ? [] : [target];
+  }
+  if (t.isArrayPattern(target)) return target.elements.flatMap(element => (element ? writtenMembers(element) : []));
+  if (t.isObjectPattern(target)) {
+    return target.properties.flatMap(property => writtenMembers(t.isRestElement(property) ? property : property.value));
+  }
+  if (t.isRestElement(target)) return writtenMembers(target.argument);
+  if (t.isAssignmentPattern(target)) return writtenMembers(target.left);
+  return [];
+}
+
+// console.* only reads its arguments
+const isConsoleCall = (callee) =>
+  t.isMemberExpression(callee) && t.isCallExpression(callee.object) && t.isIdentifier(callee.object.callee, { name: "__consoleAt" });
+
+// Arguments that may be objects the program already has
+const isPassedValue = (node) =>
+  !t.isLiteral(node) && !t.isFunction(node) && !t.isObjectExpression(node) && !t.isArrayExpression(node);
+
+// A call to a function the program declares, by a name never reassigned
+function callsProgramFunction(path) {
+  const { callee } = path.node;
+  const binding = t.isIdentifier(callee) && path.scope.getBinding(callee.name);
+  if (!binding || !binding.constant) return false;
+  if (binding.path.isFunctionDeclaration()) return true;
+  return binding.path.isVariableDeclarator() && t.isFunction(binding.path.node.init);
+}
+
+// A callee that may be a built-in under another name, e.g. `add` after
+// `const add = arr.push.bind(arr)`, whose receiver the call doesn't show.
+// Globals the program doesn't declare are taken for what they're named.
+function hidesReceiver(path) {
+  const { callee } = path.node;
+  if (t.isMemberExpression(callee) || t.isOptionalMemberExpression(callee) || t.isSuper(callee)) return false;
+  if (t.isIdentifier(callee)) return path.scope.hasBinding(callee.name) && !callsProgramFunction(path);
+  return true;
+}
+
+// Runs after expression tracing, so traced calls are already wrapped
+const heapChangeVisitor = {
+  "AssignmentExpression|UpdateExpression|UnaryExpression"(path) {
+    if (isGenerated(path) || path.node.changesTracked) return;
+    if (path.isUnaryExpression() && path.node.operator !== "delete") return;
+    const members = writtenMembers(path.isAssignmentExpression() ? path.node.left : path.node.argument);
+    if (members.length === 0) return;
+    members.forEach(member => { member.object = wrapIn("__changing", member.object); });
+    trackChanges(path);
+  },
+  // Nothing logs between a loop variable's target and the write to it
+  "ForInStatement|ForOfStatement"(path) {
+    if (isGenerated(path)) return;
+    writtenMembers(path.node.left).forEach(member => { member.object = wrapIn("__wrote", member.object); });
+  },
+  "CallExpression|OptionalCallExpression"(path) {
+    const { callee } = path.node;
+    if (isGenerated(path) || path.node.changesTracked || t.isImport(callee) || isConsoleCall(callee)) return;
+    // super() returns `this`, whose fields are set once it does
+    if (t.isSuper(callee)) {
+      trackChanges(path);
+      return;
+    }
+    if ((t.isMemberExpression(callee) || t.isOptionalMemberExpression(callee)) && !t.isSuper(callee.object)) {
+      callee.object = wrapIn("__changing", callee.object);
+    }
+    if (!callsProgramFunction(path)) {
+      path.node.arguments = path.node.arguments.map(arg =>
+        t.isSpreadElement(arg)
+          ? t.spreadElement(wrapIn("__changing", arg.argument))
+          : isPassedValue(arg) ? wrapIn("__changing", arg) : arg
+      );
+    }
+    const hidden = hidesReceiver(path);
+    trackChanges(path);
+    if (hidden) path.replaceWith(wrapIn("__wroteAll", path.node));
+  },
+  // An instance may be logged by its constructor before its fields are set
+  NewExpression(path) {
+    if (isGenerated(path) || path.node.changesTracked) return;
+    trackChanges(path);
+  },
+};
+
+// --- Block Scope Helpers ---
+// A let, const or class declared in a block (a loop's head included) leaves
+// its frame's locals once the block is done, as a function's locals do when
+// it returns. The block's code runs in a try whose finally hands the names to
+// `__leaveBlock`, with the values of the variables of the same function they
+// shadowed, which the next event carries to the frame builder.
+
+const BLOCK_SCOPED_KINDS = ["let", "const"];
+
+// Whether a variable the block's own shadows can be read where the block
+// ends: a let or const must have been declared before it
+function readableAfter(binding, path) {
+  if (!BLOCK_SCOPED_KINDS.includes(binding.kind)) return true;
+  return binding.identifier.end !== undefined && binding.identifier.end <= path.node.start;
+}
+
+function leaveBlock(path) {
+  const names = Object.keys(path.scope.bindings).filter(name =>
+    !isTracerInternal(name) && BLOCK_SCOPED_KINDS.includes(path.scope.bindings[name].kind)
   );
+  if (names.length === 0) return null;
+  const functionScope = path.scope.getFunctionParent();
+  const shadowed = names.filter(name => {
+    const outer = path.scope.parent.getBinding(name);
+    return outer && outer.scope.getFunctionParent() === functionScope && readableAfter(outer, path);
+  });
+  return t.expressionStatement(t.callExpression(t.identifier("__leaveBlock"), [
+    t.identifier("__frameId"),
+    t.arrayExpression(names.map(name => t.stringLiteral(name))),
+    t.objectExpression(shadowed.map(name =>
+      t.objectProperty(t.identifier(name), t.callExpression(t.identifier("__encode"), [t.identifier(name)]))
+    )),
+  ]));
+}
+
+// Runs once everything else is instrumented; function bodies have been
+// rebuilt by then, so the blocks left with a source location are the user's.
+// A catch clause's parameter is part of its block's scope, where a variable
+// it shadows can't be read, so that one is only dropped.
+const blockScopeVisitor = {
+  "BlockStatement|ForStatement|ForInStatement|ForOfStatement"(path) {
+    if (isGenerated(path) || path.node.leavesScope) return;
+    path.node.leavesScope = true;
+    if (path.isBlockStatement() && path.parentPath.isFunction()) return;
+    const leave = leaveBlock(path);
+    if (!leave) return;
+    if (path.parentPath.isCatchClause()) {
+      leave.expression.arguments[2] = t.objectExpression([]);
+    }
+    if (path.isBlockStatement()) {
+      path.node.body = [t.tryStatement(t.blockStatement(path.node.body), null, t.blockStatement([leave]))];
+      return;
+    }
+    // A loop keeps its label, which `continue` may name
+    const loop = path.parentPath.isLabeledStatement() ? path.parentPath : path;
+    loop.replaceWith(t.tryStatement(t.blockStatement([loop.node]), null, t.blockStatement([leave])));
+  },
+};
+
+// --- Watch Expression Helpers ---
+// With options.watches, every event also carries `watches: __watch([...])`:
+// each watch expression evaluated where the event is logged, so it sees the
+// same scope as the code around it
+
+// Events the frame builder drops before it reads their watches
+const UNWATCHED_EVENTS = ["exit", "unwind"];
+
+/**
+ * Parses a watch expression. Watches only look at the program, so anything
+ * that writes a variable, deletes a property or suspends the function is
+ * refused, as are the tracer's own "__" names. What the watch changes through
+ * the values it reads is refused when it runs (see readOnlyWatch).
+ *
+ * @returns {Object|string} The expression's node, or why it can't be watched.
+ */
+function parseWatch(source) {
+  let expression;
+  try {
+    expression = parseExpression(source);
+  } catch (err) {
+    // parseExpression's own complaints name it; say what's wrong with the watch
+    const message = err.message.replace(/^Unexpected parseExpression\(\) input: /, "").replace(/\s*\(\d+:\d+\)$/, "");
+    return `SyntaxError: ${err.reasonCode === "ParseExpressionExpectsEOF" ? "a watch is a single expression" : message}`;
+  }
+  let problem = null;
+  t.traverseFast(expression, node => {
+    if (problem) return;
+    if (t.isAssignmentExpression(node) || t.isUpdateExpression(node) || t.isUnaryExpression(node, { operator: "delete" })) {
+      problem = "a watch can't change the program's values";
+    } else if (t.isAwaitExpression(node) || t.isYieldExpression(node)) {
+      problem = "a watch can't await or yield";
+    } else if (isInternalIdentifier(node)) {
+      problem = `${node.name} belongs to the tracer`;
+    }
+  });
+  return problem ? `Error: ${problem}` : expression;
+}
+
+/**
+ * Copies a watch (without source locations, so nothing instruments it) with
+ * every variable it names and `this` read through __view, which makes the
+ * program's values read-only to it (see watch-runtime.js).
+ */
+function readOnlyWatch(watch) {
+  const copy = t.cloneNode(watch, true, true);
+  const isRead = (node, parent, grandparent) =>
+    t.isThisExpression(node) ||
+    (t.isIdentifier(node) && t.isReferenced(node, parent, grandparent) &&
+      // typeof still works on a name that isn't declared
+      !t.isUnaryExpression(parent, { operator: "typeof" }));
+  const viewOf = node => t.callExpression(t.identifier("__view"), [node]);
+
+  if (t.isIdentifier(copy) || t.isThisExpression(copy)) return viewOf(copy);
+  t.traverse(copy, (node, ancestors) => {
+    if (ancestors.length === 0) return;
+    const { node: parent, key, index } = ancestors[ancestors.length - 1];
+    if (!isRead(node, parent, ancestors[ancestors.length - 2]?.node)) return;
+    if (index === undefined) parent[key] = viewOf(node);
+    else parent[key][index] = viewOf(node);
+    if (t.isObjectProperty(parent)) parent.shorthand = false;
+  });
+  return copy;
+}
+
+// Runs after everything else is instrumented, like evaluationVisitor
+function createWatchVisitor(watches) {
+  const parsed = watches.map(parseWatch);
+  const watchList = () => t.arrayExpression(parsed.map(watch =>
+    typeof watch === "string"
+      ? t.stringLiteral(watch)
+      : t.arrowFunctionExpression([], readOnlyWatch(watch))
+  ));
+  return {
+    ObjectExpression(path) {
+      const type = path.node.traceEvent;
+      if (!type || UNWATCHED_EVENTS.includes(type)) return;
+      path.node.traceEvent = null;
+      path.pushContainer("properties", t.objectProperty(
+        t.identifier("watches"),
+        t.callExpression(t.identifier("__watch"), [watchList()])
+      ));
+    },
+  };
 }
 
 // --- Reusable Function Instrumenter ---
 function instrumentFunction(path) {
   if (path.node.body.instrumented) return; // Prevent double instrumentation
 
-  let fnName = "anonymous";
-  if (path.node.id) {
-    fnName = path.node.id.name;
-  } else if (t.isVariableDeclarator(path.parent) && t.isIdentifier(path.parent.id)) {
-    fnName = path.parent.id.name;
-  }
+  const fnName = getFunctionName(path);
+  // The call event points at the function's head, up to its body
+  const head = path.node.loc && path.node.body.loc
+    ? getRange({ start: path.node.loc.start, end: path.node.body.loc.start }, true)
+    : null;
 
-  const params = path.get("params").map(p => {
-    const paramName = t.isIdentifier(p.node) ? p.node.name : "destructured";
-    return t.objectProperty(
-      t.identifier(paramName),
-      t.identifier(paramName)
-    );
-  });
+  // Destructured and defaulted params contribute every name they bind
+  const params = path.get("params").flatMap(p =>
+    Object.keys(p.getBindingIdentifiers()).map(paramName =>
+      t.objectProperty(t.identifier(paramName), t.callExpression(t.identifier("__encode"), [t.identifier(paramName)]))
+    )
+  );
+  if (hasThis(path)) {
+    params.push(encodedThis());
+  } else if (path.node.kind === "constructor" && !path.node.static) {
+    // Derived constructor: `this` joins the frame once super() has built it
+    path.traverse({
+      Function(inner) {
+        if (!inner.isArrowFunctionExpression()) inner.skip();
+      },
+      CallExpression(call) {
+        if (t.isSuper(call.node.callee) && call.parentPath.isExpressionStatement()) {
+          call.parentPath.insertAfter(makeLog(call, "assign", [
+            t.objectProperty(t.identifier("locals"), t.objectExpression([encodedThis()])),
+          ]));
+        }
+      },
+    });
+  }
 
   if (!t.isBlockStatement(path.node.body)) {
-    path.node.body = t.blockStatement([t.returnStatement(path.node.body)]);
+    // The implicit return is placed where the expression is, for its event
+    const implicitReturn = t.returnStatement(path.node.body);
+    implicitReturn.loc = path.node.body.loc;
+    path.node.body = t.blockStatement([implicitReturn]);
   }
 
-  path.get("body").unshiftContainer(
-    "body",
-    makeLog(path, "call", [
-      t.objectProperty(t.identifier("function"), t.stringLiteral(fnName)),
-      t.objectProperty(t.identifier("args"), t.objectExpression(params)),
-    ])
+  // async functions become generators driven by the sandbox event loop, so
+  // every await can be traced as a suspend/resume of this frame
+  if (path.node.async && !path.node.generator) {
+    const generator = t.functionExpression(null, [], path.node.body, true, false);
+    generator.asyncBody = true;
+    generator.body.instrumented = true;
+    path.node.async = false;
+    path.node.body = t.blockStatement([
+      t.returnStatement(
+        t.callExpression(t.identifier("__async"), [
+          t.callExpression(t.memberExpression(generator, t.identifier("call")), [t.thisExpression()]),
+          t.identifier("__frameId"),
+          t.stringLiteral(fnName),
+        ])
+      ),
+    ]);
+  }
+
+  // Every invocation gets its own frame id; the body runs inside try/finally
+  // so the "exit" event fires even when the function throws. The catch clause
+  // marks the first frame an error unwinds, which is where it was thrown, and
+  // the exit says whether the function threw.
+  const body = path.node.body;
+  const exitLine = path.node.loc ? path.node.loc.end.line : -1;
+  path.node.body = t.blockStatement(
+    [
+      t.variableDeclaration("const", [
+        t.variableDeclarator(t.identifier("__frameId"), t.callExpression(t.identifier("__enter"), [])),
+      ]),
+      t.variableDeclaration("let", [t.variableDeclarator(t.identifier("__threw"), t.booleanLiteral(false))]),
+      makeLogAt(getLine(path.node), "call", [
+        t.objectProperty(t.identifier("function"), t.stringLiteral(fnName)),
+        t.objectProperty(t.identifier("callLine"), t.identifier("__callLine")),
+        t.objectProperty(t.identifier("callee"), t.identifier("__callee")),
+        t.objectProperty(t.identifier("args"), t.objectExpression(params)),
+      ], head),
+      t.tryStatement(
+        t.blockStatement(body.body),
+        t.catchClause(
+          t.identifier("__error"),
+          t.blockStatement([
+            t.expressionStatement(t.assignmentExpression("=", t.identifier("__threw"), t.booleanLiteral(true))),
+            t.ifStatement(
+              t.callExpression(t.identifier("__unwinding"), [t.identifier("__error")]),
+              makeLogAt(exitLine, "unwind", [
+                t.objectProperty(t.identifier("errorId"), t.identifier("__errorId")),
+              ])
+            ),
+            t.throwStatement(t.identifier("__error")),
+          ])
+        ),
+        t.blockStatement([
+          makeLogAt(exitLine, "exit", [
+            t.objectProperty(t.identifier("function"), t.stringLiteral(fnName)),
+            t.objectProperty(t.identifier("threw"), t.identifier("__threw")),
+          ]),
+        ])
+      ),
+    ],
+    body.directives
   );
 
   path.node.body.instrumented = true; // Mark as instrumented
@@ -56,9 +783,47 @@ function instrumentFunction(path) {
 
 
 // --- Plugin ---
-module.exports = function tracerPlugin() {
+/**
+ * @param {Object} api - Babel's plugin API.
+ * @param {Object} options
+ * @param {boolean} [options.traceReads] - Also log `read` events for computed
+ *   member accesses (arr[j]) and `compare` events for comparisons, each with
+ *   the evaluated operands.
+ * @param {boolean} [options.traceExpressions] - Also log an `eval` event with
+ *   the value of every call, arithmetic, logical and conditional expression
+ *   inside a statement (see isTracedEvaluation).
+ * @param {Array<string>} [options.watches] - Expressions every event also
+ *   carries the values of, evaluated in the event's scope by the runtime's
+ *   __watch (see parseWatch).
+ * @param {function(number, number): ?{ line: number, column: number }} [options.mapPosition] -
+ *   Maps a line and 0-based column of the code being transformed to the
+ *   user's code, for the `range` every event carries. Without it positions
+ *   are taken as they are.
+ */
+module.exports = function tracerPlugin(api, options = {}) {
   return {
+    pre() {
+      mapPosition = options.mapPosition || null;
+    },
+    post() {
+      mapPosition = null;
+    },
     visitor: {
+      // Runs before anything is instrumented; the server uses the results to
+      // draw index variables as pointers into arrays and to report line counts
+      Program: {
+        enter(path, state) {
+          state.file.metadata.arrayIndexes = collectArrayIndexes(path);
+          state.file.metadata.codeLines = collectCodeLines(path);
+        },
+        exit(path) {
+          if (options.traceExpressions) path.traverse(evaluationVisitor);
+          path.traverse(heapChangeVisitor);
+          path.traverse(blockScopeVisitor);
+          if (options.watches && options.watches.length > 0) path.traverse(createWatchVisitor(options.watches));
+        },
+      },
+
       // --- All Function Types ---
       FunctionDeclaration(path) { instrumentFunction(path); },
       ArrowFunctionExpression(path) { instrumentFunction(path); },
@@ -67,14 +832,23 @@ module.exports = function tracerPlugin() {
       ObjectMethod(path) { instrumentFunction(path); },
 
       IfStatement(path) {
-        const testLog = makeLog(path.get('test'), "test", [
-          t.objectProperty(
-            t.identifier("expression"),
-            t.stringLiteral(generate(path.node.test).code)
-          ),
-          t.objectProperty(t.identifier("result"), t.cloneNode(path.node.test)),
-        ]);
-        path.insertBefore(testLog);
+        if (isGenerated(path)) return;
+        if (!isInternalIdentifier(path.node.test)) {
+          // Evaluate the test once into a temp so calls in it don't run twice
+          const testId = generateInternalId(path, "test");
+          const testLog = makeLog(path.get('test'), "test", [
+            t.objectProperty(
+              t.identifier("expression"),
+              t.stringLiteral(generate(path.node.test).code)
+            ),
+            t.objectProperty(t.identifier("result"), t.callExpression(t.identifier("__encode"), [testId])),
+          ]);
+          path.insertBefore([
+            t.variableDeclaration("const", [t.variableDeclarator(testId, path.node.test)]),
+            testLog,
+          ]);
+          path.node.test = t.cloneNode(testId);
+        }
 
         if (!t.isBlockStatement(path.node.consequent)) {
           path.node.consequent = t.blockStatement([path.node.consequent]);
@@ -94,8 +868,10 @@ module.exports = function tracerPlugin() {
         ) {
           return;
         }
+        if (path.node.declarations.every(d => isInternalIdentifier(d.id))) {
+          return;
+        }
         path.get("declarations").forEach((declPath) => {
-          const decl = declPath.node;
           const identifiers = Object.keys(declPath.get("id").getBindingIdentifiers());
           identifiers.forEach(idName => {
             const logNode = makeLog(declPath, "declare", [
@@ -104,9 +880,9 @@ module.exports = function tracerPlugin() {
                 t.objectExpression([
                   t.objectProperty(
                     t.identifier(idName),
-                    t.callExpression(t.identifier("__clone"), [
-                      decl.init ? t.cloneNode(decl.init) : t.identifier("undefined")
-                    ])
+                    // The log runs after the declaration, so read the binding
+                    // instead of re-evaluating the initializer
+                    t.callExpression(t.identifier("__encode"), [t.identifier(idName)])
                   ),
                 ])
               ),
@@ -116,58 +892,54 @@ module.exports = function tracerPlugin() {
         });
       },
       AssignmentExpression(path) {
-        if (t.isForStatement(path.parent) && (path.key === "init" || path.key === "update")) {
+        if ((t.isForStatement(path.parent) && path.key === "init") || isForUpdate(path)) {
           return;
         }
+        if (isInternalIdentifier(path.node.left)) return;
 
-        const isCompound = path.node.operator !== "=";
-
-        let targetKey, valueToLog;
+        // The log runs after the assignment, so read the target back instead
+        // of re-evaluating the right-hand side (which may call functions)
+        let loggedLocals;
 
         if (t.isIdentifier(path.node.left)) {
-          targetKey = path.node.left;
-          valueToLog = isCompound ? path.node.left : path.node.right;
+          loggedLocals = [[path.node.left, path.node.left]];
         } else if (t.isMemberExpression(path.node.left)) {
-          const object = path.node.left.object;
-          if (t.isThisExpression(object)) {
-            targetKey = t.identifier("this");
-            valueToLog = isCompound ? path.node.left : object;
-          } else {
-            targetKey = object;
-            valueToLog = isCompound ? path.node.left : object;
-          }
+          loggedLocals = propertyWriteLocals(path.node.left);
         } else {
-          targetKey = t.stringLiteral(generate(path.node.left).code);
-          valueToLog = isCompound ? path.node.left : path.node.right;
+          // Destructuring: every name the pattern binds
+          loggedLocals = Object.keys(path.get("left").getBindingIdentifiers())
+            .map(name => [t.identifier(name), t.identifier(name)]);
         }
 
         const logNode = makeLog(path, "assign", [
           t.objectProperty(
             t.identifier("locals"),
-            t.objectExpression([
+            t.objectExpression(loggedLocals.map(([targetKey, valueToLog]) =>
               t.objectProperty(
                 targetKey,
-                t.callExpression(t.identifier("__clone"), [t.cloneNode(valueToLog)])
+                t.callExpression(t.identifier("__encode"), [t.cloneNode(valueToLog)])
               )
-            ])
+            ))
           )
         ]);
 
         path.getStatementParent().insertAfter(logNode);
       },
       UpdateExpression(path) {
-        if (t.isForStatement(path.parent) && path.key === "update") {
+        if (isForUpdate(path)) {
           return;
         }
+        const argument = path.node.argument;
+        const loggedLocals = t.isMemberExpression(argument) ? propertyWriteLocals(argument) : [[argument, argument]];
         const logNode = makeLog(path, "assign", [
           t.objectProperty(
             t.identifier("locals"),
-            t.objectExpression([
+            t.objectExpression(loggedLocals.map(([targetKey, valueToLog]) =>
               t.objectProperty(
-                path.node.argument,
-                t.callExpression(t.identifier("__clone"), [t.cloneNode(path.node.argument)])
+                t.cloneNode(targetKey),
+                t.callExpression(t.identifier("__encode"), [t.cloneNode(valueToLog)])
               )
-            ])
+            ))
           )
         ]);
         path.getStatementParent().insertAfter(logNode);
@@ -181,26 +953,25 @@ module.exports = function tracerPlugin() {
         }
         const bodyPath = path.get("body");
         if (path.node.update) {
-          const updateStatement = t.expressionStatement(path.node.update);
-          bodyPath.pushContainer("body", updateStatement);
-          let updatedVar = t.isUpdateExpression(path.node.update)
-            ? path.node.update.argument
-            : path.node.update.left;
-          if (updatedVar) {
+          // Log after the update without moving it, so `continue` still runs it
+          const update = path.node.update;
+          const updatedVars = (t.isSequenceExpression(update) ? update.expressions : [update])
+            .map(u => (t.isUpdateExpression(u) ? u.argument : u.left))
+            .filter(v => t.isIdentifier(v));
+          if (updatedVars.length > 0) {
             const assignLog = makeLog(path, "assign", [
               t.objectProperty(
                 t.identifier("locals"),
-                t.objectExpression([
+                t.objectExpression(updatedVars.map(updatedVar =>
                   t.objectProperty(
-                    updatedVar,
-                    t.callExpression(t.identifier("__clone"), [t.cloneNode(updatedVar)])
+                    t.identifier(updatedVar.name),
+                    t.callExpression(t.identifier("__encode"), [t.identifier(updatedVar.name)])
                   )
-                ])
+                ))
               )
             ]);
-            bodyPath.pushContainer("body", assignLog);
+            path.node.update = t.sequenceExpression([update, assignLog.expression]);
           }
-          path.node.update = null;
         }
         if (path.node.test) {
           const testLog = makeLog(path, "test", [
@@ -208,7 +979,10 @@ module.exports = function tracerPlugin() {
               t.identifier("expression"),
               t.stringLiteral(generate(path.node.test).code)
             ),
-            t.objectProperty(t.identifier("result"), t.cloneNode(path.node.test)),
+            t.objectProperty(
+              t.identifier("result"),
+              t.callExpression(t.identifier("__encode"), [t.cloneNode(path.node.test)])
+            ),
           ]);
           bodyPath.unshiftContainer("body", testLog);
         }
@@ -222,7 +996,7 @@ module.exports = function tracerPlugin() {
                   t.objectExpression([
                     t.objectProperty(
                       t.identifier(decl.id.name),
-                      t.callExpression(t.identifier("__clone"), [
+                      t.callExpression(t.identifier("__encode"), [
                         decl.init ? t.cloneNode(decl.init) : t.identifier("undefined")
                       ])
                     ),
@@ -257,51 +1031,214 @@ module.exports = function tracerPlugin() {
         }
         path.get("body").unshiftContainer(
           "body",
-          makeLog(path, "loop", [t.objectProperty(t.identifier("type"), t.stringLiteral("for-of"))])
+          makeLog(path, "loop", [
+            t.objectProperty(t.identifier("type"), t.stringLiteral("for-of")),
+            ...loopVariableLocals(path),
+          ])
+        );
+      },
+      ForInStatement(path) {
+        if (!t.isBlockStatement(path.node.body)) {
+          path.node.body = t.blockStatement([path.node.body]);
+        }
+        path.get("body").unshiftContainer(
+          "body",
+          makeLog(path, "loop", [
+            t.objectProperty(t.identifier("type"), t.stringLiteral("for-in")),
+            ...loopVariableLocals(path),
+          ])
         );
       },
+      DoWhileStatement(path) {
+        if (!t.isBlockStatement(path.node.body)) {
+          path.node.body = t.blockStatement([path.node.body]);
+        }
+        path.get("body").unshiftContainer(
+          "body",
+          makeLog(path, "loop", [t.objectProperty(t.identifier("type"), t.stringLiteral("do-while"))])
+        );
+      },
+
+      // --- Other Control Flow: switch, break/continue, throw, try ---
+      SwitchStatement(path) {
+        if (isInternalIdentifier(path.node.discriminant)) return;
+        // Evaluate the discriminant once, like an if test
+        const valueId = generateInternalId(path, "switch");
+        path.insertBefore([
+          t.variableDeclaration("const", [t.variableDeclarator(valueId, path.node.discriminant)]),
+          makeLog(path, "switch", [
+            t.objectProperty(
+              t.identifier("expression"),
+              t.stringLiteral(generate(path.node.discriminant).code)
+            ),
+            t.objectProperty(t.identifier("value"), t.callExpression(t.identifier("__encode"), [valueId])),
+          ]),
+        ]);
+        path.node.discriminant = t.cloneNode(valueId);
+
+        path.get("cases").forEach(casePath => {
+          const test = casePath.node.test;
+          casePath.node.consequent.unshift(
+            makeLog(casePath, "case", [
+              t.objectProperty(
+                t.identifier("case"),
+                t.stringLiteral(test ? generate(test).code : "default")
+              ),
+            ])
+          );
+        });
+      },
+      BreakStatement(path) {
+        path.insertBefore(makeLog(path, "break", jumpTargetProps(path)));
+      },
+      ContinueStatement(path) {
+        path.insertBefore(makeLog(path, "continue", jumpTargetProps(path)));
+      },
+      ThrowStatement(path) {
+        if (isGenerated(path) || isInternalIdentifier(path.node.argument)) return;
+        const valueId = generateInternalId(path, "thrown");
+        path.insertBefore([
+          t.variableDeclaration("const", [t.variableDeclarator(valueId, path.node.argument)]),
+          makeLog(path, "throw", [
+            t.objectProperty(t.identifier("error"), t.callExpression(t.identifier("__errorInfo"), [valueId])),
+          ]),
+        ]);
+        path.node.argument = t.cloneNode(valueId);
+      },
+      TryStatement(path) {
+        if (isGenerated(path)) return;
+        const { handler, finalizer } = path.node;
+
+        if (handler) {
+          // `catch {}` gets a binding so the caught value can still be reported
+          if (!handler.param) handler.param = generateInternalId(path, "caught");
+          const param = handler.param;
+          const caught = t.isIdentifier(param) ? param : null;
+          const names = Object.keys(t.getBindingIdentifiers(param)).filter(n => !isTracerInternal(n));
+          handler.body.body.unshift(
+            makeLog(path.get("handler"), "catch", [
+              t.objectProperty(t.identifier("param"), t.stringLiteral(caught && !isTracerInternal(caught.name) ? caught.name : "")),
+              t.objectProperty(
+                t.identifier("error"),
+                caught ? t.callExpression(t.identifier("__errorInfo"), [t.cloneNode(caught)]) : t.nullLiteral()
+              ),
+              t.objectProperty(
+                t.identifier("locals"),
+                t.objectExpression(names.map(name =>
+                  t.objectProperty(
+                    t.identifier(name),
+                    t.callExpression(t.identifier("__encode"), [t.identifier(name)])
+                  )
+                ))
+              ),
+            ])
+          );
+        }
+
+        if (finalizer) {
+          finalizer.body.unshift(makeLogAt(getLine(finalizer), "finally"));
+        }
+      },
+
       ReturnStatement(path) {
-        path.insertBefore(
+        // The tracer's own returns, and those already logged, return a temp
+        if (isGenerated(path) || isInternalIdentifier(path.node.argument)) return;
+        if (!path.node.argument) {
+          path.insertBefore(
+            makeLog(path, "return", [
+              t.objectProperty(t.identifier("value"), t.callExpression(t.identifier("__encode"), [])),
+            ])
+          );
+          return;
+        }
+        // Evaluate the return value once, log it, then return the temp
+        const valueId = generateInternalId(path, "returnValue");
+        path.insertBefore([
+          t.variableDeclaration("const", [t.variableDeclarator(valueId, path.node.argument)]),
           makeLog(path, "return", [
             t.objectProperty(
               t.identifier("value"),
-              path.node.argument
-                ? t.callExpression(t.identifier("__clone"), [t.cloneNode(path.node.argument)])
-                : t.nullLiteral()
+              t.callExpression(t.identifier("__encode"), [t.cloneNode(valueId)])
             ),
-          ])
+          ]),
+        ]);
+        path.node.argument = t.cloneNode(valueId);
+      },
+
+      // --- async/await ---
+      // Inside a rewritten async body, `await x` yields to the event loop
+      AwaitExpression(path) {
+        const fn = path.getFunctionParent();
+        if (!fn || !fn.node.asyncBody) return;
+        const event = makeLog(path, "await", [
+          t.objectProperty(
+            t.identifier("expression"),
+            t.stringLiteral(generate(path.node.argument).code)
+          ),
+        ]).expression.arguments[0];
+        path.replaceWith(
+          t.yieldExpression(t.callExpression(t.identifier("__await"), [path.node.argument, event]))
         );
       },
 
+      // --- Reads and comparisons (only with options.traceReads) ---
+      // `arr[j]` becomes `__read(arr, j, event)` and `a > b` becomes
+      // `__compare(a, b, event)`; the runtime adds the operand values.
+      MemberExpression(path) {
+        if (!options.traceReads || !isTracedRead(path)) return;
+        const event = makeLog(path, "read", [
+          t.objectProperty(t.identifier("expression"), t.stringLiteral(generate(path.node).code)),
+        ]).expression.arguments[0];
+        path.replaceWith(t.callExpression(t.identifier("__read"), [path.node.object, path.node.property, event]));
+      },
+      BinaryExpression(path) {
+        if (!options.traceReads || isGenerated(path) || !COMPARISON_OPERATORS.includes(path.node.operator)) return;
+        if (insideTracerLog(path)) return;
+        const event = makeLog(path, "compare", [
+          t.objectProperty(t.identifier("operator"), t.stringLiteral(path.node.operator)),
+          t.objectProperty(t.identifier("expression"), t.stringLiteral(generate(path.node).code)),
+        ]).expression.arguments[0];
+        path.replaceWith(t.callExpression(t.identifier("__compare"), [path.node.left, path.node.right, event]));
+      },
+
       // --- Call Expressions ---
       CallExpression(path) {
-        // --- THIS IS THE FIX ---
-        // Check if this is a console.log call
+        const callee = path.node.callee;
+        if (t.isIdentifier(callee) && isTracerInternal(callee.name)) return;
+
+        // console.* calls name their line: by the time the method runs, calls
+        // in its arguments have moved the latest call site elsewhere
         if (
-          t.isMemberExpression(path.node.callee) &&
-          t.isIdentifier(path.node.callee.object, { name: "console" }) &&
-          t.isIdentifier(path.node.callee.property, { name: "log" })
+          t.isMemberExpression(callee) &&
+          !callee.computed &&
+          t.isIdentifier(callee.object, { name: "console" }) &&
+          !path.scope.hasBinding("console") &&
+          path.node.loc
         ) {
-          // 1. Create an array of all arguments: [arg1, arg2, ...]
-          const argsArray = t.arrayExpression(path.node.arguments);
-
-          // 2. Create an AST node for the join method: `[...].join`
-          const joinMember = t.memberExpression(argsArray, t.identifier("join"));
-
-          // 3. Create the call to join: `[...].join(' ')`
-          const joinCall = t.callExpression(joinMember, [t.stringLiteral(" ")]);
+          path.get("callee.object").replaceWith(
+            t.callExpression(t.identifier("__consoleAt"), [t.numericLiteral(getLine(path.node))])
+          );
+          return;
+        }
 
-          // 4. Create the final __log call using the joined string as the output
-          const logNode = makeLog(path, "stdout", [
-            t.objectProperty(
-              t.identifier("output"),
-              joinCall // The result of the join call is our output
-            ),
-          ]);
+        if (t.isImport(callee)) return;
+        trackCallSite(path, calleeText(callee));
+      },
+      NewExpression(path) {
+        const text = calleeText(path.node.callee);
+        trackCallSite(path, text && `new ${text}`);
+      },
 
-          // 5. Replace the original console.log with our tracer call
-          path.replaceWith(logNode);
-        }
+      // A call made for what it does, like `q.push(x);`, gets a step of its
+      // own, which shows what it changed. The program's functions log theirs.
+      ExpressionStatement(path) {
+        const { expression } = path.node;
+        if (isGenerated(path) || !(t.isCallExpression(expression) || t.isOptionalCallExpression(expression))) return;
+        const { callee } = expression;
+        if (t.isSuper(callee) || t.isImport(callee) || isInternalIdentifier(callee)) return;
+        if (t.isMemberExpression(callee) && t.isIdentifier(callee.object, { name: "console" })) return;
+        if (callsProgramFunction(path.get("expression"))) return;
+        path.insertAfter(makeLog(path, "line"));
       },
 
       ClassDeclaration(path) {
@@ -312,4 +1249,6 @@ module.exports = function tracerPlugin() {
       },
     },
   };
-};
\ No newline at end of file
+};
+
+module.exports.reservedNamesPlugin = reservedNamesPlugin;
@@ -0,0 +1,359 @@
+// console-runtime.js
+// The sandbox's console. Every method becomes a "stdout" or "stderr" event at
+// the line that called it, with its arguments rendered the way Node's
+// util.format and util.inspect would. Like event-loop-runtime.js, the source
+// of createConsole is embedded in the tracer prelude and evaluated inside the
+// sandbox, so it must stay self-contained.
+
+/**
+ * @param {Function} log - The prelude's __log.
+ * @param {Function} currentLine - Returns the line of the most recent call site.
+ * @param {Function} [reveal] - Returns the value a watch's read-only view
+ *   shows (see watch-runtime.js), which is what gets inspected.
+ * @returns {{ console: Object, at: Function, inspect: Function, format: Function }}
+ *   `at(line)` is a console whose events are logged at `line`.
+ */
+function createConsole(log, currentLine, reveal = (value) => value) {
+  const MAX_DEPTH = 2;
+  const MAX_ITEMS = 100;
+  const BREAK_LENGTH = 80;
+
+  // --- util.inspect ---
+  const quote = (text) => `'${text.replace(/\\/g, "\\\\").replace(/'/g, "\\'").replace(/\n/g, "\\n")}'`;
+  const formatKey = (key) =>
+    typeof key === "symbol" ? `[${String(key)}]` : /^[A-Za-z_$][\w$]*$/.test(key) ? key : quote(key);
+
+  function className(object) {
+    const proto = Object.getPrototypeOf(object);
+    if (proto === null) return "[Object: null prototype]";
+    const name = proto.constructor && proto.constructor.name;
+    return typeof name === "string" ? name : "Object";
+  }
+
+  // Arrays of more than six short items are laid out in aligned columns,
+  // numbers right-aligned (Node's groupArrayElements)
+  function groupItems(items, indentation, values) {
+    const more = items[items.length - 1].startsWith("... ") ? items.slice(-1) : [];
+    const output = items.slice(0, items.length - more.length);
+    const totalLength = output.reduce((sum, item) => sum + item.length + 2, 0);
+    const maxLength = Math.max(...output.map((item) => item.length));
+    const actualMax = maxLength + 2;
+    if (actualMax * 3 + indentation >= BREAK_LENGTH || (totalLength / actualMax <= 5 && maxLength > 6)) return items;
+
+    const averageBias = Math.sqrt(actualMax - totalLength / output.length);
+    const biasedMax = Math.max(actualMax - 3 - averageBias, 1);
+    const columns = Math.min(
+      Math.round(Math.sqrt(2.5 * biasedMax * output.length) / biasedMax),
+      Math.floor((BREAK_LENGTH - indentation) / actualMax),
+      12,
+      15
+    );
+    if (columns <= 1) return items;
+    const widths = [];
+    for (let i = 0; i < columns; i++) {
+      let width = 0;
+      for (let j = i; j < output.length; j += columns) width = Math.max(width, output[j].length);
+      widths.push(width + 2);
+    }
+    const numeric = values.every((value) => typeof value === "number" || typeof value === "bigint");
+    const rows = [];
+    for (let i = 0; i < output.length; i += columns) {
+      const row = output.slice(i, i + columns);
+      rows.push(row.map((item, j) => {
+        if (j === row.length - 1) return numeric ? item.padStart(widths[j] - 2) : item;
+        return numeric ? `${item}, `.padStart(widths[j]) : `${item}, `.padEnd(widths[j]);
+      }).join(""));
+    }
+    return [...rows, ...more];
+  }
+
+  // `{ a: 1 }` on one line while it fits in 80 columns, otherwise one item
+  // (or row of grouped items) per line, indented to the nesting depth
+  function wrap(prefix, open, items, close, depth, values) {
+    const start = prefix ? `${prefix} ${open}` : open;
+    if (items.length === 0) return `${start}${close}`;
+    const indentation = depth * 2;
+    const output = values && items.length > 6 ? groupItems(items, indentation, values) : items;
+    if (output === items) {
+      let length = output.length * 2 + indentation + start.length + 10;
+      const fits = output.every((item) => (length += item.length) <= BREAK_LENGTH) && length <= BREAK_LENGTH;
+      const joined = output.join(", ");
+      if (fits && !joined.includes("\n")) return `${start} ${joined} ${close}`;
+    }
+    const newline = `\n${" ".repeat(indentation)}`;
+    return `${start}${newline}  ${output.join(`,${newline}  `)}${newline}${close}`;
+  }
+
+  // Own data properties; accessors are shown, not run
+  function propertyItems(object, depth, seen) {
+    return Reflect.ownKeys(object)
+      .filter((key) => Object.getOwnPropertyDescriptor(object, key).enumerable)
+      .map((key) => {
+        const descriptor = Object.getOwnPropertyDescriptor(object, key);
+        const value = "value" in descriptor
+          ? inspectValue(descriptor.value, depth + 1, seen)
+          : descriptor.get && descriptor.set ? "[Getter/Setter]" : descriptor.get ? "[Getter]" : "[Setter]";
+        return `${formatKey(key)}: ${value}`;
+      });
+  }
+
+  function listItems(list, depth, seen) {
+    const items = [];
+    let empty = 0;
+    const flushEmpty = () => {
+      if (empty > 0) items.push(`<${empty} empty item${empty > 1 ? "s" : ""}>`);
+      empty = 0;
+    };
+    const shown = Math.min(list.length, MAX_ITEMS);
+    for (let i = 0; i < shown; i++) {
+      if (!(i in list)) { empty++; continue; }
+      flushEmpty();
+      items.push(inspectValue(list[i], depth + 1, seen));
+    }
+    flushEmpty();
+    if (list.length > MAX_ITEMS) items.push(`... ${list.length - MAX_ITEMS} more item${list.length - MAX_ITEMS > 1 ? "s" : ""}`);
+    return items;
+  }
+
+  function inspectValue(viewed, depth, seen) {
+    const value = reveal(viewed);
+    switch (typeof value) {
+      case "string":
+        return quote(value);
+      case "number":
+        return Object.is(value, -0) ? "-0" : String(value);
+      case "bigint":
+        return `${value}n`;
+      case "symbol":
+      case "boolean":
+      case "undefined":
+        return String(value);
+      case "function": {
+        const isClass = /^class[\s{]/.test(Function.prototype.toString.call(value));
+        const name = value.name ? `${isClass ? "" : ": "}${value.name}` : " (anonymous)";
+        return isClass ? `[class ${value.name || "(anonymous)"}]` : `[Function${name}]`;
+      }
+    }
+    if (value === null) return "null";
+    if (seen.includes(value)) return "[Circular]";
+
+    if (value instanceof Date) return Number.isNaN(value.getTime()) ? "Invalid Date" : value.toISOString();
+    if (value instanceof RegExp) return String(value);
+    if (value instanceof Error) {
+      const text = `${value.name}: ${value.message}`;
+      return depth > 0 ? `[${text}]` : text;
+    }
+
+    const isArray = Array.isArray(value) || (ArrayBuffer.isView(value) && typeof value.length === "number");
+    const name = className(value);
+    if (depth > MAX_DEPTH) return isArray ? "[Array]" : `[${name}]`;
+
+    const inner = [...seen, value];
+    if (isArray) {
+      const prefix = Array.isArray(value) && name === "Array" ? "" : `${name}(${value.length})`;
+      return wrap(prefix, "[", listItems(value, depth, inner), "]", depth, Array.from(value).slice(0, MAX_ITEMS));
+    }
+    if (value instanceof Map) {
+      const items = [];
+      Map.prototype.forEach.call(value, (item, key) => {
+        items.push(`${inspectValue(key, depth + 1, inner)} => ${inspectValue(item, depth + 1, inner)}`);
+      });
+      return wrap(`Map(${value.size})`, "{", items, "}", depth);
+    }
+    if (value instanceof Set) {
+      const items = [];
+      Set.prototype.forEach.call(value, (item) => items.push(inspectValue(item, depth + 1, inner)));
+      return wrap(`Set(${value.size})`, "{", items, "}", depth);
+    }
+    if (Object.prototype.toString.call(value) === "[object Promise]" && "_state" in value) {
+      const state = value._state === "pending"
+        ? "<pending>"
+        : `${value._state === "rejected" ? "<rejected> " : ""}${inspectValue(value._value, depth + 1, inner)}`;
+      return `Promise { ${state} }`;
+    }
+    return wrap(name === "Object" ? "" : name, "{", propertyItems(value, depth, inner), "}", depth);
+  }
+
+  const inspect = (value) => inspectValue(value, 0, []);
+
+  // --- util.format ---
+  // Strings print as they are at the top level; everything else is inspected
+  const show = (value) => (typeof value === "string" ? value : inspect(value));
+
+  function formatString(value) {
+    if (typeof value === "bigint") return `${value}n`;
+    if (typeof value === "symbol") return String(value);
+    if (typeof value === "object" && value !== null) return inspectValue(value, MAX_DEPTH, []);
+    return show(value);
+  }
+
+  function formatJson(value) {
+    try {
+      return JSON.stringify(value);
+    } catch {
+      return "[Circular]";
+    }
+  }
+
+  function format(args) {
+    if (typeof args[0] !== "string" || !args[0].includes("%")) return args.map(show).join(" ");
+    let next = 1;
+    const text = args[0].replace(/%([sdifjoOc%])/g, (match, spec) => {
+      if (spec === "%") return "%";
+      if (next >= args.length) return match;
+      const arg = args[next++];
+      switch (spec) {
+        case "s": return formatString(arg);
+        case "d": return typeof arg === "bigint" ? `${arg}n` : typeof arg === "object" ? "NaN" : String(Number(arg));
+        case "i": return typeof arg === "bigint" ? `${arg}n` : String(parseInt(arg, 10));
+        case "f": return String(parseFloat(arg));
+        case "j": return formatJson(arg);
+        case "o":
+        case "O": return inspect(arg);
+        default: return ""; // %c: CSS has nothing to style here
+      }
+    });
+    return [text, ...args.slice(next).map(show)].join(" ");
+  }
+
+  // --- console.table ---
+  const INDEX_COLUMN = "(index)";
+  const VALUES_COLUMN = "Values";
+  const cell = (value) => (typeof value === "string" ? quote(value) : inspectValue(value, MAX_DEPTH, []).replace(/\n\s*/g, " "));
+
+  /**
+   * Rows and columns of `data` as text cells: one row per entry, one column
+   * per property of the entries (or `columns`), and "Values" for primitives.
+   */
+  function buildTable(data, columns) {
+    const entries = [];
+    let indexColumn = INDEX_COLUMN;
+    if (data instanceof Map) {
+      indexColumn = "(iteration index)";
+      let i = 0;
+      data.forEach((value, key) => entries.push([String(i++), { Key: key, [VALUES_COLUMN]: value }, true]));
+    } else if (data instanceof Set) {
+      indexColumn = "(iteration index)";
+      let i = 0;
+      data.forEach((value) => entries.push([String(i++), value, false]));
+    } else {
+      for (const key of Object.keys(data)) entries.push([key, data[key], false]);
+    }
+
+    const keys = [];
+    let hasValues = false;
+    const rows = entries.map(([index, value, isMapEntry]) => {
+      const row = { [indexColumn]: index };
+      if (value !== null && typeof value === "object" && !isMapEntry) {
+        for (const key of Object.keys(value)) {
+          if (columns && !columns.includes(key)) continue;
+          if (!keys.includes(key)) keys.push(key);
+          row[key] = cell(value[key]);
+        }
+      } else if (isMapEntry) {
+        if (!keys.includes("Key")) keys.push("Key");
+        row.Key = cell(value.Key);
+        row[VALUES_COLUMN] = cell(value[VALUES_COLUMN]);
+        hasValues = true;
+      } else {
+        row[VALUES_COLUMN] = cell(value);
+        hasValues = true;
+      }
+      return row;
+    });
+    const header = [indexColumn, ...(columns || keys), ...(hasValues ? [VALUES_COLUMN] : [])];
+    return { columns: header, rows: rows.map((row) => header.map((column) => row[column] ?? "")) };
+  }
+
+  // The box-drawing text Node prints, so plain-text consumers still get a table
+  function renderTable({ columns, rows }) {
+    const widths = columns.map((column, i) => Math.max(column.length, ...rows.map((row) => row[i].length)) + 2);
+    const line = (left, middle, right) => left + widths.map((width) => "─".repeat(width)).join(middle) + right;
+    const row = (cells) => "│" + cells.map((text, i) => ` ${text}`.padEnd(widths[i])).join("│") + "│";
+    return [line("┌", "┬", "┐"), row(columns), line("├", "┼", "┤"), ...rows.map(row), line("└", "┴", "┘")].join("\n");
+  }
+
+  // --- Methods ---
+  let groupIndent = "";
+  const counts = new Map();
+  const timers = new Map();
+
+  function emit(stream, level, text, line, extra) {
+    const output = groupIndent ? text.split("\n").map((row) => groupIndent + row).join("\n") : text;
+    log({ action: stream, level, output, line: line ?? currentLine(), ...extra });
+  }
+
+  function createMethods(line) {
+    const write = (stream, level) => (...args) => emit(stream, level, format(args), line);
+    const labelled = (text, args) => (args.length > 0 ? `${text}: ${format(args)}` : text);
+    return {
+      log: write("stdout", "log"),
+      info: write("stdout", "info"),
+      debug: write("stdout", "debug"),
+      dirxml: write("stdout", "log"),
+      warn: write("stderr", "warn"),
+      error: write("stderr", "error"),
+      trace: (...args) => emit("stderr", "trace", labelled("Trace", args), line),
+      assert: (condition, ...args) => {
+        if (!condition) emit("stderr", "error", labelled("Assertion failed", args), line);
+      },
+      dir: (value) => emit("stdout", "log", inspect(value), line),
+      table: (data, columns) => {
+        if (data === null || typeof data !== "object") {
+          emit("stdout", "log", format([data]), line);
+          return;
+        }
+        const table = buildTable(data, Array.isArray(columns) ? columns.map(String) : undefined);
+        emit("stdout", "log", renderTable(table), line, { table });
+      },
+      group: (...label) => {
+        if (label.length > 0) emit("stdout", "log", format(label), line);
+        groupIndent += "  ";
+      },
+      groupCollapsed: (...label) => {
+        if (label.length > 0) emit("stdout", "log", format(label), line);
+        groupIndent += "  ";
+      },
+      groupEnd: () => {
+        groupIndent = groupIndent.slice(2);
+      },
+      count: (label = "default") => {
+        const count = (counts.get(String(label)) || 0) + 1;
+        counts.set(String(label), count);
+        emit("stdout", "info", `${label}: ${count}`, line);
+      },
+      countReset: (label = "default") => {
+        counts.delete(String(label));
+      },
+      time: (label = "default") => {
+        timers.set(String(label), Date.now());
+      },
+      timeLog: (label = "default", ...args) => {
+        if (!timers.has(String(label))) {
+          emit("stderr", "warn", `Warning: No such label '${label}' for console.timeLog()`, line);
+          return;
+        }
+        const elapsed = `${label}: ${Date.now() - timers.get(String(label))}ms`;
+        emit("stdout", "info", args.length > 0 ? `${elapsed} ${format(args)}` : elapsed, line);
+      },
+      timeEnd: (label = "default") => {
+        if (!timers.has(String(label))) {
+          emit("stderr", "warn", `Warning: No such label '${label}' for console.timeEnd()`, line);
+          return;
+        }
+        emit("stdout", "info", `${label}: ${Date.now() - timers.get(String(label))}ms`, line);
+        timers.delete(String(label));
+      },
+    };
+  }
+
+  const consolesByLine = new Map();
+  const at = (line) => {
+    if (!consolesByLine.has(line)) consolesByLine.set(line, createMethods(line));
+    return consolesByLine.get(line);
+  };
+
+  return { console: createMethods(undefined), at, inspect, format };
+}
+
+module.exports = { createConsole };
@@ -0,0 +1,332 @@
+// event-loop-runtime.js
+// A deterministic event loop for the sandbox: a Promise implementation whose
+// reactions run on a virtual microtask queue, fake timers on a virtual task
+// queue, and the driver for async functions (which the tracer rewrites into
+// generators). Nothing here runs in the server: the source of
+// createEventLoop is embedded in the tracer prelude and evaluated inside the
+// sandbox, so it must stay self-contained.
+
+/**
+ * @param {Function} log - The prelude's __log.
+ * @param {Function} currentLine - Returns the line of the most recent call site.
+ */
+function createEventLoop(log, currentLine) {
+  const microtasks = [];
+  const tasks = [];
+  // Interval ids cleared while their callback was running
+  const cancelledRepeats = new Set();
+  // Rejected promises without a handler yet. Like Node, the program ends
+  // with the first one still unhandled once the microtasks run out.
+  const unhandledRejections = new Set();
+  let nextTaskId = 1;
+  let now = 0;
+
+  const nameOf = (fn) => (typeof fn === "function" && fn.name) || "anonymous";
+
+  // --- Queues ---
+  function enqueueMicrotask(label, run) {
+    const task = { id: nextTaskId++, label, run };
+    microtasks.push(task);
+    log({ action: "enqueue", line: currentLine(), queue: "microtask", id: task.id, label });
+  }
+
+  function enqueueTask(task) {
+    tasks.push(task);
+    log({ action: "enqueue", line: currentLine(), queue: "task", id: task.id, label: task.label, time: task.time });
+  }
+
+  function scheduleTimer(kind, callback, delay, args, repeat) {
+    if (typeof callback !== "function") {
+      throw new TypeError(`${kind} callback must be a function`);
+    }
+    const wait = Math.max(0, Number(delay) || 0);
+    const task = {
+      id: nextTaskId++,
+      label: `${kind}(${nameOf(callback)}, ${wait})`,
+      time: now + wait,
+      wait,
+      repeat,
+      run: () => callback(...args),
+    };
+    enqueueTask(task);
+    return task.id;
+  }
+
+  function clearTimer(id) {
+    const index = tasks.findIndex(task => task.id === id);
+    if (index !== -1) {
+      const [task] = tasks.splice(index, 1);
+      log({ action: "cancel", line: currentLine(), queue: "task", id, label: task.label });
+    }
+    cancelledRepeats.add(id);
+  }
+
+  // --- Promise ---
+  const PENDING = "pending";
+  const FULFILLED = "fulfilled";
+  const REJECTED = "rejected";
+
+  function settle(promise, state, value) {
+    if (promise._state !== PENDING) return;
+    promise._state = state;
+    promise._value = value;
+    if (state === REJECTED && !promise._handled) unhandledRejections.add(promise);
+    promise._reactions.forEach(scheduleReaction.bind(null, promise));
+    promise._reactions = [];
+  }
+
+  function resolvePromise(promise, value) {
+    if (value === promise) {
+      settle(promise, REJECTED, new TypeError("Chaining cycle detected for promise"));
+      return;
+    }
+    if (value !== null && (typeof value === "object" || typeof value === "function")) {
+      let then;
+      try {
+        then = value.then;
+      } catch (err) {
+        settle(promise, REJECTED, err);
+        return;
+      }
+      if (typeof then === "function") {
+        // Adopting another thenable's state takes a microtask of its own
+        enqueueMicrotask("resolve thenable", () => {
+          let done = false;
+          try {
+            then.call(
+              value,
+              (v) => { if (!done) { done = true; resolvePromise(promise, v); } },
+              (e) => { if (!done) { done = true; settle(promise, REJECTED, e); } }
+            );
+          } catch (err) {
+            if (!done) { done = true; settle(promise, REJECTED, err); }
+          }
+        });
+        return;
+      }
+    }
+    settle(promise, FULFILLED, value);
+  }
+
+  function scheduleReaction(promise, reaction) {
+    enqueueMicrotask(reaction.label, () => {
+      const handler = promise._state === FULFILLED ? reaction.onFulfilled : reaction.onRejected;
+      if (typeof handler !== "function") {
+        if (promise._state === FULFILLED) resolvePromise(reaction.child, promise._value);
+        else settle(reaction.child, REJECTED, promise._value);
+        return;
+      }
+      try {
+        resolvePromise(reaction.child, handler(promise._value));
+      } catch (err) {
+        settle(reaction.child, REJECTED, err);
+      }
+    });
+  }
+
+  class TracedPromise {
+    constructor(executor) {
+      if (typeof executor !== "function") {
+        throw new TypeError("Promise resolver is not a function");
+      }
+      this._state = PENDING;
+      this._value = undefined;
+      this._reactions = [];
+      let resolved = false;
+      const resolve = (value) => { if (!resolved) { resolved = true; resolvePromise(this, value); } };
+      const reject = (reason) => { if (!resolved) { resolved = true; settle(this, REJECTED, reason); } };
+      try {
+        executor(resolve, reject);
+      } catch (err) {
+        reject(err);
+      }
+    }
+
+    // Like then(), with the label shown for the reaction in the microtask queue
+    _then(onFulfilled, onRejected, label) {
+      this._handled = true;
+      unhandledRejections.delete(this);
+      const child = new TracedPromise(() => {});
+      const reaction = { onFulfilled, onRejected, child, label };
+      if (this._state === PENDING) this._reactions.push(reaction);
+      else scheduleReaction(this, reaction);
+      return child;
+    }
+
+    then(onFulfilled, onRejected) {
+      const handler = typeof onFulfilled === "function" ? onFulfilled : onRejected;
+      return this._then(onFulfilled, onRejected, `then(${nameOf(handler)})`);
+    }
+
+    catch(onRejected) {
+      return this._then(undefined, onRejected, `catch(${nameOf(onRejected)})`);
+    }
+
+    finally(onFinally) {
+      if (typeof onFinally !== "function") return this.then(onFinally, onFinally);
+      return this._then(
+        (value) => TracedPromise.resolve(onFinally()).then(() => value),
+        (reason) => TracedPromise.resolve(onFinally()).then(() => { throw reason; }),
+        `finally(${nameOf(onFinally)})`
+      );
+    }
+
+    static resolve(value) {
+      if (value instanceof TracedPromise) return value;
+      return new TracedPromise((resolve) => resolve(value));
+    }
+
+    static reject(reason) {
+      return new TracedPromise((_, reject) => reject(reason));
+    }
+
+    static all(iterable) {
+      return new TracedPromise((resolve, reject) => {
+        const items = Array.from(iterable);
+        const results = new Array(items.length);
+        let remaining = items.length;
+        if (remaining === 0) resolve(results);
+        items.forEach((item, i) => {
+          TracedPromise.resolve(item).then((value) => {
+            results[i] = value;
+            if (--remaining === 0) resolve(results);
+          }, reject);
+        });
+      });
+    }
+
+    static allSettled(iterable) {
+      return TracedPromise.all(Array.from(iterable).map(item =>
+        TracedPromise.resolve(item).then(
+          (value) => ({ status: FULFILLED, value }),
+          (reason) => ({ status: REJECTED, reason })
+        )
+      ));
+    }
+
+    static race(iterable) {
+      return new TracedPromise((resolve, reject) => {
+        Array.from(iterable).forEach(item => TracedPromise.resolve(item).then(resolve, reject));
+      });
+    }
+
+    static any(iterable) {
+      return new TracedPromise((resolve, reject) => {
+        const items = Array.from(iterable);
+        const errors = new Array(items.length);
+        let remaining = items.length;
+        if (remaining === 0) reject(new Error("All promises were rejected"));
+        items.forEach((item, i) => {
+          TracedPromise.resolve(item).then(resolve, (reason) => {
+            errors[i] = reason;
+            if (--remaining === 0) {
+              const error = new Error("All promises were rejected");
+              error.errors = errors;
+              reject(error);
+            }
+          });
+        });
+      });
+    }
+
+    get [Symbol.toStringTag]() {
+      return "Promise";
+    }
+  }
+
+  // --- async functions ---
+  // `await x` is compiled to `yield __await(x, event)`; the event is logged
+  // as the frame suspends and its line is reused when the frame resumes.
+  function awaitValue(value, event) {
+    log(event);
+    return { value, line: event.line };
+  }
+
+  function runAsync(generator, frameId, name) {
+    return new TracedPromise((resolve, reject) => {
+      const step = (method, input) => {
+        let result;
+        try {
+          result = generator[method](input);
+        } catch (err) {
+          log({ action: "exit", frameId, function: name });
+          reject(err);
+          return;
+        }
+        if (result.done) {
+          log({ action: "exit", frameId, function: name });
+          resolve(result.value);
+          return;
+        }
+        const { value, line } = result.value;
+        TracedPromise.resolve(value)._then(
+          (v) => { log({ action: "resume", line, frameId, function: name }); step("next", v); },
+          (e) => { log({ action: "resume", line, frameId, function: name, threw: true }); step("throw", e); },
+          `resume ${name}`
+        );
+      };
+      step("next");
+    });
+  }
+
+  // What Node throws for an unhandled rejection: the reason itself when it is
+  // an error, otherwise an error naming it
+  function unhandledRejection() {
+    const [promise] = unhandledRejections;
+    const reason = promise._value;
+    if (reason instanceof Error) return reason;
+    const error = new Error(
+      "This error originated either by throwing inside of an async function without a catch block, " +
+      "or by rejecting a promise which was not handled with .catch(). " +
+      `The promise rejected with the reason "${String(reason)}".`
+    );
+    error.name = "UnhandledPromiseRejection";
+    return error;
+  }
+
+  // --- Event loop driver ---
+  // Runs every queued microtask, then the earliest timer, until both queues
+  // are empty. Virtual time jumps straight to each timer's due time. A
+  // rejection still unhandled after the microtasks is thrown, ending the run.
+  function drain() {
+    for (;;) {
+      while (microtasks.length > 0) {
+        const task = microtasks.shift();
+        log({ action: "dequeue", queue: "microtask", id: task.id, label: task.label });
+        task.run();
+      }
+      if (unhandledRejections.size > 0) throw unhandledRejection();
+      if (tasks.length === 0) return;
+
+      tasks.sort((a, b) => a.time - b.time || a.id - b.id);
+      const task = tasks.shift();
+      now = task.time;
+      log({ action: "dequeue", queue: "task", id: task.id, label: task.label, time: now });
+      if (task.repeat) {
+        cancelledRepeats.delete(task.id);
+        task.run();
+        if (!cancelledRepeats.has(task.id)) enqueueTask({ ...task, time: now + Math.max(1, task.wait) });
+      } else {
+        task.run();
+      }
+    }
+  }
+
+  return {
+    globals: {
+      Promise: TracedPromise,
+      setTimeout: (callback, delay, ...args) => scheduleTimer("setTimeout", callback, delay, args, false),
+      setInterval: (callback, delay, ...args) => scheduleTimer("setInterval", callback, delay, args, true),
+      setImmediate: (callback, ...args) => scheduleTimer("setImmediate", callback, 0, args, false),
+      clearTimeout: clearTimer,
+      clearInterval: clearTimer,
+      clearImmediate: clearTimer,
+      queueMicrotask: (callback) => enqueueMicrotask(`queueMicrotask(${nameOf(callback)})`, callback),
+    },
+    awaitValue,
+    runAsync,
+    drain,
+  };
+}
+
+module.exports = { createEventLoop };
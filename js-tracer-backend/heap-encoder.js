@@ -0,0 +1,205 @@
+// heap-encoder.js
+// Encodes sandbox values for the trace without losing identity. Primitives are
+// written inline (with a typed form for the ones JSON can't carry); every
+// object or function becomes a `{ ref: id }` pointer into a heap whose entries
+// keep the same id for the whole run. Like the event loop runtime, the source
+// of createHeapEncoder is embedded in the tracer prelude and evaluated inside
+// the sandbox, so it must stay self-contained.
+//
+// Only objects the program may have changed are encoded again: the
+// instrumented code marks the objects a property write goes through and the
+// receiver, arguments and result of every call (see babel-tracer.js), or
+// every object after a call whose callee could be anything. They
+// stay marked until the write or call is done, since code that logs may run
+// before it is (the value being assigned, a callback mid-sort).
+//
+// Value encodings:
+//   1, "text", true, null               JSON-safe primitives, as is
+//   { type: "undefined" }
+//   { type: "number", value: "NaN" }   also "Infinity", "-Infinity", "-0"
+//   { type: "bigint", value: "12" }
+//   { type: "symbol", value: "Symbol(id)" }
+//   { ref: 3 }                          an object in the heap
+//
+// Heap object encodings:
+//   { type: "array", items: [...] }    (typed arrays add `className`)
+//   { type: "object", properties: { key: value } }   (instances add `className`)
+//   { type: "map", entries: [[key, value], ...] }
+//   { type: "set", items: [...] }
+//   { type: "date" | "regexp", value }
+//   { type: "error", name, message }
+//   { type: "function" | "class", name }
+//   { type: "promise", state, value }
+
+function createHeapEncoder() {
+  const ids = new WeakMap();
+  // objects[id - 1] is the object with that id; lastSent holds the JSON of the
+  // encoding most recently reported for it
+  const objects = [];
+  const lastSent = [];
+  // How many objects have been encoded at least once
+  let described = 0;
+  // Ids marked since the previous changes(), and the promises, which the
+  // event loop settles outside the program
+  const changed = new Set();
+  const promises = new Set();
+  // The values of the writes and calls in progress, innermost last
+  const inProgress = [];
+
+  function idOf(object) {
+    let id = ids.get(object);
+    if (id === undefined) {
+      objects.push(object);
+      id = objects.length;
+      ids.set(object, id);
+    }
+    return id;
+  }
+
+  function encodeValue(value) {
+    switch (typeof value) {
+      case "undefined":
+        return { type: "undefined" };
+      case "number":
+        if (Number.isNaN(value) || !Number.isFinite(value)) return { type: "number", value: String(value) };
+        if (Object.is(value, -0)) return { type: "number", value: "-0" };
+        return value;
+      case "bigint":
+        return { type: "bigint", value: String(value) };
+      case "symbol":
+        return { type: "symbol", value: String(value) };
+      case "function":
+        return { ref: idOf(value) };
+      case "object":
+        return value === null ? null : { ref: idOf(value) };
+      default:
+        return value;
+    }
+  }
+
+  // Reads data properties only; running a getter could change the program
+  function ownProperties(object) {
+    const properties = {};
+    for (const key of Object.keys(object)) {
+      const descriptor = Object.getOwnPropertyDescriptor(object, key);
+      properties[key] = descriptor && "value" in descriptor ? encodeValue(descriptor.value) : { type: "accessor" };
+    }
+    return properties;
+  }
+
+  function encodeItems(list) {
+    const items = [];
+    for (let i = 0; i < list.length; i++) items.push(encodeValue(list[i]));
+    return items;
+  }
+
+  function describe(object) {
+    if (object === globalThis) return { type: "object", className: "globalThis", properties: {} };
+    if (typeof object === "function") {
+      const isClass = /^class[\s{]/.test(Function.prototype.toString.call(object));
+      return { type: isClass ? "class" : "function", name: object.name || "anonymous" };
+    }
+    if (Array.isArray(object)) return { type: "array", items: encodeItems(object) };
+    if (ArrayBuffer.isView(object) && typeof object.length === "number") {
+      return { type: "array", className: object.constructor.name, items: encodeItems(object) };
+    }
+    if (object instanceof Map) {
+      const entries = [];
+      Map.prototype.forEach.call(object, (value, key) => entries.push([encodeValue(key), encodeValue(value)]));
+      return { type: "map", entries };
+    }
+    if (object instanceof Set) {
+      const items = [];
+      Set.prototype.forEach.call(object, (value) => items.push(encodeValue(value)));
+      return { type: "set", items };
+    }
+    if (object instanceof Date) {
+      return { type: "date", value: Number.isNaN(object.getTime()) ? "Invalid Date" : object.toISOString() };
+    }
+    if (object instanceof RegExp) return { type: "regexp", value: String(object) };
+    if (object instanceof Error) return { type: "error", name: String(object.name), message: String(object.message) };
+    if (Object.prototype.toString.call(object) === "[object Promise]" && "_state" in object) {
+      return object._state === "pending"
+        ? { type: "promise", state: "pending" }
+        : { type: "promise", state: object._state, value: encodeValue(object._value) };
+    }
+
+    const encoded = { type: "object", properties: ownProperties(object) };
+    const proto = Object.getPrototypeOf(object);
+    if (proto && proto !== Object.prototype && typeof proto.constructor === "function" && proto.constructor.name) {
+      encoded.className = proto.constructor.name;
+    }
+    return encoded;
+  }
+
+  // --- Change tracking ---
+  // Marks a value the program may have changed; returns it, so the marking
+  // can wrap the expression that produces it
+  function wrote(value) {
+    const id = ids.get(value);
+    if (id !== undefined) changed.add(id);
+    return value;
+  }
+
+  // A function that may be a built-in under another name (a bound push)
+  // changes objects the call doesn't show, so all of them may have changed
+  function wroteAll(value) {
+    for (let id = 1; id <= described; id++) changed.add(id);
+    return value;
+  }
+
+  // A value a write or call in progress may change, marked until it is
+  // done. beginChange() and endChange() enclose the write or call; one that
+  // throws leaves its values for the enclosing one to clear.
+  function changing(value) {
+    if (value !== null && (typeof value === "object" || typeof value === "function")) inProgress.push(value);
+    return wrote(value);
+  }
+
+  function beginChange() {
+    return inProgress.length;
+  }
+
+  function endChange(mark, result) {
+    for (let i = mark; i < inProgress.length; i++) wrote(inProgress[i]);
+    inProgress.length = Math.min(inProgress.length, mark);
+    return wrote(result);
+  }
+
+  /**
+   * Encodes the objects seen for the first time and the ones marked as
+   * possibly changed, and returns those whose encoding differs from the one
+   * last reported, keyed by id (or null if none does). Objects first reached
+   * while encoding others are picked up in the same pass.
+   */
+  function changes() {
+    let delta = null;
+    const update = (id) => {
+      let encoded;
+      try {
+        encoded = describe(objects[id - 1]);
+      } catch (err) {
+        encoded = { type: "object", properties: {} };
+      }
+      if (encoded.type === "promise") promises.add(id);
+      const json = JSON.stringify(encoded);
+      if (json !== lastSent[id - 1]) {
+        lastSent[id - 1] = json;
+        if (!delta) delta = {};
+        delta[id] = encoded;
+      }
+    };
+    inProgress.forEach(wrote);
+    promises.forEach(id => changed.add(id));
+    for (const id of changed) {
+      if (id <= described) update(id);
+    }
+    changed.clear();
+    while (described < objects.length) update(++described);
+    return delta;
+  }
+
+  return { encode: encodeValue, changes, wrote, wroteAll, changing, beginChange, endChange };
+}
+
+module.exports = { createHeapEncoder };
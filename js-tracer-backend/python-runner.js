@@ -0,0 +1,114 @@
+// python-runner.js
+// Runs a Python program under python-tracer.py in a separate CPython process.
+// The tracer answers with raw events shaped like the JavaScript runtime's
+// logs, so server.js builds frames for both languages with filterLogs.
+const { spawn } = require("child_process");
+const os = require("os");
+const path = require("path");
+
+const TRACER_PATH = path.join(__dirname, "python-tracer.py");
+// Override with the interpreter to use, e.g. TRACE_PYTHON=/usr/bin/python3.12
+const PYTHON = process.env.TRACE_PYTHON || "python3";
+
+/**
+ * Traces Python source code. Like runInSandbox, the tracer enforces the
+ * time, step and payload limits itself so partial logs survive; the parent
+ * kills the process if it doesn't answer in time.
+ *
+ * @param {string} code - The user's Python program.
+ * @param {Object} limits - The server's execution LIMITS.
+ * @param {{ stdin: string, values: Object }} input - Text for input() and
+ *   values to define as globals.
+ * @param {{ onLogs?: function(Array<Object>): void, signal?: AbortSignal, watches?: Array<string> }} [run] -
+ *   Streams batches of logs and cancels the run, as for runInSandbox, and
+ *   the watch expressions every event carries the values of.
+ * @returns {Promise<{ logs: Array<Object>, stopped: Object|null, error: Object|null,
+ *   compileError: Object|null, codeLines: Array<number>|null }>} `error` is set
+ *   when the tracer itself failed; errors in the program arrive as an `error`
+ *   event in `logs`. `codeLines` (the lines holding statements) is null unless
+ *   the tracer finished.
+ */
+function runPython(code, limits, input = { stdin: "", values: {} }, { onLogs, signal, watches = [] } = {}) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) {
+      resolve({ logs: [], stopped: { reason: "cancelled", line: -1 }, error: null, compileError: null, codeLines: null });
+      return;
+    }
+    // -I: isolated mode, ignoring PYTHON* variables and the user site directory;
+    // -B: no .pyc files written. The tracer confines itself before the program
+    // runs and fails rather than run it unconfined (see python-tracer.py).
+    const child = spawn(PYTHON, ["-I", "-B", TRACER_PATH], {
+      cwd: os.tmpdir(),
+      env: { PATH: process.env.PATH, HOME: process.env.HOME, PYTHONIOENCODING: "utf-8" },
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+
+    // Output arrives as JSON lines: streamed batches, then the result
+    let stdout = "";
+    let stderr = "";
+    let result = null;
+    const logs = [];
+    const receive = (batch) => {
+      logs.push(...batch);
+      if (onLogs && batch.length > 0) onLogs(batch);
+    };
+    const readLine = (line) => {
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (err) {
+        return; // Not the tracer's; a missing result is reported on close
+      }
+      if (message.batch) {
+        receive(message.batch);
+      } else {
+        result = message;
+      }
+    };
+
+    let settled = false;
+    const finish = (outcome) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(killTimer);
+      signal?.removeEventListener("abort", cancel);
+      if (child.exitCode === null) child.kill("SIGKILL");
+      resolve({ logs, stopped: null, error: null, compileError: null, codeLines: null, ...outcome });
+    };
+    const cancel = () => finish({ stopped: { reason: "cancelled", line: logs.length ? logs[logs.length - 1].line ?? -1 : -1 } });
+    signal?.addEventListener("abort", cancel);
+
+    const killTimer = setTimeout(() => {
+      finish({ stopped: { reason: "timeout", limit: limits.timeoutMs, line: -1 } });
+    }, limits.timeoutMs + limits.killGraceMs);
+
+    child.stdout.on("data", (chunk) => {
+      if (settled) return;
+      const lines = (stdout + chunk).split("\n");
+      stdout = lines.pop();
+      lines.forEach(readLine);
+    });
+    child.stderr.on("data", (chunk) => { stderr += chunk; });
+    child.on("error", (err) => {
+      finish({ error: { name: "Error", message: `Python tracer failed to start (${PYTHON}): ${err.message}` } });
+    });
+    child.on("close", (exitCode) => {
+      if (stdout) readLine(stdout);
+      if (result) {
+        receive(result.logs);
+        finish({ stopped: result.stopped, compileError: result.compileError, codeLines: result.codeLines || null });
+        return;
+      }
+      // No result means the interpreter died, usually at the memory limit
+      const lastLine = stderr.trim().split("\n").pop() || "";
+      finish(/MemoryError/.test(lastLine) || exitCode === null
+        ? { stopped: { reason: "memory", limit: limits.memoryMb, line: -1 } }
+        : { error: { name: "Error", message: `Python tracer failed: ${lastLine || `exit code ${exitCode}`}` } });
+    });
+
+    child.stdin.on("error", () => { /* the process exited early; reported on close */ });
+    child.stdin.end(JSON.stringify({ code, limits, input, watches, stream: Boolean(onLogs) }));
+  });
+}
+
+module.exports = { runPython };
@@ -0,0 +1,795 @@
+# python-tracer.py
+# Traces one Python program with sys.settrace. Reads a job
+# {"code": str, "limits": {...}, "input": {"stdin": str, "values": {...}}} as
+# JSON on stdin and writes
+# {"logs": [...], "stopped": {...} | null, "compileError": {...} | null,
+#  "codeLines": [...]}
+# to stdout as its last line. With "stream": true in the job, the logs are
+# written while the program runs instead, as lines of {"batch": [...]}, and
+# the final line holds the ones not sent yet. The logs use the same raw events as the JavaScript tracer's
+# runtime (call, declare, assign, return, exit, stdout, unwind, error) and the
+# same value encoding as heap-encoder.js, so server.js turns them into frames
+# with the same filterLogs. Events on a line carry the `range` of the statement
+# there, as the JavaScript tracer's carry the range of their node. With
+# "watches" in the job, the events of a frame also carry `watches`: each watch
+# expression's value in the frame, as text.
+#
+# The program can only import ALLOWED_MODULES and has no open() or exec(),
+# but Python code can always find its way around that, so the boundary is
+# the process itself (see confine): python-runner.js starts it on its own,
+# and before the program runs it drops root and installs a seccomp filter
+# that leaves it no files, network or processes.
+import ast
+import builtins
+import inspect
+import json
+import math
+import signal
+import sys
+import time
+import types
+
+USER_FILE = "<user-code>"
+GLOBAL_FRAME_ID = 0
+# Seconds between the batches of a streaming run (see sandbox-runner.js)
+STREAM_INTERVAL = 0.05
+
+ALLOWED_MODULES = {
+    "math", "random", "collections", "heapq", "bisect", "itertools", "functools",
+    "string", "re", "dataclasses", "typing", "copy", "operator", "statistics",
+    "fractions", "decimal", "enum", "abc",
+}
+
+# The system calls left to the process once the program runs (see confine),
+# by architecture: memory, signals (the watch timer), clocks, randomness and
+# writes to the pipes it was started with. Anything else, from opening a file
+# to a socket or a new process, fails with EPERM.
+ALLOWED_SYSCALLS = {
+    # AUDIT_ARCH_X86_64 and x86_64 syscall numbers
+    "x86_64": (0xC000003E, {
+        "read": 0, "write": 1, "close": 3, "fstat": 5, "lseek": 8, "mmap": 9, "mprotect": 10, "munmap": 11,
+        "brk": 12, "rt_sigaction": 13, "rt_sigprocmask": 14, "rt_sigreturn": 15, "writev": 20,
+        "sched_yield": 24, "mremap": 25, "madvise": 28, "nanosleep": 35, "getitimer": 36, "setitimer": 38,
+        "getpid": 39, "exit": 60, "gettimeofday": 96, "sigaltstack": 131, "gettid": 186, "time": 201,
+        "futex": 202, "clock_gettime": 228, "clock_getres": 229, "clock_nanosleep": 230, "exit_group": 231,
+        "set_robust_list": 273, "getrandom": 318, "rseq": 334,
+    }),
+    # AUDIT_ARCH_AARCH64 and the generic syscall numbers
+    "aarch64": (0xC00000B7, {
+        "close": 57, "lseek": 62, "read": 63, "write": 64, "writev": 66, "fstat": 80, "exit": 93,
+        "exit_group": 94, "futex": 98, "set_robust_list": 99, "nanosleep": 101, "getitimer": 102,
+        "setitimer": 103, "clock_gettime": 113, "clock_getres": 114, "clock_nanosleep": 115,
+        "sched_yield": 124, "sigaltstack": 132, "rt_sigaction": 134, "rt_sigprocmask": 135,
+        "rt_sigreturn": 139, "gettimeofday": 169, "getpid": 172, "gettid": 178, "brk": 214, "munmap": 215,
+        "mremap": 216, "mmap": 222, "mprotect": 226, "madvise": 233, "getrandom": 278, "rseq": 293,
+    }),
+}
+# Who the program runs as when the tracer is started as root
+NOBODY = 65534
+
+COMPREHENSIONS = {"<listcomp>", "<dictcomp>", "<setcomp>", "<genexpr>"}
+
+# Numbers beyond this lose precision as JSON numbers in JavaScript
+MAX_SAFE_INTEGER = 2 ** 53 - 1
+
+# Longer watch values are cut short, as in server.js
+MAX_WATCH_LENGTH = 200
+
+# Built-in functions a watch may call (see WatchRuntime)
+WATCH_FUNCTIONS = {
+    name: getattr(builtins, name) for name in (
+        "abs", "all", "any", "ascii", "bin", "bool", "callable", "chr", "dict", "divmod", "enumerate",
+        "filter", "float", "frozenset", "hash", "hex", "int", "isinstance", "issubclass", "len", "list",
+        "map", "max", "min", "oct", "ord", "pow", "range", "repr", "reversed", "round", "set", "sorted",
+        "str", "sum", "tuple", "type", "zip",
+    )
+}
+# ...those that don't iterate their arguments
+INSPECTING_FUNCTIONS = {"ascii", "bool", "callable", "hash", "isinstance", "issubclass", "len", "repr", "type"}
+
+# Methods of built-in types a watch may call: the ones that don't change
+# their object
+WATCH_METHODS = {
+    list: {"count", "copy", "index"},
+    tuple: {"count", "index"},
+    dict: {"copy", "get", "items", "keys", "values"},
+    set: {"copy", "difference", "intersection", "isdisjoint", "issubset", "issuperset", "symmetric_difference", "union"},
+    frozenset: {"copy", "difference", "intersection", "isdisjoint", "issubset", "issuperset", "symmetric_difference", "union"},
+    str: {
+        "capitalize", "casefold", "count", "endswith", "find", "index", "isalnum", "isalpha", "isdecimal",
+        "isdigit", "islower", "isnumeric", "isspace", "istitle", "isupper", "join", "lower", "lstrip",
+        "partition", "removeprefix", "removesuffix", "replace", "rfind", "rindex", "rpartition", "rsplit",
+        "rstrip", "split", "splitlines", "startswith", "strip", "swapcase", "title", "upper",
+    },
+    int: {"bit_count", "bit_length"},
+    float: {"as_integer_ratio", "is_integer"},
+}
+# math functions a watch may not call, as they can outlast the deadline
+SLOW_MATH = {"comb", "factorial", "perm"}
+
+# Descriptors whose values a watch may read: everything but properties and
+# other getters the program defines
+PLAIN_DESCRIPTORS = (
+    types.FunctionType, types.BuiltinFunctionType, types.MethodDescriptorType, types.ClassMethodDescriptorType,
+    types.WrapperDescriptorType, types.MemberDescriptorType, types.GetSetDescriptorType, classmethod, staticmethod,
+)
+
+# Seconds a watch may take at a step before it's given up for the rest of
+# the run
+WATCH_TIMEOUT = 0.1
+
+# Items in a sequence, or bits in an integer, a watch may build. Work in C
+# can't be interrupted at the deadline, so this bounds it instead.
+MAX_WATCH_SIZE = 10 ** 6
+
+
+class WatchTimeout(Exception):
+    """Raised inside a watch that took longer than WATCH_TIMEOUT."""
+
+
+class StopTrace(BaseException):
+    """Raised inside the program when a limit is hit. A BaseException, so a
+    program's `except Exception` can't swallow it."""
+
+    def __init__(self, reason, limit, line):
+        super().__init__(f"{reason} limit reached")
+        self.info = {"reason": reason, "limit": limit, "line": line}
+
+
+# --- Value encoding (mirrors heap-encoder.js) ---
+class HeapEncoder:
+    def __init__(self):
+        self.ids = {}
+        # Encoded objects are kept alive so Python can't reuse their id()
+        self.objects = []
+        self.last_sent = []
+
+    def id_of(self, obj):
+        key = id(obj)
+        if key not in self.ids:
+            self.objects.append(obj)
+            self.ids[key] = len(self.objects)
+        return self.ids[key]
+
+    def encode(self, value):
+        if value is None or isinstance(value, (bool, str)):
+            return value
+        if isinstance(value, int):
+            return value if abs(value) <= MAX_SAFE_INTEGER else {"type": "bigint", "value": str(value)}
+        if isinstance(value, float):
+            if math.isnan(value):
+                return {"type": "number", "value": "NaN"}
+            if math.isinf(value):
+                return {"type": "number", "value": "Infinity" if value > 0 else "-Infinity"}
+            if value == 0 and math.copysign(1, value) < 0:
+                return {"type": "number", "value": "-0"}
+            return value
+        return {"ref": self.id_of(value)}
+
+    def describe(self, obj):
+        if isinstance(obj, list):
+            return {"type": "array", "items": [self.encode(item) for item in obj]}
+        if isinstance(obj, tuple):
+            return {"type": "array", "className": "tuple", "items": [self.encode(item) for item in obj]}
+        if isinstance(obj, dict):
+            # String-keyed dicts read best as objects, like JS object literals
+            if all(isinstance(key, str) for key in obj):
+                return {"type": "object", "properties": {key: self.encode(value) for key, value in obj.items()}}
+            return {"type": "map", "entries": [[self.encode(key), self.encode(value)] for key, value in obj.items()]}
+        if isinstance(obj, (set, frozenset)):
+            return {"type": "set", "items": [self.encode(item) for item in obj]}
+        if isinstance(obj, type):
+            return {"type": "class", "name": obj.__name__}
+        if isinstance(obj, (types.FunctionType, types.MethodType, types.BuiltinFunctionType)):
+            return {"type": "function", "name": getattr(obj, "__name__", "anonymous")}
+        if isinstance(obj, BaseException):
+            return {"type": "error", "name": type(obj).__name__, "message": str(obj)}
+        properties = {}
+        if hasattr(obj, "__dict__"):
+            properties = {key: self.encode(value) for key, value in vars(obj).items() if isinstance(key, str)}
+        return {"type": "object", "className": type(obj).__name__, "properties": properties}
+
+    def changes(self):
+        """Objects whose encoding changed since the previous call, keyed by id."""
+        delta = None
+        i = 0
+        # describe() can register new objects, which are picked up in this pass
+        while i < len(self.objects):
+            try:
+                encoded = self.describe(self.objects[i])
+            except Exception:
+                encoded = {"type": "object", "properties": {}}
+            serialized = json.dumps(encoded, sort_keys=False)
+            if i >= len(self.last_sent):
+                self.last_sent.append(None)
+            if serialized != self.last_sent[i]:
+                self.last_sent[i] = serialized
+                delta = delta or {}
+                delta[str(i + 1)] = encoded
+            i += 1
+        return delta
+
+
+# --- Tracer ---
+class Tracer:
+    def __init__(self, limits, stream=None, ranges=None, watches=None):
+        self.limits = limits
+        # Line -> range of the statement there, added to the events on it
+        self.ranges = ranges or {}
+        # Compiled watch expressions, or why one can't be watched (see compile_watch)
+        self.watches = watches or []
+        self.watch_runtime = WatchRuntime()
+        self.watching = False
+        # Where batches of a streaming run are written; None collects them all
+        self.stream = stream
+        self.streamed = 0
+        self.last_batch = time.monotonic()
+        self.deadline = time.monotonic() + limits["timeoutMs"] / 1000
+        self.heap = HeapEncoder()
+        self.logs = []
+        self.payload_bytes = 0
+        self.stopped = None
+        # id(frame) -> {"id", "line", "locals", "raising"} for user frames
+        self.frames = {}
+        self.next_frame_id = GLOBAL_FRAME_ID + 1
+        self.current = {"frameId": GLOBAL_FRAME_ID, "line": None}
+        self.last_raised = None
+        self.error_id = 0
+
+    def log(self, event):
+        if self.stopped:
+            raise StopTrace(**self.stopped)
+        if len(self.logs) >= self.limits["maxSteps"]:
+            self.stop("step", self.limits["maxSteps"], event.get("line"))
+        if time.monotonic() > self.deadline:
+            self.stop("timeout", self.limits["timeoutMs"], event.get("line"))
+        if event.get("line") in self.ranges and event["action"] != "unwind":
+            event["range"] = self.ranges[event["line"]]
+        delta = self.heap.changes()
+        if delta:
+            event["heap"] = delta
+        self.payload_bytes += len(json.dumps(event))
+        if self.payload_bytes > self.limits["maxPayloadBytes"]:
+            self.stop("payload", self.limits["maxPayloadBytes"], event.get("line"))
+        self.logs.append(event)
+        if self.stream and time.monotonic() - self.last_batch >= STREAM_INTERVAL:
+            self.last_batch = time.monotonic()
+            self.stream.write(json.dumps({"batch": self.pending_logs()}) + "\n")
+            self.stream.flush()
+
+    def pending_logs(self):
+        """The logs not streamed yet, all of them for a run that isn't streamed."""
+        pending = self.logs[self.streamed:]
+        self.streamed = len(self.logs)
+        return pending
+
+    def stop(self, reason, limit, line):
+        self.stopped = {"reason": reason, "limit": limit, "line": line if line is not None else -1}
+        raise StopTrace(**self.stopped)
+
+    def out_of_time(self, signum, frame):
+        """SIGALRM handler for a watch that is taking too long, which ends the
+        run once its deadline has passed too."""
+        if time.monotonic() >= self.deadline:
+            self.stop("timeout", self.limits["timeoutMs"], self.current["line"])
+        raise WatchTimeout()
+
+    def visible_locals(self, frame):
+        """The frame's variables as the visualizer shows them: no dunder names,
+        modules, functions or classes (like declarations in the JS tracer)."""
+        hidden = (types.ModuleType, types.FunctionType, type)
+        return {
+            name: self.heap.encode(value)
+            for name, value in frame.f_locals.items()
+            if not name.startswith("__") and not isinstance(value, hidden)
+        }
+
+    def watched(self, frame, event):
+        """Adds the watches' values in the frame to its event. A watch can only
+        read the program (see WatchRuntime), its calls aren't traced
+        (sys.settrace doesn't trace its own trace function) and an error is
+        its value. One that takes longer than WATCH_TIMEOUT is an error from
+        then on, and the run's deadline still holds (see out_of_time)."""
+        if not self.watches:
+            return event
+        if time.monotonic() > self.deadline:
+            self.stop("timeout", self.limits["timeoutMs"], event.get("line"))
+        # One namespace, so comprehensions and lambdas in a watch see locals too
+        scope = {**frame.f_globals, **frame.f_locals, **self.watch_runtime.helpers}
+        values = []
+        self.watching = True
+        try:
+            for index, watch in enumerate(self.watches):
+                value = {"error": watch} if isinstance(watch, str) else self.evaluate(watch, scope)
+                if value is None:
+                    self.watches[index] = f"Error: the watch took longer than {WATCH_TIMEOUT * 1000:.0f}ms"
+                    value = {"error": self.watches[index]}
+                values.append(value)
+        finally:
+            self.watching = False
+        event["watches"] = values
+        return event
+
+    def evaluate(self, watch, scope):
+        """A watch's value or error, None if it took too long. The timer is
+        disarmed inside the outer try, so its signal can't land past it."""
+        self.watch_runtime.created.clear()
+        try:
+            signal.setitimer(signal.ITIMER_REAL, max(min(WATCH_TIMEOUT, self.deadline - time.monotonic()), 0.001))
+            try:
+                text = repr(eval(watch, scope))
+            finally:
+                signal.setitimer(signal.ITIMER_REAL, 0)
+            return {"text": text if len(text) <= MAX_WATCH_LENGTH else text[:MAX_WATCH_LENGTH - 1] + "…"}
+        except WatchTimeout:
+            return None
+        except Exception as err:
+            return {"error": f"{type(err).__name__}: {err}"}
+
+    def flush_line(self, frame, state):
+        """Logs what the frame's previous line did to its variables."""
+        if state["line"] is None:
+            return
+        encoded = self.visible_locals(frame)
+        action = "declare" if set(encoded) - set(state["locals"]) else "assign" if encoded != state["locals"] else "line"
+        state["locals"] = encoded
+        self.log(self.watched(frame, {"action": action, "line": state["line"], "frameId": state["id"], "locals": encoded}))
+
+    def trace(self, frame, event, arg):
+        if frame.f_code.co_filename != USER_FILE:
+            return None
+        # Class bodies and comprehensions run as frames of their own but aren't
+        # calls the program made
+        code = frame.f_code
+        if code.co_name != "<module>" and not code.co_flags & inspect.CO_OPTIMIZED:
+            return None
+        if code.co_name in COMPREHENSIONS:
+            return None
+        if event == "call":
+            self.enter(frame)
+        return self.trace_local
+
+    def enter(self, frame):
+        if frame.f_code.co_name == "<module>":
+            self.frames[id(frame)] = {"id": GLOBAL_FRAME_ID, "line": None, "locals": {}, "raising": False}
+            return
+        frame_id = self.next_frame_id
+        self.next_frame_id += 1
+        caller = frame.f_back
+        call_line = caller.f_lineno if caller is not None and caller.f_code.co_filename == USER_FILE else None
+        args = self.visible_locals(frame)
+        self.frames[id(frame)] = {"id": frame_id, "line": None, "locals": args, "raising": False}
+        self.current = {"frameId": frame_id, "line": frame.f_lineno}
+        self.log(self.watched(frame, {
+            "action": "call",
+            "frameId": frame_id,
+            "function": frame.f_code.co_name,
+            "callLine": call_line,
+            "args": args,
+            "line": frame.f_lineno,
+        }))
+
+    def trace_local(self, frame, event, arg):
+        state = self.frames.get(id(frame))
+        if state is None:
+            return self.trace_local
+        if event == "line":
+            self.flush_line(frame, state)
+            state["line"] = frame.f_lineno
+            state["raising"] = False
+            self.current = {"frameId": state["id"], "line": frame.f_lineno}
+        elif event == "exception":
+            error = arg[1]
+            # Remember the stack where the error was raised, before frames unwind
+            if error is not self.last_raised:
+                self.last_raised = error
+                self.error_id += 1
+                self.log({"action": "unwind", "errorId": self.error_id, "line": frame.f_lineno, "frameId": state["id"]})
+            state["raising"] = True
+        elif event == "return":
+            self.flush_line(frame, state)
+            del self.frames[id(frame)]
+            if state["id"] == GLOBAL_FRAME_ID:
+                return self.trace_local
+            if not state["raising"]:
+                self.log(self.watched(frame, {
+                    "action": "return", "line": frame.f_lineno, "frameId": state["id"], "value": self.heap.encode(arg),
+                }))
+            self.log({"action": "exit", "frameId": state["id"], "threw": state["raising"]})
+            caller = self.frames.get(id(frame.f_back))
+            if caller is not None:
+                self.current = {"frameId": caller["id"], "line": frame.f_back.f_lineno}
+        return self.trace_local
+
+
+class TracedStdout:
+    """Stands in for sys.stdout: every completed line of output becomes a
+    stdout event at the line that printed it."""
+
+    def __init__(self, tracer):
+        self.tracer = tracer
+        self.buffer = ""
+
+    def write(self, text):
+        if self.tracer.watching:
+            return len(text)
+        self.buffer += str(text)
+        while "\n" in self.buffer:
+            line, self.buffer = self.buffer.split("\n", 1)
+            self.emit(line)
+        return len(text)
+
+    def emit(self, output):
+        current = self.tracer.current
+        self.tracer.log({"action": "stdout", "output": output, "line": current["line"], "frameId": current["frameId"]})
+
+    def flush(self):
+        pass
+
+
+class StdinLines:
+    """Stands in for input(): returns the job's stdin a line at a time and
+    writes the prompt like the real one."""
+
+    def __init__(self, text):
+        self.lines = text.split("\n")
+        if self.lines[-1] == "":
+            self.lines.pop()
+
+    def __call__(self, prompt=""):
+        if prompt:
+            sys.stdout.write(str(prompt))
+        if not self.lines:
+            raise EOFError("EOF when reading a line")
+        return self.lines.pop(0)
+
+
+# --- Watches ---
+class ReadOnlyWatch(ast.NodeTransformer):
+    """Routes what a watch does through WatchRuntime's helpers: its calls,
+    attribute reads, what it iterates, and the operators that can build huge
+    values."""
+
+    BOUNDED_OPERATORS = {ast.Pow: "**", ast.LShift: "<<", ast.Mult: "*"}
+
+    @staticmethod
+    def helper(name, *args):
+        return ast.Call(ast.Name(name, ast.Load()), list(args), [])
+
+    def visit_Call(self, node):
+        self.generic_visit(node)
+        node.func = self.helper("__watch_call__", node.func)
+        return node
+
+    def visit_Attribute(self, node):
+        self.generic_visit(node)
+        return self.helper("__watch_attribute__", node.value, ast.Constant(node.attr))
+
+    def visit_Starred(self, node):
+        self.generic_visit(node)
+        node.value = self.helper("__watch_iterable__", node.value)
+        return node
+
+    def visit_comprehension(self, node):
+        self.generic_visit(node)
+        node.iter = self.helper("__watch_iterable__", node.iter)
+        return node
+
+    def visit_Compare(self, node):
+        self.generic_visit(node)
+        node.comparators = [
+            self.helper("__watch_iterable__", value) if isinstance(op, (ast.In, ast.NotIn)) else value
+            for op, value in zip(node.ops, node.comparators)
+        ]
+        return node
+
+    def visit_BinOp(self, node):
+        self.generic_visit(node)
+        operator = self.BOUNDED_OPERATORS.get(type(node.op))
+        if operator is None:
+            return node
+        return self.helper("__watch_operate__", ast.Constant(operator), node.left, node.right)
+
+
+class WatchRuntime:
+    """What a watch runs through (see ReadOnlyWatch), so it can't change the
+    program or outlast the deadline: it may only call the built-in functions
+    in WATCH_FUNCTIONS (some of them bounded), the WATCH_METHODS of built-in
+    types, math functions and lambdas of its own; properties the program
+    defines aren't run, the program's iterators aren't advanced, and nothing
+    it builds may exceed MAX_WATCH_SIZE. Special methods a class defines for
+    operators and conversions (__add__, __repr__, ...) still run."""
+
+    def __init__(self):
+        # Iterators the current watch made, which it may advance
+        self.created = []
+        self.helpers = {
+            "__watch_call__": self.call,
+            "__watch_attribute__": self.attribute,
+            "__watch_iterable__": self.iterable,
+            "__watch_operate__": self.operate,
+        }
+        self.functions = {id(function): name for name, function in WATCH_FUNCTIONS.items()}
+        self.bounded = {"range": self.range, "pow": self.pow, "sum": self.sum}
+
+    def may_call(self, function):
+        if id(function) in self.functions:
+            return True
+        if isinstance(function, types.FunctionType):
+            return function.__code__.co_filename == "<watch>"
+        if isinstance(function, types.BuiltinMethodType):
+            owner = function.__self__
+            if isinstance(owner, types.ModuleType):
+                return owner is math and function.__name__ not in SLOW_MATH
+            return any(isinstance(owner, kind) and function.__name__ in names for kind, names in WATCH_METHODS.items())
+        if isinstance(function, types.MethodDescriptorType):
+            return function.__name__ in WATCH_METHODS.get(function.__objclass__, ())
+        return False
+
+    def call(self, function):
+        if not self.may_call(function):
+            raise TypeError(f"a watch can only call built-in functions, not {getattr(function, '__name__', 'this one')}")
+        name = self.functions.get(id(function))
+
+        def checked(*args, **kwargs):
+            if name not in INSPECTING_FUNCTIONS:
+                for value in (*args, *kwargs.values()):
+                    self.iterable(value)
+            callbacks = args[:1] if name in ("map", "filter") else [kwargs.get("key")]
+            for callback in callbacks:
+                if callback is not None and not self.may_call(callback):
+                    raise TypeError(f"a watch can only pass built-in functions, not {getattr(callback, '__name__', 'this one')}")
+            result = self.bounded.get(name, function)(*args, **kwargs)
+            if hasattr(type(result), "__next__"):
+                self.created.append(result)
+            return result
+        return checked
+
+    def attribute(self, value, name):
+        kind = type(value)
+        if isinstance(inspect.getattr_static(kind, "__getattribute__"), types.FunctionType):
+            raise TypeError(f"a watch can't run {kind.__name__}.__getattribute__")
+        try:
+            static = inspect.getattr_static(value, name)
+        except AttributeError:
+            if isinstance(inspect.getattr_static(kind, "__getattr__", None), types.FunctionType):
+                raise TypeError(f"a watch can't run {kind.__name__}.__getattr__") from None
+            raise
+        if hasattr(type(static), "__get__") and not isinstance(static, PLAIN_DESCRIPTORS):
+            raise TypeError(f"a watch can only call built-in functions, not the property {name}")
+        return getattr(value, name)
+
+    def iterable(self, value):
+        if hasattr(type(value), "__next__"):
+            made_here = any(value is made for made in self.created) or (
+                isinstance(value, types.GeneratorType) and value.gi_code.co_filename == "<watch>"
+            )
+            if not made_here:
+                raise TypeError("a watch can't advance the program's iterators")
+        return value
+
+    def operate(self, operator, left, right):
+        if operator == "**":
+            return self.pow(left, right)
+        if operator == "<<":
+            if isinstance(left, int) and isinstance(right, int) and left and left.bit_length() + right > MAX_WATCH_SIZE:
+                raise ValueError("the result is too large for a watch")
+            return left << right
+        for sequence, times in ((left, right), (right, left)):
+            if isinstance(sequence, (str, bytes, list, tuple)) and isinstance(times, int) and len(sequence) * times > MAX_WATCH_SIZE:
+                raise ValueError("the result is too large for a watch")
+        return left * right
+
+    def range(self, *args):
+        numbers = range(*args)
+        try:
+            too_long = len(numbers) > MAX_WATCH_SIZE
+        except OverflowError:
+            too_long = True
+        if too_long:
+            raise ValueError("the range is too long for a watch")
+        return numbers
+
+    def pow(self, base, exponent, modulus=None):
+        if modulus is None and isinstance(base, int) and isinstance(exponent, int) and abs(base) > 1 \
+                and exponent * base.bit_length() > MAX_WATCH_SIZE:
+            raise ValueError("the result is too large for a watch")
+        return pow(base, exponent, modulus)
+
+    def sum(self, iterable, start=0):
+        if not isinstance(start, (int, float, complex)):
+            raise TypeError("a watch can only sum numbers")
+        return sum(iterable, start)
+
+
+def compile_watch(source):
+    """Compiles a watch expression, or returns why it can't be watched. Like
+    the JavaScript tracer's, a watch can't assign or yield, and dunder names
+    are refused so it can't reach past the program; the rest is checked as
+    it runs (see ReadOnlyWatch)."""
+    try:
+        tree = ast.parse(source.strip(), "<watch>", "eval")
+    except SyntaxError as err:
+        return f"SyntaxError: {err.msg}"
+    for node in ast.walk(tree):
+        if isinstance(node, ast.NamedExpr):
+            return "Error: a watch can't change the program's values"
+        if isinstance(node, (ast.Await, ast.Yield, ast.YieldFrom)):
+            return "Error: a watch can't await or yield"
+        name = node.id if isinstance(node, ast.Name) else node.attr if isinstance(node, ast.Attribute) else ""
+        if name.startswith("__"):
+            return f"Error: {name} can't be watched"
+    return compile(ast.fix_missing_locations(ReadOnlyWatch().visit(tree)), "<watch>", "eval")
+
+
+def restricted_import(name, globals=None, locals=None, fromlist=(), level=0):
+    if name.split(".")[0] not in ALLOWED_MODULES:
+        raise ImportError(f"import of '{name}' is not allowed in the visualizer")
+    return __import__(name, globals, locals, fromlist, level)
+
+
+def statement_ranges(code):
+    """Line -> the Monaco range [startLine, startColumn, endLine, endColumn]
+    (1-based, end exclusive) of the outermost statement starting on it. A
+    compound statement's range is its header line, not its whole body."""
+    lines = code.split("\n")
+
+    def column(line, offset):
+        # ast offsets count UTF-8 bytes
+        return len(lines[line - 1].encode("utf-8")[:offset].decode("utf-8", "ignore")) + 1
+
+    ranges = {}
+    for node in ast.walk(ast.parse(code)):
+        if not isinstance(node, ast.stmt) or node.lineno in ranges:
+            continue
+        start = column(node.lineno, node.col_offset)
+        if hasattr(node, "body"):
+            ranges[node.lineno] = [node.lineno, start, node.lineno, len(lines[node.lineno - 1].rstrip()) + 1]
+        else:
+            ranges[node.lineno] = [node.lineno, start, node.end_lineno, column(node.end_lineno, node.end_col_offset)]
+    return ranges
+
+
+def run(job):
+    code = job["code"]
+    limits = job["limits"]
+    program_input = job.get("input") or {"stdin": "", "values": {}}
+    try:
+        compiled = compile(code, USER_FILE, "exec")
+    except SyntaxError as err:
+        return {"logs": [], "stopped": None, "compileError": {
+            "type": type(err).__name__,
+            "message": err.msg,
+            "line": err.lineno or 1,
+            "column": err.offset or 1,
+        }}
+
+    ranges = statement_ranges(code)
+    watches = [compile_watch(source) for source in job.get("watches") or []]
+    tracer = Tracer(limits, sys.stdout if job.get("stream") else None, ranges, watches)
+    safe_builtins = dict(vars(builtins))
+    safe_builtins["__import__"] = restricted_import
+    for name in ("open", "exec", "eval", "compile", "breakpoint", "exit", "quit"):
+        safe_builtins.pop(name, None)
+    safe_builtins["input"] = StdinLines(program_input["stdin"])
+    program_globals = {"__name__": "__main__", "__builtins__": safe_builtins}
+    # Named input values are globals, shown from the first step on
+    program_globals.update(program_input["values"])
+    if program_input["values"]:
+        tracer.log({
+            "action": "inputs",
+            "frameId": GLOBAL_FRAME_ID,
+            "locals": {name: tracer.heap.encode(value) for name, value in program_input["values"].items()},
+        })
+
+    if watches:
+        signal.signal(signal.SIGALRM, tracer.out_of_time)
+    stdout = TracedStdout(tracer)
+    real_stdout = sys.stdout
+    sys.stdout = stdout
+    sys.settrace(tracer.trace)
+    try:
+        exec(compiled, program_globals)
+        sys.settrace(None)
+        if stdout.buffer:
+            stdout.emit(stdout.buffer)
+    except StopTrace:
+        sys.settrace(None)
+    except MemoryError:
+        sys.settrace(None)
+        tracer.stopped = {"reason": "memory", "limit": limits["memoryMb"], "line": tracer.current["line"] or -1}
+    except BaseException as err:
+        sys.settrace(None)
+        line = None
+        traceback = err.__traceback__
+        while traceback is not None:
+            if traceback.tb_frame.f_code.co_filename == USER_FILE:
+                line = traceback.tb_lineno
+            traceback = traceback.tb_next
+        tracer.logs.append({
+            "action": "error",
+            "errorId": tracer.error_id if err is tracer.last_raised else None,
+            "error": {"type": type(err).__name__, "message": str(err), "line": line, "column": None, "phase": "runtime"},
+        })
+    finally:
+        sys.settrace(None)
+        sys.stdout = real_stdout
+    return {"logs": tracer.pending_logs(), "stopped": tracer.stopped, "compileError": None,
+            "codeLines": sorted(ranges)}
+
+
+def limit_memory(megabytes):
+    try:
+        import resource
+        # Address space, with headroom for the interpreter itself
+        limit = (megabytes + 256) * 1024 * 1024
+        resource.setrlimit(resource.RLIMIT_AS, (limit, limit))
+    except (ImportError, ValueError, OSError):
+        pass
+
+
+def confine():
+    """Shuts the process off from the host before the program runs, so that
+    a program getting past the restrictions above still can't read or write
+    files, reach the network or start or signal processes: the allowed
+    modules are imported while they can be, a root process becomes nobody,
+    and a seccomp filter leaves only ALLOWED_SYSCALLS. Raises OSError where
+    that isn't possible; the tracer doesn't run a program unconfined."""
+    import ctypes
+    import importlib
+    import os
+
+    arch = os.uname().machine if sys.platform == "linux" else None
+    if arch not in ALLOWED_SYSCALLS:
+        raise OSError(f"can't confine Python programs on {arch or sys.platform}, only on Linux ({', '.join(ALLOWED_SYSCALLS)})")
+    for name in ALLOWED_MODULES:
+        importlib.import_module(name)
+
+    if os.geteuid() == 0:
+        os.setgroups([])
+        os.setgid(NOBODY)
+        os.setuid(NOBODY)
+
+    # A classic BPF program over struct seccomp_data: the architecture is at
+    # offset 4, the syscall number at 0
+    audit_arch, syscalls = ALLOWED_SYSCALLS[arch]
+    load, jump_equal, jump_at_least, give = 0x20, 0x15, 0x35, 0x06
+    allow, deny, kill = 0x7FFF0000, 0x00050000 | 1, 0x80000000  # SECCOMP_RET_ERRNO | EPERM
+    program = [(load, "", "", 4), (jump_equal, "", "kill", audit_arch), (load, "", "", 0)]
+    if arch == "x86_64":
+        # x32 syscalls, numbered from bit 30 up
+        program.append((jump_at_least, "deny", "", 0x40000000))
+    program += [(jump_equal, "allow", "", number) for number in sorted(syscalls.values())]
+    targets = {"deny": len(program), "allow": len(program) + 1, "kill": len(program) + 2}
+    program += [(give, "", "", deny), (give, "", "", allow), (give, "", "", kill)]
+
+    class SockFilter(ctypes.Structure):
+        _fields_ = [("code", ctypes.c_ushort), ("jt", ctypes.c_ubyte), ("jf", ctypes.c_ubyte), ("k", ctypes.c_uint32)]
+
+    class SockFprog(ctypes.Structure):
+        _fields_ = [("len", ctypes.c_ushort), ("filter", ctypes.POINTER(SockFilter))]
+
+    def offset(index, target):
+        return targets[target] - index - 1 if target else 0
+
+    filters = (SockFilter * len(program))(*(
+        SockFilter(code, offset(index, jt), offset(index, jf), k) for index, (code, jt, jf, k) in enumerate(program)
+    ))
+    prog = SockFprog(len(program), filters)
+
+    libc = ctypes.CDLL(None, use_errno=True)
+    libc.prctl.argtypes = [ctypes.c_int, ctypes.c_ulong, ctypes.c_ulong, ctypes.c_ulong, ctypes.c_ulong]
+    # PR_SET_NO_NEW_PRIVS, then PR_SET_SECCOMP with SECCOMP_MODE_FILTER
+    for option, arg in ((38, 1), (22, 2)):
+        pointer = ctypes.addressof(prog) if option == 22 else 0
+        if libc.prctl(option, arg, pointer, 0, 0) != 0:
+            error = ctypes.get_errno()
+            raise OSError(error, f"can't install the seccomp filter: {os.strerror(error)}")
+
+
+if __name__ == "__main__":
+    job = json.load(sys.stdin)
+    limit_memory(job["limits"]["memoryMb"])
+    confine()
+    result = run(job)
+    sys.stdout.write(json.dumps(result) + "\n")
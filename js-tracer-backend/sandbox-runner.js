@@ -0,0 +1,233 @@
+// sandbox-runner.js
+// Runs one instrumented program in a separate Node process so user code can't
+// reach the server's memory, event loop or host objects.
+const { fork } = require("child_process");
+const vm = require("vm");
+
+// --- Parent side: spawning and supervising the worker ---
+
+// Node's permission model denies the worker fs, child_process and worker
+// access. The flag was renamed when it left experimental status.
+function permissionFlags() {
+  const flags = process.allowedNodeEnvironmentFlags;
+  if (flags.has("--permission")) return ["--permission", `--allow-fs-read=${__filename}`];
+  if (flags.has("--experimental-permission")) {
+    return ["--experimental-permission", `--allow-fs-read=${__filename}`];
+  }
+  return [];
+}
+
+/**
+ * Executes wrapped tracer code in a short-lived child process.
+ *
+ * The worker enforces `limits.timeoutMs` itself so partial logs survive a
+ * timeout; the parent additionally kills it if it doesn't answer in time or
+ * dies (e.g. by exceeding `limits.memoryMb`).
+ *
+ * @param {string} code - The instrumented program including the tracer prelude.
+ * @param {Object} limits - The server's execution LIMITS.
+ * @param {{ stdin: string, values: Object }} input - The program's stdin text
+ *   and named input values, available to the prelude as `__run.input`.
+ * @param {{ onLogs?: function(Array<Object>): void, signal?: AbortSignal }} [stream] -
+ *   With `onLogs`, the worker sends its logs in batches while the program is
+ *   still running, and every batch (the last one included) is passed to it.
+ *   Aborting `signal` kills the worker and stops the run as "cancelled".
+ * @returns {Promise<{ logs: Array<Object>, stopped: Object|null, error: Object|null,
+ *   uncaughtErrorId: number|null }>} `logs` holds every log, streamed or not.
+ */
+function runInSandbox(code, limits, input = { stdin: "", values: {} }, { onLogs, signal } = {}) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) {
+      resolve({ logs: [], stopped: { reason: "cancelled", line: -1 }, error: null, uncaughtErrorId: null });
+      return;
+    }
+    const child = fork(__filename, [], {
+      execArgv: ["--no-warnings", `--max-old-space-size=${limits.memoryMb}`, ...permissionFlags()],
+      stdio: ["ignore", "ignore", "ignore", "ipc"],
+      env: {},
+    });
+
+    const logs = [];
+    const receive = (text) => {
+      const batch = JSON.parse(text || "[]");
+      logs.push(...batch);
+      if (onLogs && batch.length > 0) onLogs(batch);
+    };
+
+    let settled = false;
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(killTimer);
+      signal?.removeEventListener("abort", cancel);
+      if (child.exitCode === null) child.kill("SIGKILL");
+      resolve({ logs, stopped: null, error: null, ...result });
+    };
+    const cancel = () => finish({ stopped: { reason: "cancelled", line: logs.length ? logs[logs.length - 1].line ?? -1 : -1 } });
+    signal?.addEventListener("abort", cancel);
+
+    const killTimer = setTimeout(() => {
+      finish({ stopped: { reason: "timeout", limit: limits.timeoutMs, line: -1 } });
+    }, limits.timeoutMs + limits.killGraceMs);
+
+    child.on("message", (message) => {
+      if (settled) return;
+      // Batches streamed while the program runs
+      if ("batch" in message) {
+        receive(message.batch);
+        return;
+      }
+      receive(message.logs);
+      finish({
+        stopped: message.stopped || null,
+        error: message.error || null,
+        uncaughtErrorId: message.uncaughtErrorId ?? null,
+      });
+    });
+    child.on("error", (err) => {
+      finish({ error: { name: "Error", message: `sandbox failed to start: ${err.message}` } });
+    });
+    child.on("close", (exitCode, signal) => {
+      // Exiting without a message means the worker crashed, almost always
+      // because the program ran out of heap.
+      finish({ stopped: { reason: "memory", limit: limits.memoryMb, line: -1, exitCode, signal } });
+    });
+
+    child.send({ code, limits, input, stream: Boolean(onLogs) });
+  });
+}
+
+// --- Worker side: executing the program in an empty context ---
+const SCRIPT_FILENAME = "user-code.js";
+
+// How often a streaming run sends the logs recorded since its last batch
+const STREAM_INTERVAL_MS = 50;
+
+// Only plain data crosses into the context; results come back as a JSON
+// string produced inside it, so no host object is ever reachable.
+// The run state is left at globalThis.__run for the prelude, which removes
+// it before the program starts; the worker keeps its own reference.
+// `flushed` counts the logs already streamed out.
+const BOOTSTRAP = `
+  globalThis.__run = { exports: [], limits: __LIMITS__, input: __INPUT__, stopped: null, flush: null, flushed: 0 };
+  var console = {};
+  ["log", "info", "warn", "error", "debug", "table", "dir"].forEach(function (m) {
+    console[m] = function () {};
+  });
+`;
+
+// The logs not yet streamed, as a JSON array
+const SERIALIZE_PENDING = `
+  function serializePending() {
+    function serialize(value) {
+      const seen = new WeakSet();
+      return JSON.stringify(value, function (key, val) {
+        if (val && typeof val === "object") {
+          if (seen.has(val)) return "[Circular]";
+          seen.add(val);
+        }
+        return val;
+      });
+    }
+    const pending = run.exports.slice(run.flushed);
+    run.flushed = run.exports.length;
+    return "[" + pending.map(serialize).join(",") + "]";
+  }
+`;
+
+// Runs once the program is over, with the run state back at globalThis.__run
+const COLLECT = `
+  (function (run) {
+    ${SERIALIZE_PENDING}
+    return JSON.stringify({
+      logs: serializePending(),
+      stopped: run.stopped,
+      uncaughtErrorId: run.uncaughtErrorId,
+    });
+  })(globalThis.__run)
+`;
+
+// run.flush() is called by the prelude after every log. The host function
+// it closes over takes a string and returns nothing, so a program calling
+// flush can't get at anything outside the context.
+const STREAM = `
+  (function (run, send) {
+    ${SERIALIZE_PENDING}
+    let last = Date.now();
+    run.flush = function () {
+      if (run.flushed === run.exports.length || Date.now() - last < ${STREAM_INTERVAL_MS}) return;
+      last = Date.now();
+      send(serializePending());
+    };
+  })
+`;
+
+// Errors are described by value, including every program position on their
+// stack trace so the server can map them back to the user's source.
+function describeError(err) {
+  const stack = err && typeof err.stack === "string" ? err.stack : "";
+  return {
+    name: err && err.name ? String(err.name) : "Error",
+    message: err && err.message !== undefined ? String(err.message) : String(err),
+    positions: [...stack.matchAll(/user-code\.js:(\d+):(\d+)/g)].map(m => ({ line: Number(m[1]), column: Number(m[2]) })),
+  };
+}
+
+function executeJob({ code, limits, input, stream }) {
+  const context = vm.createContext(Object.create(null), {
+    codeGeneration: { strings: false, wasm: false },
+  });
+  vm.runInContext(
+    BOOTSTRAP.replace("__LIMITS__", JSON.stringify(limits)).replace("__INPUT__", JSON.stringify(input)),
+    context
+  );
+  const run = vm.runInContext("globalThis.__run", context);
+  if (stream) {
+    // Errors must not be thrown back into the context, where a host Error
+    // would lead to the host's Function constructor
+    vm.runInContext(STREAM, context)(run, (batch) => {
+      try {
+        process.send({ batch: String(batch) });
+      } catch (err) {
+        // The parent is gone; the run is killed shortly
+      }
+    });
+  }
+
+  let error = null;
+  let timedOut = false;
+  try {
+    vm.runInContext(code, context, { filename: SCRIPT_FILENAME, timeout: limits.timeoutMs });
+  } catch (err) {
+    if (err && err.code === "ERR_SCRIPT_EXECUTION_TIMEOUT") timedOut = true;
+    else error = describeError(err);
+  }
+
+  // The program is over; its state goes back where COLLECT looks for it
+  context.__run = run;
+  if (timedOut) {
+    vm.runInContext(
+      `__run.stopped = __run.stopped || { reason: "timeout", limit: ${limits.timeoutMs},
+        line: __run.exports.length ? __run.exports[__run.exports.length - 1].line : -1 };`,
+      context
+    );
+  }
+
+  const result = JSON.parse(vm.runInContext(COLLECT, context, { timeout: limits.timeoutMs }));
+  // A limit is reported through `stopped`; the error it threw is just the signal.
+  return { ...result, error: result.stopped ? null : error };
+}
+
+if (require.main === module && process.send) {
+  process.once("message", (job) => {
+    let result;
+    try {
+      result = executeJob(job);
+    } catch (err) {
+      result = { error: describeError(err) };
+    }
+    process.send(result, () => process.exit(0));
+  });
+}
+
+module.exports = { runInSandbox };
@@ -1,119 +1,1515 @@
 // server.js
+const { randomUUID } = require("crypto");
 const express = require("express");
 const bodyParser = require("body-parser");
 const cors = require("cors");
 const { transformSync } = require("@babel/core");
+const presetTypescript = require("@babel/preset-typescript");
+const presetReact = require("@babel/preset-react");
 const tracerPlugin = require("./babel-tracer"); // Assuming your tracer is in this file
-const vm = require("vm");
+const { reservedNamesPlugin } = tracerPlugin;
+const modulesPlugin = require("./babel-modules");
+const { TraceMap, originalPositionFor, traceSegment } = require("@jridgewell/trace-mapping");
+const { runInSandbox } = require("./sandbox-runner");
+const { createEventLoop } = require("./event-loop-runtime");
+const { createHeapEncoder } = require("./heap-encoder");
+const { createConsole } = require("./console-runtime");
+const { createReadOnlyViews } = require("./watch-runtime");
+const { runPython } = require("./python-runner");
+
+// --- EXECUTION LIMITS ---
+// Each run is bounded so one runaway program can't hang the server or flood
+// the client. Override with environment variables when starting the server.
+const LIMITS = {
+  timeoutMs: Number(process.env.TRACE_TIMEOUT_MS) || 2000,
+  maxSteps: Number(process.env.TRACE_MAX_STEPS) || 10000,
+  maxPayloadBytes: Number(process.env.TRACE_MAX_PAYLOAD_BYTES) || 5 * 1024 * 1024,
+  memoryMb: Number(process.env.TRACE_MEMORY_MB) || 128,
+  // Extra time the worker process gets (startup, serialization) before it is killed
+  killGraceMs: Number(process.env.TRACE_KILL_GRACE_MS) || 1500,
+  // Test cases traced per request; they share the payload budget
+  maxTestCases: Number(process.env.TRACE_MAX_TEST_CASES) || 10,
+  // Input sizes run for a growth table, each a run of its own
+  maxGrowthRuns: Number(process.env.TRACE_MAX_GROWTH_RUNS) || 8,
+  // Watch expressions evaluated at every step
+  maxWatches: Number(process.env.TRACE_MAX_WATCHES) || 10,
+};
 
 const app = express();
 app.use(cors());
 app.use(bodyParser.json());
 
-// --- HELPER FUNCTION 2: FILTER AND CLEAN THE FRAMES ---
+// --- TRACER RUNTIME ---
+// Helpers the instrumented code calls into. The sandbox hands the prelude its
+// run state as globalThis.__run (see sandbox-runner.js), which the prelude
+// takes out of the program's reach; __logs is exported up front so a run
+// that is cut short by a limit still hands back everything it recorded. The
+// program can't name anything in the "__" namespace (see babel-tracer.js),
+// and the limits and logging functions are consts, not globalThis properties.
+const GLOBAL_FRAME_ID = 0;
+// Longer watch values are cut short (Python's as well, see python-tracer.py)
+const MAX_WATCH_LENGTH = 200;
+
+const TRACER_PRELUDE = `
+const __run = globalThis.__run;
+delete globalThis.__run;
+const __limits = Object.freeze({ ...__run.limits });
+const __logs = [];
+__run.exports = __logs;
+// CommonJS-style programs may still assign module.exports
+globalThis.module = { exports: {} };
+const __frameId = ${GLOBAL_FRAME_ID};
+let __nextFrameId = ${GLOBAL_FRAME_ID + 1};
+let __callLine = null;
+let __callee = null;
+let __payloadBytes = 0;
+let __lastThrown;
+let __errorId = 0;
+let __watching = false;
+let __blockExits = [];
+const __stop = (reason, limit, line) => {
+  if (!__run.stopped) __run.stopped = { reason, limit, line };
+  throw new Error(__run.stopped.reason + " limit reached");
+};
+const __log = (e) => {
+  if (__watching) return;
+  const limits = __limits;
+  if (__run.stopped) __stop();
+  if (__logs.length >= limits.maxSteps) __stop("step", limits.maxSteps, e.line);
+  const heap = __heap.changes();
+  if (heap) e.heap = heap;
+  if (__blockExits.length > 0) {
+    e.blockExits = __blockExits;
+    __blockExits = [];
+  }
+  try { __payloadBytes += JSON.stringify(e).length; } catch (err) { /* uncountable value */ }
+  if (__payloadBytes > limits.maxPayloadBytes) __stop("payload", limits.maxPayloadBytes, e.line);
+  __logs.push(e);
+  if (__run.flush) __run.flush();
+};
+function __enter() { return __nextFrameId++; }
+// Block-scoped variables whose block is done, with the values of those they
+// shadowed; the next event carries them (see babel-tracer.js)
+function __leaveBlock(frameId, names, shadowed) { __blockExits.push({ frameId, names, shadowed }); }
+// Passes on the value it's given, the last one evaluated before the call
+function __callSite(line, callee, value) {
+  __callLine = line;
+  __callee = callee;
+  return value;
+}
+// True only for the first frame an error leaves, i.e. where it was thrown
+function __unwinding(error) {
+  if (error === __lastThrown) return false;
+  __lastThrown = error;
+  __errorId++;
+  return true;
+}
+function __errorInfo(e) {
+  if (e !== null && typeof e === "object" && "message" in e) {
+    return { type: String(e.name || "Error"), message: String(e.message) };
+  }
+  return { type: typeof e, message: String(e) };
+}
+// Values are logged by identity: objects become { ref } pointers, and each
+// log carries the heap objects that changed since the previous one
+const __heap = (${createHeapEncoder.toString()})();
+const __encode = __heap.encode;
+// Marks for what the program may have changed since, see heap-encoder.js
+const __wrote = __heap.wrote;
+const __wroteAll = __heap.wroteAll;
+const __changing = __heap.changing;
+const __beginChange = __heap.beginChange;
+const __endChange = __heap.endChange;
+// Watches see the program through read-only views; created before the
+// program (or anything below) adds to the globals, see watch-runtime.js
+const __readOnly = (${createReadOnlyViews.toString()})();
+const __view = __readOnly.view;
+// Virtual Promise, timers and task queues; async functions run through __async
+const __eventLoop = (${createEventLoop.toString()})(__log, () => __callLine);
+Object.assign(globalThis, __eventLoop.globals);
+const __async = __eventLoop.runAsync;
+const __await = __eventLoop.awaitValue;
+// console.* becomes stdout/stderr events; direct calls log at their own line
+// through __consoleAt, aliased ones at the latest call site
+const __consoleRuntime = (${createConsole.toString()})(__log, () => __callLine, __readOnly.reveal);
+globalThis.console = __consoleRuntime.console;
+const __consoleAt = __consoleRuntime.at;
+// Read tracing (opt-in): the operands are logged as evaluated, then used
+function __read(object, key, e) {
+  const value = object[key];
+  e.object = __encode(object);
+  e.key = __encode(key);
+  e.value = __encode(value);
+  __log(e);
+  return value;
+}
+function __compare(left, right, e) {
+  let result;
+  switch (e.operator) {
+    case "<": result = left < right; break;
+    case "<=": result = left <= right; break;
+    case ">": result = left > right; break;
+    case ">=": result = left >= right; break;
+    case "==": result = left == right; break;
+    case "!=": result = left != right; break;
+    case "===": result = left === right; break;
+    default: result = left !== right;
+  }
+  e.left = __encode(left);
+  e.right = __encode(right);
+  e.result = result;
+  __log(e);
+  return result;
+}
+// Expression tracing (opt-in): a sub-expression's value, logged as it is used
+function __eval(value, e) {
+  e.value = __encode(value);
+  __log(e);
+  return value;
+}
+// Watch expressions (opt-in): each event's watches are evaluated in its scope
+// and logged as text. A watch can only read the program (and call built-in
+// functions, untraced), and an error is the watch's value rather than the
+// program's.
+function __watch(watches) {
+  // The events of a function a watch calls are dropped anyway
+  if (__watching) return undefined;
+  const callSite = [__callLine, __callee];
+  __watching = true;
+  try {
+    return watches.map(watch => {
+      if (typeof watch === "string") return { error: watch };
+      try {
+        const text = __consoleRuntime.inspect(watch()).replace(/\\n\\s*/g, " ");
+        return { text: text.length > ${MAX_WATCH_LENGTH} ? text.slice(0, ${MAX_WATCH_LENGTH - 1}) + "…" : text };
+      } catch (err) {
+        const { type, message } = __errorInfo(err);
+        return { error: type + ": " + message };
+      }
+    });
+  } finally {
+    __watching = false;
+    [__callLine, __callee] = callSite;
+  }
+}
+// JSX elements are plain objects, as React.createElement would build them
+function __jsx(type, props, ...children) {
+  if (children.length > 0) props = { ...props, children: children.length === 1 ? children[0] : children };
+  return { type, props: props || {} };
+}
+const __Fragment = "Fragment";
+// Program input: named values are globals, and readline() / prompt() return
+// stdin a line at a time (null once it runs out)
+const __stdin = __run.input.stdin.split("\\n");
+if (__stdin[__stdin.length - 1] === "") __stdin.pop();
+function readline() { return __stdin.length > 0 ? __stdin.shift() : null; }
+function prompt() { return readline(); }
+Object.assign(globalThis, __run.input.values);
+if (Object.keys(__run.input.values).length > 0) {
+  const locals = {};
+  for (const name of Object.keys(__run.input.values)) locals[name] = __encode(__run.input.values[name]);
+  __log({ action: "inputs", frameId: __frameId, locals });
+}
+try {
+`;
+
+// Once the script itself is done the queues are drained, like Node would.
+// The catch records which unwind (if any) belongs to the error that ended the run.
+const TRACER_EPILOGUE = `
+__log({ action: "script-end" });
+__eventLoop.drain();
+} catch (__error) {
+  __run.uncaughtErrorId = __error === __lastThrown ? __errorId : null;
+  throw __error;
+}
+`;
+
+/**
+ * Surrounds instrumented code with the tracer runtime.
+ *
+ * @returns {{ code: string, lineOffset: number }} The runnable program and the
+ *   number of lines that precede the instrumented code in it.
+ */
+function wrapProgram(instrumented) {
+  return {
+    code: TRACER_PRELUDE + instrumented + TRACER_EPILOGUE,
+    lineOffset: TRACER_PRELUDE.split("\n").length - 1,
+  };
+}
+
+// --- HELPER FUNCTION 1: CALL STACK BOOKKEEPING ---
+function createFrame(frameId, fnName, callLine, locals = {}, label) {
+  const frame = { frameId, function: fnName, callLine, line: null, locals };
+  if (label) frame.label = label;
+  return frame;
+}
+
+/**
+ * Finds the stack frame a log belongs to. Logs without a frame id (or with an
+ * id that is no longer on the stack) fall back to the innermost frame.
+ */
+function findFrame(stack, frameId) {
+  for (let i = stack.length - 1; i >= 0; i--) {
+    if (stack[i].frameId === frameId) return stack[i];
+  }
+  return stack[stack.length - 1];
+}
+
+// Serialized stack used for change detection; a frame's current line alone
+// should not produce a new visualization step.
+function stackState(stack) {
+  return JSON.stringify(stack.map(({ line: _line, watches: _watches, ...frame }) => frame));
+}
+
+// Jumps that change state invisibly still deserve their own step; their
+// event-specific fields are passed through as the frame's `detail`.
+const CONTROL_FLOW_ACTIONS = ['case', 'break', 'continue', 'throw', 'catch', 'finally'];
+const EVENT_LOOP_ACTIONS = ['enqueue', 'dequeue', 'cancel', 'await', 'resume'];
+const SIGNIFICANT_ACTIONS = ['call', 'return', 'eval', 'stdout', 'stderr', ...CONTROL_FLOW_ACTIONS, ...EVENT_LOOP_ACTIONS];
+
+/**
+ * Applies a queue event from the sandbox event loop to the visualizer's view
+ * of it: what is waiting in each queue and which callback is running.
+ */
+function updateEventLoop(eventLoop, log) {
+  const queue = log.queue === 'microtask' ? eventLoop.microtasks : eventLoop.tasks;
+  if (log.action === 'enqueue') {
+    queue.push(log.queue === 'task' ? { id: log.id, label: log.label, time: log.time } : { id: log.id, label: log.label });
+  } else if (log.action === 'dequeue' || log.action === 'cancel') {
+    const index = queue.findIndex(task => task.id === log.id);
+    if (index !== -1) queue.splice(index, 1);
+  }
+  if (log.action === 'dequeue') {
+    eventLoop.phase = log.queue;
+    eventLoop.current = log.label;
+  }
+}
+
+// --- HELPER FUNCTION 2: HEAP SNAPSHOTS ---
+// Logged values use the encoding documented in heap-encoder.js: objects are
+// `{ ref: id }` pointers into a heap that the logs update incrementally.
+const isRef = (value) => value !== null && typeof value === 'object' && typeof value.ref === 'number';
+
+// The encoded values a heap object points at
+function heapChildren(object) {
+  switch (object.type) {
+    case 'array':
+    case 'set':
+      return object.items;
+    case 'map':
+      return object.entries.flat();
+    case 'object':
+      return Object.values(object.properties);
+    case 'promise':
+      return 'value' in object ? [object.value] : [];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Collects the heap objects reachable from the given encoded values, so each
+ * frame only carries the part of the heap its variables can see.
+ *
+ * @param {Object} heap - Latest encoding of every object, keyed by id.
+ * @param {Array} roots - Encoded values (variables, return values, ...).
+ * @returns {Object} The reachable subset of `heap`.
+ */
+function reachableHeap(heap, roots) {
+  const reachable = {};
+  const pending = roots.filter(isRef).map(value => value.ref);
+  while (pending.length > 0) {
+    const id = pending.pop();
+    if (reachable[id] || !heap[id]) continue;
+    reachable[id] = heap[id];
+    heapChildren(heap[id]).forEach(child => { if (isRef(child)) pending.push(child.ref); });
+  }
+  return reachable;
+}
+
+/**
+ * Index variables currently pointing into arrays, e.g. `mid` into `arr` for
+ * code that reads arr[mid]. A pair applies in every frame of the function it
+ * was found in, once both variables hold values (an array and an integer).
+ *
+ * @returns {Array<{ heapId: number, name: string, index: number, frameId: number }>}
+ */
+function arrayPointers(stack, heap, arrayIndexes) {
+  const pointers = [];
+  stack.forEach(frame => {
+    // Own keys only: a method may be called e.g. "constructor"
+    const pairs = Object.hasOwn(arrayIndexes, frame.function) ? arrayIndexes[frame.function] : [];
+    pairs.forEach(([arrayName, indexName]) => {
+      const array = frame.locals[arrayName];
+      const index = frame.locals[indexName];
+      if (!isRef(array) || heap[array.ref]?.type !== 'array' || !Number.isInteger(index)) return;
+      if (pointers.some(p => p.heapId === array.ref && p.name === indexName)) return;
+      pointers.push({ heapId: array.ref, name: indexName, index, frameId: frame.frameId });
+    });
+  });
+  return pointers;
+}
+
+/**
+ * Counts element swaps from successive encodings of arrays: two cells that
+ * exchange values in one step (`[a[i], a[j]] = [a[j], a[i]]`), or two
+ * single-cell writes that do it together (the swap through a temp variable).
+ *
+ * @returns {Function} `(id, prev, next) => boolean`, true when `next`
+ *   completes a swap in array `id`.
+ */
+function createSwapTracker() {
+  // Array id -> the single-cell write that may be the first half of a swap
+  const halfSwaps = new Map();
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  return (id, prev, next) => {
+    if (prev?.type !== 'array' || next.type !== 'array' || prev.items.length !== next.items.length) {
+      halfSwaps.delete(id);
+      return false;
+    }
+    const changed = [];
+    next.items.forEach((item, i) => { if (!same(prev.items[i], item)) changed.push(i); });
+
+    if (changed.length === 1) {
+      const [i] = changed;
+      const half = halfSwaps.get(id);
+      if (half && half.index !== i && same(next.items[i], half.before) && same(prev.items[i], half.after)) {
+        halfSwaps.delete(id);
+        return true;
+      }
+      halfSwaps.set(id, { index: i, before: prev.items[i], after: next.items[i] });
+      return false;
+    }
+    halfSwaps.delete(id);
+    if (changed.length !== 2) return false;
+    const [i, j] = changed;
+    return same(prev.items[i], next.items[j]) && same(prev.items[j], next.items[i]);
+  };
+}
+
+// Short text for an encoded value, for step descriptions like "Tested ..."
+function formatValue(value, heap) {
+  if (isRef(value)) {
+    const object = heap[value.ref];
+    return object ? `${object.className || object.type} #${value.ref}` : `#${value.ref}`;
+  }
+  if (value !== null && typeof value === 'object') {
+    return value.type === 'undefined' ? 'undefined' : value.value;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * How a call reads at its call site, e.g. "stack.push(3)" or "new Stack()".
+ * The callee text is the latest call site's, so it only names this frame when
+ * it ends in the function's name; callbacks run by built-ins keep their own.
+ */
+function callLabel(log, heap) {
+  const args = Object.entries(log.args || {})
+    .filter(([name]) => name !== 'this')
+    .map(([, value]) => formatValue(value, heap));
+  const callee = log.callee || '';
+  // `new Stack` and `super` run a constructor, named after its class or not
+  const constructs = callee.startsWith('new ') || callee === 'super';
+  const name = callee.split('.').pop().replace(/^new /, '');
+  const matches = constructs ? log.function === 'constructor' || log.function === name : name === log.function;
+  return `${matches ? callee : log.function}(${args.join(', ')})`;
+}
+
+
+// --- HELPER FUNCTION 3: FILTER AND CLEAN THE FRAMES ---
 /**
  * Processes a single execution run into a clean, de-duplicated, and context-rich
  * sequence of frames for the visualizer.
  *
+ * Each frame carries the full call stack (outermost first). Every stack entry
+ * has its own `locals`, so recursive calls and same-named variables in
+ * different functions no longer overwrite each other. The frame's top-level
+ * `locals` are the locals of the innermost (active) stack entry. Values are
+ * encoded (see heap-encoder.js), and `heap` holds every object reachable from
+ * the stack at that step. `frameId` and `depth` identify the active stack
+ * entry, which is what step over/into/out navigate by.
+ *
+ * With read tracing on, `read` and `compare` events don't make steps of their
+ * own: the next step lists the array cells that were read (`reads`) and the
+ * comparisons made (`comparisons`, with operands, result and compared cells),
+ * and every step carries running `counters` of reads, element comparisons and
+ * swaps.
+ *
+ * Steps carry the `range` in the user's code that their event is about, when
+ * the tracer knows it; with expression tracing, `eval` steps also carry the
+ * `evaluated` sub-expression with its value.
+ *
+ * With watch expressions, every step carries the active stack entry's
+ * `watches` ([{ text } | { error }], one per watch) as last logged in its
+ * scope. They don't decide which events become steps.
+ *
+ * The builder takes the raw logs as they arrive, so a streamed run can show
+ * its first frames while the program is still running.
+ *
+ * @param {Object} [arrayIndexes] - `[arrayName, indexName]` pairs per function
+ *   name, from the tracer's transform metadata (see arrayPointers).
+ * @param {{ usesEventLoop?: boolean, tracesReads?: boolean }} [run] - Whether
+ *   the run touches a task queue and was traced with reads, which give every
+ *   frame an event-loop view and counters. Left undefined, they start with
+ *   the first event of their kind.
+ * @returns {{ push: function(Array<Object>): Array<Object>, finish: function(): Array<Object> }}
+ *   `push` feeds logs in and returns the frames they completed; `finish`
+ *   returns the last ones once the run is over.
+ */
+function createFrameBuilder(arrayIndexes = {}, { usesEventLoop, tracesReads } = {}) {
+  // Frames completed since the last push() or finish()
+  let frames = [];
+  const stack = [createFrame(GLOBAL_FRAME_ID, "(global)", null)];
+  let lastPushedState = null;
+  let pendingContext = null;
+
+  let lastUnwind = null;
+  // Latest encoding of every object the program has logged, keyed by id
+  const heap = {};
+  let heapChanged = false;
+
+  // Async frames parked by `await` until their continuation runs
+  const suspended = new Map();
+  // Only runs that touch a queue get an event-loop view
+  const newEventLoop = () => ({ phase: 'script', current: null, microtasks: [], tasks: [] });
+  let eventLoop = usesEventLoop ? newEventLoop() : null;
+
+  // Only runs traced with reads get counters
+  const newCounters = () => ({ reads: 0, comparisons: 0, swaps: 0 });
+  let counters = tracesReads ? newCounters() : null;
+  let lastLog = null;
+  const trackSwap = createSwapTracker();
+  let pendingReads = [];
+  let pendingComparisons = [];
+
+  // Call tree: a call step carries its node, and the step a call finishes on
+  // lists it under `returns`. Calls without a return statement finish on the
+  // step after their exit.
+  let pendingReturns = [];
+  const returned = new Set();
+
+  const pushFrame = (log, frameStack = stack) => {
+    const snapshot = JSON.parse(JSON.stringify(frameStack));
+    const top = snapshot[snapshot.length - 1] || { line: null, locals: {} };
+    // Only the active frame's watches are shown
+    const watches = top.watches;
+    snapshot.forEach(entry => delete entry.watches);
+    const newFrame = {
+      action: log.action,
+      line: log.line ?? top.line,
+      locals: top.locals,
+      stack: snapshot,
+      // The active function and how deep it is; a return step still has its
+      // callee on the stack, so it shares frameId and depth with its call
+      frameId: top.frameId,
+      depth: Math.max(0, snapshot.length - 1),
+    };
+
+    if (pendingContext) {
+      newFrame.action = `${log.action} (after ${pendingContext.after})`;
+      newFrame.context = pendingContext.text;
+      // Tests don't get steps of their own; this is the line of the if/loop/switch
+      if (pendingContext.line !== undefined) newFrame.contextLine = pendingContext.line;
+      pendingContext = null;
+    }
+
+    // Where in the line the step is, as a Monaco range (see babel-tracer.js)
+    if (log.range) newFrame.range = log.range;
+    if (watches) newFrame.watches = watches;
+    if (log.action === 'return') newFrame.returnValue = log.value;
+    if (log.action === 'eval') {
+      newFrame.evaluated = { expression: log.expression, value: log.value, text: formatValue(log.value, heap) };
+    }
+    // Console output; `level` is the console method's (log, info, warn, ...)
+    // and console.table adds its cells as `table`
+    if (log.action === 'stdout' || log.action === 'stderr') {
+      newFrame.output = log.output;
+      if (log.level) newFrame.level = log.level;
+      if (log.table) newFrame.table = log.table;
+    }
+    if (log.action === 'error') newFrame.error = log.error;
+    if (log.action === 'call') {
+      const caller = snapshot[snapshot.length - 2];
+      newFrame.callNode = {
+        id: top.frameId,
+        parent: caller && caller.frameId !== GLOBAL_FRAME_ID ? caller.frameId : null,
+        function: top.function,
+        label: top.label || top.function,
+        args: log.args || {},
+      };
+    }
+    if (log.action === 'return' && log.frameId !== GLOBAL_FRAME_ID) {
+      returned.add(log.frameId);
+      pendingReturns.push({ id: log.frameId, value: log.value, text: formatValue(log.value, heap) });
+    }
+    if (pendingReturns.length > 0) newFrame.returns = pendingReturns;
+    const roots = snapshot.flatMap(entry => Object.values(entry.locals));
+    if ('returnValue' in newFrame) roots.push(newFrame.returnValue);
+    if (newFrame.evaluated) roots.push(newFrame.evaluated.value);
+    newFrame.heap = reachableHeap(heap, roots);
+    const pointers = arrayPointers(snapshot, newFrame.heap, arrayIndexes);
+    if (pointers.length > 0) newFrame.arrayPointers = pointers;
+    if (eventLoop) newFrame.eventLoop = JSON.parse(JSON.stringify(eventLoop));
+    if (pendingReads.length > 0) newFrame.reads = pendingReads;
+    if (pendingComparisons.length > 0) newFrame.comparisons = pendingComparisons;
+    if (counters) newFrame.counters = { ...counters };
+    if (CONTROL_FLOW_ACTIONS.includes(log.action) || EVENT_LOOP_ACTIONS.includes(log.action)) {
+      const {
+        action: _action, line: _line, frameId: _frameId, locals: _locals,
+        heap: _heap, range: _range, watches: _watches, blockExits: _blockExits, ...detail
+      } = log;
+      newFrame.detail = detail;
+    }
+
+    frames.push(newFrame);
+    lastPushedState = stackState(stack);
+    heapChanged = false;
+    pendingReads = [];
+    pendingComparisons = [];
+    pendingReturns = [];
+  };
+
+  const take = () => {
+    const completed = frames;
+    frames = [];
+    return completed;
+  };
+
+  const push = (logs) => {
+    for (const log of logs) {
+      lastLog = log;
+      if (!eventLoop && usesEventLoop === undefined && EVENT_LOOP_ACTIONS.includes(log.action)) {
+        eventLoop = newEventLoop();
+      }
+      if (!counters && tracesReads === undefined && (log.action === 'read' || log.action === 'compare')) {
+        counters = newCounters();
+      }
+
+      if (log.heap) {
+        if (counters) {
+          Object.entries(log.heap).forEach(([id, object]) => {
+            if (trackSwap(id, heap[id], object)) counters.swaps++;
+          });
+        }
+        Object.assign(heap, log.heap);
+        heapChanged = true;
+      }
+
+      // Block-scoped variables leave with their block, and the ones they
+      // shadowed come back
+      if (log.blockExits) {
+        log.blockExits.forEach(({ frameId, names, shadowed }) => {
+          const frame = stack.find(entry => entry.frameId === frameId);
+          if (!frame) return;
+          frame.locals = { ...frame.locals };
+          names.forEach(name => { delete frame.locals[name]; });
+          Object.assign(frame.locals, shadowed);
+        });
+      }
+
+      // Maintain the call stack from enter/exit events
+      if (log.action === 'call') {
+        stack[stack.length - 1].line = log.callLine ?? stack[stack.length - 1].line;
+        stack.push(createFrame(log.frameId, log.function, log.callLine ?? null, { ...log.args }, callLabel(log, heap)));
+      }
+      // Remember the stack where an error was thrown, before finally blocks pop it
+      if (log.action === 'unwind') {
+        lastUnwind = { errorId: log.errorId, stack: JSON.parse(JSON.stringify(stack)) };
+        continue;
+      }
+      if (log.action === 'error') {
+        const thrownFrom = JSON.parse(JSON.stringify(
+          lastUnwind && lastUnwind.errorId === log.errorId ? lastUnwind.stack : stack
+        ));
+        const top = thrownFrom[thrownFrom.length - 1];
+        top.line = log.error.line ?? top.line;
+        pushFrame({ ...log, line: top.line }, thrownFrom);
+        continue;
+      }
+      if (log.action === 'exit') {
+        // An async function's exit while it awaits isn't the end of its call
+        if (!returned.delete(log.frameId) && !suspended.has(log.frameId)) {
+          pendingReturns.push(log.threw ? { id: log.frameId, threw: true } : { id: log.frameId, text: 'undefined' });
+        }
+        const index = stack.findIndex(frame => frame.frameId === log.frameId);
+        if (index > 0) stack.splice(index);
+        continue;
+      }
+      if (log.action === 'script-end') {
+        if (eventLoop) eventLoop.phase = 'idle';
+        // The script's last statements may have changed objects no step shows
+        if (heapChanged) pushFrame({ action: 'line' });
+        continue;
+      }
+      if (eventLoop && ['enqueue', 'dequeue', 'cancel'].includes(log.action)) {
+        updateEventLoop(eventLoop, log);
+      }
+      // A resumed async frame goes back on top of whatever is running now
+      if (log.action === 'resume' && suspended.has(log.frameId)) {
+        stack.push(suspended.get(log.frameId));
+        suspended.delete(log.frameId);
+      }
+
+      // Accumulate state into the frame the log belongs to
+      const frame = findFrame(stack, log.frameId);
+      if (log.line !== undefined) frame.line = log.line;
+      if (log.locals) {
+        frame.locals = { ...frame.locals, ...log.locals };
+      }
+      if (log.watches) frame.watches = log.watches;
+
+      // An awaiting frame is shown once more, then leaves the stack
+      if (log.action === 'await') {
+        pushFrame(log);
+        const index = stack.findIndex(entry => entry.frameId === log.frameId);
+        if (index > 0) suspended.set(log.frameId, stack.splice(index, 1)[0]);
+        continue;
+      }
+
+      // Reads and comparisons annotate the next step
+      if (log.action === 'read') {
+        counters.reads++;
+        if (isRef(log.object) && heap[log.object.ref]?.type === 'array' && Number.isInteger(log.key)) {
+          pendingReads.push({ heapId: log.object.ref, index: log.key });
+        }
+        continue;
+      }
+      if (log.action === 'compare') {
+        // The reads since the last step are this comparison's operands
+        const cells = pendingReads;
+        pendingReads = [];
+        if (cells.length > 0) counters.comparisons++;
+        pendingComparisons.push({
+          expression: log.expression,
+          operator: log.operator,
+          left: log.left,
+          right: log.right,
+          result: log.result,
+          cells,
+        });
+        continue;
+      }
+
+      // Capture context from 'test' and 'switch' actions
+      if (log.action === 'test') {
+        pendingContext = { after: 'test', line: log.line, text: `Tested "${log.expression}": ${formatValue(log.result, heap)}` };
+        continue;
+      }
+      if (log.action === 'switch') {
+        pendingContext = { after: 'switch', line: log.line, text: `Switched on "${log.expression}": ${formatValue(log.value, heap)}` };
+        continue;
+      }
+
+      // Decide whether to create a new frame
+      const isSignificantAction = SIGNIFICANT_ACTIONS.includes(log.action);
+      // A mutated object (e.g. after arr.push) changes what the step shows
+      const stateHasChanged = stackState(stack) !== lastPushedState || heapChanged;
+
+      if (isSignificantAction || stateHasChanged) {
+        pushFrame(log);
+      }
+    }
+    return take();
+  };
+
+  const finish = () => {
+    // Show the stack unwinding if the run ended inside a returning call, and
+    // what the last callbacks changed
+    if (lastLog && (stackState(stack) !== lastPushedState || heapChanged)) {
+      pushFrame({ action: 'exit', line: lastLog.line });
+    }
+    return take();
+  };
+
+  return { push, finish };
+}
+
+/**
+ * Processes a single, finished execution run into frames (see createFrameBuilder).
+ *
  * @param {Array<Object>} executionRun - The block of logs for a single run.
+ * @param {Object} [arrayIndexes] - See createFrameBuilder.
  * @returns {Array<Object>} A clean array of visualization frames.
  */
-function filterLogs(executionRun) {
+function filterLogs(executionRun, arrayIndexes = {}) {
   if (!executionRun || executionRun.length === 0) {
     return [];
   }
+  const builder = createFrameBuilder(arrayIndexes, {
+    usesEventLoop: executionRun.some(log => EVENT_LOOP_ACTIONS.includes(log.action)),
+    tracesReads: executionRun.some(log => log.action === 'read' || log.action === 'compare'),
+  });
+  return [...builder.push(executionRun), ...builder.finish()];
+}
 
-  const frames = [];
-  let currentState = {};
-  let lastPushedState = null;
-  let pendingContext = null;
 
-  for (const log of executionRun) {
-    // Accumulate state from args and locals
-    if (log.action === 'call' && log.args) {
-      currentState = { ...currentState, ...log.args };
+// --- HELPER FUNCTION 4: EXECUTION LIMIT REPORTING ---
+function describeStop(stop) {
+  const where = stop.line > 0 ? ` at line ${stop.line}` : '';
+  switch (stop.reason) {
+    case 'step': return `execution stopped: step limit ${stop.limit} reached${where}`;
+    case 'payload': return `execution stopped: trace size limit of ${stop.limit} bytes reached${where}`;
+    case 'timeout': return `execution stopped: time limit of ${stop.limit}ms reached${where}`;
+    case 'memory': return `execution stopped: memory limit of ${stop.limit}MB exceeded${where}`;
+    case 'cancelled': return `execution cancelled${where}`;
+    default: return `execution stopped${where}`;
+  }
+}
+
+/**
+ * Builds the terminal frame appended when a run hits one of the LIMITS. It
+ * keeps the last known locals and stack so the visualizer can still show
+ * where the program was when it was cut off.
+ */
+function makeStopFrame(frames, stop) {
+  const last = frames[frames.length - 1] || { locals: {}, stack: [] };
+  return {
+    action: 'stopped',
+    line: stop.line,
+    locals: last.locals,
+    stack: last.stack,
+    frameId: last.frameId,
+    depth: last.depth || 0,
+    heap: last.heap || {},
+    stopped: stop,
+    message: describeStop(stop),
+  };
+}
+
+/**
+ * Trims visualization frames so the serialized response stays within
+ * LIMITS.maxPayloadBytes. Frames repeat the whole stack, so they can outgrow
+ * the raw trace even when the sandbox stayed under its own budget.
+ *
+ * @param {Array<Object>} frames
+ * @param {number} maxBytes - The budget left for these frames.
+ * @param {number} [limit] - The limit to report, when frames were sent before.
+ * @returns {{ frames: Array<Object>, stop: Object|null, bytes: number }} `bytes`
+ *   is the size of the frames kept.
+ */
+function capFramePayload(frames, maxBytes, limit = maxBytes) {
+  let bytes = 0;
+  for (let i = 0; i < frames.length; i++) {
+    const size = JSON.stringify(frames[i]).length;
+    if (bytes + size > maxBytes) {
+      return {
+        frames: frames.slice(0, i),
+        stop: { reason: 'payload', limit, line: frames[i].line },
+        bytes,
+      };
     }
-    if (log.locals) {
-      currentState = { ...currentState, ...log.locals };
+    bytes += size;
+  }
+  return { frames, stop: null, bytes };
+}
+
+
+// --- HELPER FUNCTION 5: ERROR FRAMES ---
+function cleanBabelMessage(message) {
+  // "unknown: Unexpected token (3:4)\n\n<code frame>" -> "Unexpected token"
+  return message.split("\n")[0].replace(/^unknown( file)?: /, "").replace(/ \(\d+:\d+\)$/, "");
+}
+
+/**
+ * Turns a parse error into the single frame of a run that never started.
+ *
+ * @param {{ type: string, message: string, line: number, column: number }} error
+ */
+function makeCompileErrorFrame({ type, message, line, column }) {
+  return {
+    action: 'error',
+    line,
+    locals: {},
+    stack: [],
+    heap: {},
+    error: { type, message, line, column, phase: 'compile' },
+  };
+}
+
+// The single frame of a run that failed outside the program, e.g. a bad request
+function makeFailureFrame(err) {
+  return {
+    action: 'error',
+    line: null,
+    locals: {},
+    stack: [],
+    heap: {},
+    error: { type: err.name || 'Error', message: err.message, line: null, column: null },
+  };
+}
+
+/**
+ * Maps a runtime error reported by the sandbox back to the user's source.
+ * The worker lists every position of the error's stack trace inside the
+ * program; the first one that lands in user code (rather than the tracer
+ * runtime or instrumentation) is where the error happened.
+ *
+ * @param {Object} error - `{ name, message, positions }` from the sandbox.
+ * @param {TraceMap} traceMap - Source map of the instrumented code.
+ * @param {number} lineOffset - Lines of runtime preceding the instrumented code.
+ */
+function describeRuntimeError(error, traceMap, lineOffset) {
+  let position = null;
+  for (const { line, column } of error.positions || []) {
+    if (line <= lineOffset) continue;
+    const original = originalPositionFor(traceMap, { line: line - lineOffset, column: column - 1 });
+    if (original.line !== null) {
+      position = { line: original.line, column: original.column + 1 };
+      break;
     }
+  }
+  return {
+    type: error.name,
+    message: error.message,
+    line: position ? position.line : null,
+    column: position ? position.column : null,
+    phase: 'runtime',
+  };
+}
 
-    // Capture context from 'test' actions
-    if (log.action === 'test') {
-      pendingContext = `Tested "${log.expression}": ${log.result}`;
-      continue;
+
+// --- HELPER FUNCTION 6: TEST CASES ---
+/**
+ * Rebuilds a JSON-like value from its encoding, so a program's result can be
+ * compared with an expected value. `undefined` becomes null, and objects that
+ * don't translate (functions, dates, ...) are described by type.
+ */
+function plainValue(value, heap, path = new Set()) {
+  if (isRef(value)) {
+    const object = heap[value.ref];
+    if (!object || path.has(value.ref)) return '[Circular]';
+    const inner = new Set(path).add(value.ref);
+    switch (object.type) {
+      case 'array':
+      case 'set':
+        return object.items.map(item => plainValue(item, heap, inner));
+      case 'map':
+        return Object.fromEntries(object.entries.map(([key, item]) => [
+          String(plainValue(key, heap, inner)), plainValue(item, heap, inner),
+        ]));
+      case 'object':
+        return Object.fromEntries(Object.entries(object.properties).map(([key, item]) => [
+          key, plainValue(item, heap, inner),
+        ]));
+      default:
+        return `[${object.type}]`;
     }
+  }
+  if (value !== null && typeof value === 'object') {
+    return value.type === 'undefined' ? null : value.value;
+  }
+  return value;
+}
+
+// JSON with sorted keys, so equal objects compare equal whatever their key order
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
 
-    // Decide whether to create a new frame
-    const isSignificantAction = ['call', 'return', 'stdout'].includes(log.action);
-    const stateHasChanged = JSON.stringify(currentState) !== lastPushedState;
+// Trailing spaces and blank lines at the end don't fail a test
+function normalizeOutput(text) {
+  return String(text).replace(/\r\n/g, '\n').split('\n').map(line => line.trimEnd()).join('\n').replace(/\n+$/, '');
+}
 
-    if (isSignificantAction || stateHasChanged) {
-      const newFrame = {
-        action: log.action,
-        line: log.line,
-        locals: JSON.parse(JSON.stringify(currentState)),
-      };
+/**
+ * Checks a traced test case against its expectations: `output` is compared
+ * with everything printed to stdout, and `returnValue` with what the last call made from
+ * the top level returned (e.g. `binarySearch(arr, target)`).
+ *
+ * @param {Array<Object>} frames - The case's visualization frames.
+ * @param {{ output?: string, returnValue?: * }} expected
+ * @returns {{ passed: boolean|null, checks: Array<Object>, error?: string }}
+ *   `passed` is null when there was nothing to check.
+ */
+function checkTestCase(frames, expected = {}) {
+  const checks = [];
+  if (typeof expected.output === 'string') {
+    const actual = frames
+      .filter(frame => 'output' in frame && !frame.action.startsWith('stderr'))
+      .map(frame => frame.output)
+      .join('\n');
+    checks.push({
+      kind: 'output',
+      expected: expected.output,
+      actual,
+      passed: normalizeOutput(actual) === normalizeOutput(expected.output),
+    });
+  }
+  if ('returnValue' in expected) {
+    const returned = frames.filter(frame => 'returnValue' in frame && frame.depth === 1).pop();
+    const actual = returned ? plainValue(returned.returnValue, returned.heap) : null;
+    checks.push({
+      kind: 'returnValue',
+      expected: expected.returnValue,
+      actual,
+      passed: Boolean(returned) && canonicalJson(actual) === canonicalJson(expected.returnValue),
+    });
+  }
+
+  // A crash or a limit fails the case whatever it printed before
+  const last = frames[frames.length - 1];
+  const failure = last?.error ? `${last.error.type}: ${last.error.message}` : last?.stopped ? last.message : null;
+  if (failure) return { passed: false, checks, error: failure };
+  return { passed: checks.length > 0 ? checks.every(check => check.passed) : null, checks };
+}
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
 
-      if (pendingContext) {
-        newFrame.action = `${log.action} (after test)`;
-        newFrame.context = pendingContext;
-        pendingContext = null;
+/**
+ * Validates the stdin text and named values a program runs with. Names must
+ * be identifiers outside the tracer's "__" namespace.
+ *
+ * @returns {{ stdin: string, values: Object }}
+ */
+function programInput({ stdin = '', inputs = {} }) {
+  if (typeof stdin !== 'string') throw new TypeError('stdin must be a string');
+  if (inputs === null || typeof inputs !== 'object' || Array.isArray(inputs)) {
+    throw new TypeError('inputs must be an object of named values');
+  }
+  for (const name of Object.keys(inputs)) {
+    if (!IDENTIFIER.test(name) || name.startsWith('__')) throw new TypeError(`"${name}" can't be used as an input name`);
+  }
+  return { stdin, values: inputs };
+}
+
+/**
+ * Validates the watch expressions a run evaluates at every step: at most
+ * LIMITS.maxWatches strings. Each tracer parses them itself, and one that
+ * doesn't parse or could change the program gets an error as its value.
+ *
+ * @returns {Array<string>}
+ */
+function watchExpressions(watches = []) {
+  if (!Array.isArray(watches) || watches.some(watch => typeof watch !== 'string')) {
+    throw new TypeError('watches must be an array of expressions');
+  }
+  if (watches.length > LIMITS.maxWatches) throw new TypeError(`at most ${LIMITS.maxWatches} watches can be evaluated`);
+  return watches;
+}
+
+
+// --- HELPER FUNCTION 7: RUN ANALYSIS ---
+// Events that don't mean a line ran: a frame leaving, the error report,
+// reads and comparisons (only traced on request) and task queue bookkeeping
+const UNCOUNTED_ACTIONS = ['exit', 'unwind', 'error', 'read', 'compare', 'enqueue', 'dequeue', 'cancel'];
+
+/**
+ * Aggregates a run's raw logs into execution statistics. Like
+ * createFrameBuilder it takes the logs as they arrive.
+ *
+ * A line counts as run each time a frame reaches it from another line, so
+ * the test and update of one pass of a for loop are one run of its header,
+ * and a declaration that calls a function is still one run of its line. A
+ * call runs its call site's line in the caller, which is all a bare `f();`
+ * statement logs.
+ *
+ * @returns {{ push: function(Array<Object>): void,
+ *   addCodeLines: function(Array<number>=): void, result: function(): Object }}
+ *   `addCodeLines` registers the lines that hold code, so the ones that never
+ *   ran are reported with 0. `result` returns `{ steps, lines, functions,
+ *   maxDepth }`: `steps` counts the events the step limit counts, `lines` maps
+ *   line numbers to their runs, `functions` lists `{ name, calls, maxDepth }`
+ *   in order of first call (`maxDepth` being the most calls of the function
+ *   open at once, i.e. its recursion depth), and `maxDepth` is the deepest
+ *   the call stack got.
+ */
+function createRunAnalyzer() {
+  let steps = 0;
+  const lines = {};
+  const functions = new Map();
+  let maxDepth = 0;
+  // Open calls, outermost first; async calls leave while they await
+  const stack = [];
+  const suspended = new Map();
+  // The line each frame ran last, by frameId
+  const lastLines = new Map();
+  const runningFrame = () => (stack.length > 0 ? stack[stack.length - 1].frameId : GLOBAL_FRAME_ID);
+  const countLine = (frameId, line) => {
+    if (!(line > 0) || lastLines.get(frameId) === line) return;
+    lines[line] = (lines[line] || 0) + 1;
+    lastLines.set(frameId, line);
+  };
+
+  const push = (logs) => {
+    for (const log of logs) {
+      if (log.action !== 'error') steps++;
+
+      if (log.action === 'call') {
+        countLine(runningFrame(), log.callLine);
+        const stats = functions.get(log.function) || { name: log.function, calls: 0, maxDepth: 0 };
+        functions.set(log.function, stats);
+        stack.push({ frameId: log.frameId, function: log.function });
+        stats.calls++;
+        stats.maxDepth = Math.max(stats.maxDepth, stack.filter(entry => entry.function === log.function).length);
+        maxDepth = Math.max(maxDepth, stack.length);
+      }
+      if (log.action === 'exit') {
+        const index = stack.findIndex(entry => entry.frameId === log.frameId);
+        if (index !== -1) stack.splice(index);
       }
-      
-      if (log.action === 'return') newFrame.returnValue = log.value;
-      if (log.action === 'stdout') newFrame.output = log.output;
+      if (log.action === 'resume' && suspended.has(log.frameId)) {
+        stack.push(suspended.get(log.frameId));
+        suspended.delete(log.frameId);
+      }
+
+      // Console events don't say which frame printed; it's the running one
+      if (!UNCOUNTED_ACTIONS.includes(log.action)) countLine(log.frameId ?? runningFrame(), log.line);
 
-      frames.push(newFrame);
-      lastPushedState = JSON.stringify(currentState);
+      if (log.action === 'await') {
+        const index = stack.findIndex(entry => entry.frameId === log.frameId);
+        if (index !== -1) suspended.set(log.frameId, stack.splice(index, 1)[0]);
+      }
     }
+  };
+
+  const codeLines = new Set();
+  const addCodeLines = (found = []) => found.forEach(line => codeLines.add(line));
+
+  const result = () => {
+    const counts = {};
+    codeLines.forEach(line => { counts[line] = 0; });
+    Object.assign(counts, lines);
+    return { steps, lines: counts, functions: [...functions.values()], maxDepth };
+  };
+
+  return { push, addCodeLines, result };
+}
+
+/**
+ * Runs the program once per input size and counts the steps each run takes:
+ * a rough table of steps against n, to tell O(n log n) from O(n²). The size
+ * is given to the program as the named input `growth.input` ("n" unless
+ * set), next to its other inputs. Runs stop early when the program doesn't
+ * compile (the run itself shows why) or `signal` is aborted.
+ *
+ * @param {{ input?: string, sizes: Array<number> }} growth - Sizes that aren't
+ *   non-negative integers are skipped; at most LIMITS.maxGrowthRuns are run.
+ * @param {function(Object): void} [onRow] - Receives each row once measured.
+ * @returns {Promise<Array<{ n: number, steps?: number, stopped?: string, error?: string }>>}
+ *   `stopped` is the limit a run reached, so its steps are a lower bound.
+ */
+async function measureGrowth(code, language, options, { stdin, inputs, growth, limits, signal }, onRow) {
+  const name = growth.input || 'n';
+  const sizes = (Array.isArray(growth.sizes) ? growth.sizes : [])
+    .filter(n => Number.isInteger(n) && n >= 0)
+    .slice(0, LIMITS.maxGrowthRuns);
+  const tracer = TRACERS[language];
+  const rows = [];
+  if (!tracer) return rows;
+
+  for (const n of sizes) {
+    if (signal?.aborted) break;
+    const row = { n };
+    try {
+      const input = programInput({ stdin, inputs: { ...inputs, [name]: n } });
+      // Only steps are counted, which watches don't add to
+      const traced = await tracer(code, { ...options, watches: undefined }, { input, limits, signal });
+      if (traced.frames) break;
+      const analyzer = createRunAnalyzer();
+      analyzer.push(traced.rawLogs);
+      row.steps = analyzer.result().steps;
+      if (traced.stop) row.stopped = traced.stop.reason;
+      const crash = traced.rawLogs.find(log => log.action === 'error');
+      if (crash) row.error = `${crash.error.type}: ${crash.error.message}`;
+    } catch (err) {
+      row.error = err.message;
+    }
+    rows.push(row);
+    if (onRow) onRow(row);
   }
+  return rows;
+}
+
+
+// --- TRACERS ---
+// One per language. A tracer runs the program and returns its raw logs (in
+// the event format filterLogs reads) or, for a program that never started,
+// the finished `frames`.
 
-  return frames;
+const PARSER_OPTIONS = { sourceType: "module", allowReturnOutsideFunction: true };
+
+/**
+ * Compiles TypeScript, JSX and ES module syntax down to the plain script the
+ * tracer instruments, refusing names the tracer reserves first. TypeScript is parsed as .ts, so JSX is JavaScript-only;
+ * JSX elements are built by the runtime's __jsx. Lines are retained, so the
+ * line numbers the tracer logs are the user's own.
+ */
+function compileToScript(code, typescript) {
+  return transformSync(code, {
+    presets: typescript
+      ? [[presetTypescript, { allExtensions: true }]]
+      : [[presetReact, { runtime: "classic", pragma: "__jsx", pragmaFrag: "__Fragment" }]],
+    plugins: [reservedNamesPlugin, modulesPlugin],
+    parserOpts: PARSER_OPTIONS,
+    retainLines: true,
+    sourceMaps: true,
+    babelrc: false,
+    configFile: false,
+  });
+}
+
+/**
+ * Maps positions in the compiled script back to the user's code. Babel's
+ * reprint keeps lines but not columns, so a column is placed relative to the
+ * start of the mapped token it falls in.
+ *
+ * @returns {function(number, number): ?{ line: number, column: number }}
+ *   Takes a 1-based line and 0-based column, like Babel's locations.
+ */
+function userPositionMapper(map) {
+  const traceMap = new TraceMap(map);
+  return (line, column) => {
+    const segment = traceSegment(traceMap, line - 1, column);
+    if (!segment || segment.length < 4) return null;
+    return { line: segment[2] + 1, column: segment[3] + (column - segment[0]) };
+  };
+}
+
+/**
+ * Instruments JavaScript with the Babel tracer plugin and runs it in the sandbox.
+ *
+ * @param {string} code
+ * @param {{ traceReads?: boolean, traceExpressions?: boolean, watches?: Array<string>, typescript?: boolean }} options
+ * @param {{ input: Object, limits: Object, onLogs?: Function, signal?: AbortSignal }} run -
+ *   See traceProgram and streamProgram. `onLogs(logs, hints)` receives the raw
+ *   logs as they are recorded, with what createFrameBuilder needs to know
+ *   about the run up front.
+ * @returns {Promise<{ frames?: Array<Object>, rawLogs?: Array<Object>, stop?: Object|null,
+ *   arrayIndexes?: Object, codeLines?: Array<number> }>} `codeLines` are the
+ *   lines holding code (see createRunAnalyzer).
+ */
+async function traceJavaScript(code, { traceReads = false, traceExpressions = false, watches, typescript = false }, { input, limits, onLogs, signal }) {
+  // 1. Compile to plain script, then instrument it with the Babel tracer
+  // plugin; the input source map keeps the final map pointing at the user's code
+  let instrumented, sourceMap, metadata;
+  try {
+    const compiled = compileToScript(code, typescript);
+    ({ code: instrumented, map: sourceMap, metadata } = transformSync(compiled.code, {
+      plugins: [[tracerPlugin, {
+        traceReads: Boolean(traceReads),
+        traceExpressions: Boolean(traceExpressions),
+        watches: watchExpressions(watches),
+        mapPosition: userPositionMapper(compiled.map),
+      }]],
+      parserOpts: PARSER_OPTIONS,
+      sourceMaps: true,
+      inputSourceMap: compiled.map,
+      babelrc: false,
+      configFile: false,
+    }));
+  } catch (err) {
+    // Syntax errors are reported before anything runs
+    if (!err.loc) throw err;
+    return {
+      frames: [makeCompileErrorFrame({
+        type: 'SyntaxError',
+        message: cleanBabelMessage(err.message),
+        line: err.loc.line,
+        column: err.loc.column + 1,
+      })],
+    };
+  }
+
+  // 2. Wrap it with the tracer runtime
+  const program = wrapProgram(instrumented);
+
+  // 3. Execute the code in an isolated worker process and get the raw logs
+  const hints = { arrayIndexes: metadata.arrayIndexes, tracesReads: Boolean(traceReads) };
+  const report = onLogs && (logs => onLogs(logs, hints));
+  const { logs: rawLogs, stopped, error, uncaughtErrorId } = await runInSandbox(
+    program.code, limits, input, { onLogs: report, signal }
+  );
+
+  // A runtime error becomes the final raw event, positioned in the user's code
+  if (error) {
+    const event = {
+      action: 'error',
+      errorId: uncaughtErrorId,
+      error: describeRuntimeError(error, new TraceMap(sourceMap), program.lineOffset),
+    };
+    rawLogs.push(event);
+    if (report) report([event]);
+  }
+  return { rawLogs, stop: stopped, arrayIndexes: metadata.arrayIndexes, codeLines: metadata.codeLines };
+}
+
+/**
+ * Runs Python under the sys.settrace tracer (see python-tracer.py), which
+ * reports runtime errors as events of its own.
+ */
+async function tracePython(code, { watches }, { input, limits, onLogs, signal }) {
+  const { logs, stopped, error, compileError, codeLines } = await runPython(code, limits, input, {
+    onLogs: onLogs && (batch => onLogs(batch, {})),
+    signal,
+    watches: watchExpressions(watches),
+  });
+  if (compileError) return { frames: [makeCompileErrorFrame(compileError)] };
+  if (error) throw Object.assign(new Error(error.message), { name: error.name });
+  return { rawLogs: logs, stop: stopped, arrayIndexes: {}, codeLines: codeLines || [] };
 }
 
+const TRACERS = {
+  javascript: traceJavaScript,
+  typescript: (code, options, run) => traceJavaScript(code, { ...options, typescript: true }, run),
+  python: tracePython,
+};
 
-// --- API ENDPOINT ---
-app.post("/api/code/run", (req, res) => {
-  const { code } = req.body;
-  let finalFrames = [];
 
+/**
+ * Traces one run of a program and turns it into visualization frames. Every
+ * failure, from a bad request to a crashed tracer, becomes an error frame.
+ *
+ * @param {string} code
+ * @param {string} language - A key of TRACERS.
+ * @param {Object} options - Tracer options, e.g. `{ traceReads }`.
+ * @param {{ stdin?: string, inputs?: Object, limits: Object, analyzer?: Object }} run -
+ *   The program's input and the limits it runs under, and a createRunAnalyzer()
+ *   to hand the raw logs to as well.
+ * @returns {Promise<Array<Object>>}
+ */
+async function traceProgram(code, language, options, { stdin, inputs, limits, analyzer }) {
   try {
-    // 1. Instrument the user's code with the Babel tracer plugin
-    const { code: instrumented } = transformSync(code, {
-      plugins: [tracerPlugin],
-      parserOpts: { sourceType: "module", allowReturnOutsideFunction: true },
-    });
+    const tracer = TRACERS[language];
+    if (!tracer) throw new Error(`Unsupported language: ${language}`);
+    const traced = await tracer(code, options, { input: programInput({ stdin, inputs }), limits });
+    if (traced.frames) return traced.frames;
+    if (analyzer) {
+      analyzer.push(traced.rawLogs);
+      analyzer.addCodeLines(traced.codeLines);
+    }
 
-    // 2. Prepare a sandboxed environment to execute the code safely
-    const sandbox = { module: {}, console };
-    vm.createContext(sandbox);
-    
-    // The code is wrapped to capture logs and provide helper functions
-    const wrappedCode = `
-      const __logs = [];
-      function __log(e) { __logs.push(e); }
-      function __clone(val) { /* A simple clone implementation */
-        try { return JSON.parse(JSON.stringify(val)); } catch(e) { return val; }
-      }
-      ${instrumented}
-      module.exports = __logs;
-    `;
+    const capped = capFramePayload(filterLogs(traced.rawLogs, traced.arrayIndexes), limits.maxPayloadBytes);
+    const stop = capped.stop || traced.stop;
+    if (stop) capped.frames.push(makeStopFrame(capped.frames, stop));
+    return capped.frames;
+  } catch (err) {
+    // If anything else goes wrong, send an error frame
+    return [makeFailureFrame(err)];
+  }
+}
 
-    // 3. Execute the code and get the raw logs
-    vm.runInContext(wrappedCode, sandbox);
-    const rawLogs = sandbox.module.exports;
+/**
+ * Traces one run like traceProgram, but hands its frames to `send` in batches
+ * while the program is still running. The payload limit is applied as frames
+ * are built, and reaching it (or aborting `signal`) stops the program.
+ *
+ * @param {function(Array<Object>): void} send - Receives each batch of frames.
+ * @returns {Promise<Array<Object>>} Every frame sent.
+ */
+async function streamProgram(code, language, options, { stdin, inputs, limits, signal, analyzer }, send) {
+  const stopRun = new AbortController();
+  const cancel = () => stopRun.abort();
+  signal?.addEventListener('abort', cancel);
 
-    finalFrames = filterLogs(rawLogs); // For now, just show everything
+  const sent = [];
+  let bytes = 0;
+  let payloadStop = null;
+  const emit = (frames) => {
+    if (payloadStop || frames.length === 0) return;
+    const capped = capFramePayload(frames, limits.maxPayloadBytes - bytes, limits.maxPayloadBytes);
+    bytes += capped.bytes;
+    if (capped.frames.length > 0) {
+      sent.push(...capped.frames);
+      send(capped.frames);
+    }
+    if (capped.stop) {
+      payloadStop = capped.stop;
+      stopRun.abort();
+    }
+  };
 
+  // Logs arrive in the runner's event handlers, so a failure to build frames
+  // is kept and rethrown once the run has stopped
+  let builder = null;
+  let failure = null;
+  const onLogs = (logs, hints) => {
+    if (failure) return;
+    try {
+      if (analyzer) analyzer.push(logs);
+      builder = builder || createFrameBuilder(hints.arrayIndexes, { tracesReads: hints.tracesReads });
+      emit(builder.push(logs));
+    } catch (err) {
+      failure = err;
+      stopRun.abort();
+    }
+  };
+
+  try {
+    const tracer = TRACERS[language];
+    if (!tracer) throw new Error(`Unsupported language: ${language}`);
+    const input = programInput({ stdin, inputs });
+    const traced = await tracer(code, options, { input, limits, onLogs, signal: stopRun.signal });
+    if (failure) throw failure;
+    if (traced.frames) {
+      emit(traced.frames);
+      return sent;
+    }
+    if (builder) emit(builder.finish());
+    if (analyzer) analyzer.addCodeLines(traced.codeLines);
+    const stop = payloadStop || traced.stop;
+    if (stop) {
+      const frame = makeStopFrame(sent, stop);
+      sent.push(frame);
+      send([frame]);
+    }
   } catch (err) {
-    // If anything goes wrong, send an error frame
-    finalFrames = [{ error: err.message, locals: {} }];
+    const frame = makeFailureFrame(err);
+    sent.push(frame);
+    send([frame]);
+  } finally {
+    signal?.removeEventListener('abort', cancel);
   }
+  return sent;
+}
+
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
 
-  console.log("Sending Final Frames to Client:", finalFrames);
-  res.json({ logs: finalFrames });
+// Test cases run one after another and split the payload budget between them.
+// A case that isn't shaped like one is a bad request (the routes answer 400).
+function planTestCases(tests) {
+  tests.forEach((test, index) => {
+    if (!isPlainObject(test)) throw new TypeError(`tests[${index}] must be an object`);
+    if (test.expected !== undefined && !isPlainObject(test.expected)) {
+      throw new TypeError(`tests[${index}].expected must be an object, e.g. { output } or { returnValue }`);
+    }
+  });
+  const cases = tests.slice(0, LIMITS.maxTestCases);
+  return { cases, limits: { ...LIMITS, maxPayloadBytes: Math.floor(LIMITS.maxPayloadBytes / cases.length) } };
+}
+
+
+// --- API ENDPOINTS ---
+// Body: { code, language?, stdin?, inputs?, tests?, analyze?, growth?, ...tracer options }.
+// With `tests` ([{ name?, stdin?, inputs?, expected?: { output?, returnValue? } }])
+// every case is traced on its own and `tests` in the response holds each
+// case's frames and result; `logs` is then the first case's frames.
+// `analyze: true` adds the run's `analysis` (see createRunAnalyzer), or each
+// case's. `growth` ({ input?, sizes }, see measureGrowth) adds a `growth`
+// table of steps per input size; it is ignored with tests. A `tests` list
+// with a case that isn't an object (or whose `expected` isn't) is answered
+// with 400 { error }.
+app.post("/api/code/run", async (req, res) => {
+  const { code, language = "javascript", stdin, inputs, tests, analyze, growth, ...options } = req.body;
+
+  if (!Array.isArray(tests) || tests.length === 0) {
+    const analyzer = analyze ? createRunAnalyzer() : null;
+    const finalFrames = await traceProgram(code, language, options, { stdin, inputs, limits: LIMITS, analyzer });
+    console.log(`Traced ${language} program: ${finalFrames.length} frames`);
+    const response = { logs: finalFrames };
+    if (analyzer) response.analysis = analyzer.result();
+    if (growth) response.growth = await measureGrowth(code, language, options, { stdin, inputs, growth, limits: LIMITS });
+    return res.json(response);
+  }
+
+  let plan;
+  try {
+    plan = planTestCases(tests);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const { cases, limits } = plan;
+  const results = [];
+  for (const [index, test] of cases.entries()) {
+    const { name, stdin: caseStdin, inputs: caseInputs, expected } = test;
+    const analyzer = analyze ? createRunAnalyzer() : null;
+    const logs = await traceProgram(code, language, options, { stdin: caseStdin, inputs: caseInputs, limits, analyzer });
+    const result = { name: name || `Case ${index + 1}`, logs, ...checkTestCase(logs, expected || {}) };
+    if (analyzer) result.analysis = analyzer.result();
+    results.push(result);
+  }
+  console.log("Sending Test Results to Client:", results.map(({ name, passed }) => ({ name, passed })));
+  res.json({ logs: results[0].logs, tests: results, skippedTests: tests.length - cases.length });
 });
 
-app.listen(5000, () => {
-  console.log("JavaScript tracer backend running on http://localhost:5000");
-});
\ No newline at end of file
+// Streamed runs in progress by id, for /api/code/cancel
+const activeRuns = new Map();
+
+// Same body as /api/code/run, answered with Server-Sent Events as the run
+// produces frames:
+//   start   { runId }                       the id /api/code/cancel takes
+//   frames  { frames, test? }               the next frames (of test case `test`)
+//   test    { index, name, passed, checks, error?, analysis? }   a test case's result
+//   analysis  { steps, lines, functions, maxDepth }   with `analyze`, once the run is over
+//   growth  { n, steps?, stopped?, error? }  with `growth`, each row of the table
+//   done    { skippedTests? }
+// A cancelled run ends with an "execution cancelled" stop frame; closing the
+// connection cancels it as well. Bad test cases get a 400 before any event.
+app.post("/api/code/stream", async (req, res) => {
+  const { code, language = "javascript", stdin, inputs, tests, analyze, growth, ...options } = req.body;
+  const hasTests = Array.isArray(tests) && tests.length > 0;
+  let plan = null;
+  try {
+    if (hasTests) plan = planTestCases(tests);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const runId = randomUUID();
+  const controller = new AbortController();
+  activeRuns.set(runId, controller);
+
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.flushHeaders();
+  res.on('close', () => controller.abort());
+  const sendEvent = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  sendEvent('start', { runId });
+
+  try {
+    if (!hasTests) {
+      const analyzer = analyze ? createRunAnalyzer() : null;
+      const run = { stdin, inputs, limits: LIMITS, signal: controller.signal, analyzer };
+      const frames = await streamProgram(code, language, options, run, batch => sendEvent('frames', { frames: batch }));
+      console.log(`Streamed ${language} program: ${frames.length} frames`);
+      if (analyzer) sendEvent('analysis', analyzer.result());
+      if (growth) {
+        const growthRun = { stdin, inputs, growth, limits: LIMITS, signal: controller.signal };
+        await measureGrowth(code, language, options, growthRun, row => sendEvent('growth', row));
+      }
+      sendEvent('done', {});
+      return;
+    }
+
+    const { cases, limits } = plan;
+    let traced = 0;
+    for (const [index, test] of cases.entries()) {
+      // Cancelling skips the cases that haven't started
+      if (controller.signal.aborted) break;
+      const { name, stdin: caseStdin, inputs: caseInputs, expected } = test;
+      const analyzer = analyze ? createRunAnalyzer() : null;
+      const run = { stdin: caseStdin, inputs: caseInputs, limits, signal: controller.signal, analyzer };
+      const frames = await streamProgram(code, language, options, run, batch => sendEvent('frames', { test: index, frames: batch }));
+      const result = { index, name: name || `Case ${index + 1}`, ...checkTestCase(frames, expected || {}) };
+      if (analyzer) result.analysis = analyzer.result();
+      sendEvent('test', result);
+      traced++;
+    }
+    sendEvent('done', { skippedTests: tests.length - traced });
+  } finally {
+    activeRuns.delete(runId);
+    res.end();
+  }
+});
+
+// Body: { runId } from a stream's start event
+app.post("/api/code/cancel", (req, res) => {
+  const run = activeRuns.get(req.body.runId);
+  if (run) run.abort();
+  res.json({ cancelled: Boolean(run) });
+});
+
+// Tests import the app and listen on a port of their own
+if (require.main === module) {
+  app.listen(5000, () => {
+    console.log("JavaScript tracer backend running on http://localhost:5000");
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,162 @@
+// server.test.js
+// Runs programs through the API from start to finish: compiled, instrumented,
+// run in the sandbox and turned into frames.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const app = require("../server");
+
+let server;
+let baseUrl;
+
+before(async () => {
+  // The server logs every run; the test output only needs the results
+  console.log = () => {};
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+async function post(path, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// The frames of a run, which must have succeeded
+async function run(code, options = {}) {
+  const { status, body } = await post("/api/code/run", { code, ...options });
+  assert.equal(status, 200);
+  return body.logs;
+}
+
+// --- Reserved names ---
+test("a program naming the tracer's internals is refused", async () => {
+  const [frame] = await run("const __log = 1;");
+  assert.equal(frame.action, "error");
+  assert.equal(frame.error.phase, "compile");
+  assert.match(frame.error.message, /"__log" can't be used/);
+});
+
+test("JSX is traced although compiling it adds names the tracer reserves", async () => {
+  const frames = await run([
+    "const item = <li className=\"x\">one</li>;",
+    "console.log(item.type);",
+  ].join("\n"));
+  assert.ok(frames.every((frame) => frame.action !== "error"));
+  assert.equal(frames.find((frame) => frame.action === "stdout").output, "li");
+});
+
+// --- Compiled syntax ---
+test("a JSX program is traced on the user's own lines", async () => {
+  const frames = await run([
+    "function Item({ label }) {",
+    "  return <li>{label}</li>;",
+    "}",
+    "const items = [\"a\", \"b\"].map((label) => Item({ label }));",
+    "const list = <>{items}</>;",
+    "console.log(list.type, items.length);",
+  ].join("\n"));
+
+  const returned = frames.filter((frame) => frame.action === "return" && frame.line === 2);
+  assert.deepEqual(returned.map((frame) => frame.locals.label), ["a", "b"]);
+  const [first] = returned;
+  const element = first.heap[first.returnValue.ref];
+  assert.equal(element.properties.type, "li");
+
+  const declared = frames.find((frame) => frame.action === "declare" && frame.line === 5);
+  assert.equal(declared.heap[declared.locals.list.ref].properties.type, "Fragment");
+  assert.equal(frames.at(-1).output, "Fragment 2");
+});
+
+// --- Locals ---
+test("block-scoped variables leave the frame's locals with their block", async () => {
+  const frames = await run([
+    "const x = \"outer\";",
+    "let total = 0;",
+    "for (let i = 0; i < 2; i++) {",
+    "  const x = i + 1;",
+    "  total += x;",
+    "}",
+    "console.log(total);",
+  ].join("\n"));
+  const body = frames.filter((frame) => frame.line === 5);
+  assert.deepEqual(body.map((frame) => frame.locals.x), [1, 2]);
+  // Between iterations the outer x is back, and after the loop i is gone
+  const update = frames.find((frame) => frame.line === 3 && frame.locals.i === 1);
+  assert.equal(update.locals.x, "outer");
+  assert.deepEqual(frames.at(-1).locals, { x: "outer", total: 3 });
+});
+
+// --- Call labels ---
+test("each call in a chain is labeled by its own call site", async () => {
+  const frames = await run([
+    "class List {",
+    "  constructor() { this.items = []; }",
+    "  add(x) {",
+    "    this.items.push(x);",
+    "    return this;",
+    "  }",
+    "}",
+    "const list = new List();",
+    "list.add(1).add(2);",
+  ].join("\n"));
+  const calls = frames.filter((frame) => frame.action === "call");
+  assert.deepEqual(calls.map((frame) => frame.callNode.label), ["new List()", "list.add(1)", "list.add(…).add(2)"]);
+  assert.deepEqual(calls.map((frame) => frame.stack.at(-1).callLine), [8, 9, 9]);
+});
+
+// --- Heap changes ---
+// The encoding of the object a variable points at in a frame
+const valueOf = (frame, name) => frame.heap[frame.locals[name].ref];
+
+test("a built-in called under another name updates what it changed", async () => {
+  const frames = await run([
+    "const q = { items: [] };",
+    "const add = q.items.push.bind(q.items);",
+    "add(5);",
+    "const { push } = Array.prototype;",
+    "const a = [];",
+    "push.call(a, 1);",
+    "let done = true;",
+  ].join("\n"));
+  const last = frames.at(-1);
+  assert.deepEqual(last.heap[valueOf(last, "q").properties.items.ref].items, [5]);
+  assert.deepEqual(valueOf(last, "a").items, [1]);
+});
+
+test("a mutation on the last line is shown", async () => {
+  const frames = await run("const a = [3, 1, 2];\na.sort();");
+  const last = frames.at(-1);
+  assert.equal(last.line, 2);
+  assert.deepEqual(valueOf(last, "a").items, [1, 2, 3]);
+});
+
+test("every push and pop gets a step of its own", async () => {
+  const frames = await run("const s = [];\ns.push(1);\ns.push(2);\ns.pop();");
+  const steps = frames.filter((frame) => frame.line > 1);
+  assert.deepEqual(steps.map((frame) => frame.line), [2, 3, 4]);
+  assert.deepEqual(steps.map((frame) => valueOf(frame, "s").items), [[1], [1, 2], [1]]);
+});
+
+// --- Test cases ---
+test("a test case's expected value must be an object", async () => {
+  for (const path of ["/api/code/run", "/api/code/stream"]) {
+    const { status, body } = await post(path, { code: "console.log(5);", tests: [{ expected: { output: "5" } }, { expected: 5 }] });
+    assert.equal(status, 400);
+    assert.match(body.error, /tests\[1\]\.expected must be an object/);
+  }
+});
+
+test("a test case is checked against what the program printed", async () => {
+  const { status, body } = await post("/api/code/run", { code: "console.log(5);", tests: [{ expected: { output: "5" } }] });
+  assert.equal(status, 200);
+  assert.equal(body.tests[0].passed, true);
+});
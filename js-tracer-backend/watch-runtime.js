@@ -0,0 +1,212 @@
+// watch-runtime.js
+// Read-only views of the program's values, which is all a watch expression
+// sees (babel-tracer.js wraps every variable it names in one). A view reads
+// like the value it shows, and what it reads is a view in turn, but writing,
+// defining or deleting a property throws, and of the functions it reaches
+// only the built-in ones run, minus those that change their receiver's
+// internal state (Map.prototype.set, Date.prototype.setTime, ...) or advance
+// the program's iterators. Getters, callbacks and conversions the program
+// defines therefore don't run either.
+// Like console-runtime.js, the source of createReadOnlyViews is embedded in
+// the tracer prelude and evaluated inside the sandbox, so it must stay
+// self-contained.
+
+/**
+ * Must be called before the program runs: everything reachable from the
+ * global object at that point counts as built in.
+ *
+ * @returns {{ view: Function, reveal: Function }} `view(value)` is the value's
+ *   read-only view (primitives are their own); `reveal(value)` undoes it.
+ */
+function createReadOnlyViews() {
+  const viewsOf = new WeakMap();
+  const valuesOf = new WeakMap();
+
+  // --- Built-ins ---
+  const TypedArray = Object.getPrototypeOf(Int8Array);
+  const Generator = Object.getPrototypeOf(function* () {});
+  const iterators = [new Map().entries(), new Set().values(), [].values(), ""[Symbol.iterator]()].map(Object.getPrototypeOf);
+
+  const builtins = new Set();
+  const visited = new Set();
+  const pending = [globalThis, Generator, Object.getPrototypeOf(async function () {}), ...iterators];
+  while (pending.length > 0) {
+    const object = pending.pop();
+    if (visited.has(object)) continue;
+    visited.add(object);
+    if (typeof object === "function") builtins.add(object);
+    if (Object.getPrototypeOf(object)) pending.push(Object.getPrototypeOf(object));
+    for (const key of Reflect.ownKeys(object)) {
+      const { value, get, set } = Object.getOwnPropertyDescriptor(object, key);
+      for (const member of [value, get, set]) {
+        if ((typeof member === "object" && member !== null) || typeof member === "function") pending.push(member);
+      }
+    }
+  }
+
+  // Built-ins keep some state where a view can't stand in for it, so their
+  // methods get the value itself, and those that change the state are refused
+  const withState = [Map, Set, WeakMap, WeakSet, WeakRef, Date, TypedArray, ArrayBuffer, DataView, Generator]
+    .map((type) => type.prototype)
+    .concat(iterators);
+  const changesState = new Set([globalThis.eval]);
+  const refuseMethods = (proto, names) => {
+    for (const name of names) {
+      const descriptor = Object.getOwnPropertyDescriptor(proto, name);
+      if (descriptor && typeof descriptor.value === "function") changesState.add(descriptor.value);
+    }
+  };
+  const setters = (proto) => Object.getOwnPropertyNames(proto).filter((name) => name.startsWith("set"));
+  refuseMethods(Map.prototype, ["set", "delete", "clear"]);
+  refuseMethods(Set.prototype, ["add", "delete", "clear"]);
+  refuseMethods(WeakMap.prototype, ["set", "delete"]);
+  refuseMethods(WeakSet.prototype, ["add", "delete"]);
+  refuseMethods(Date.prototype, setters(Date.prototype));
+  refuseMethods(DataView.prototype, setters(DataView.prototype));
+  refuseMethods(TypedArray.prototype, ["set", "fill", "sort", "reverse", "copyWithin"]);
+  refuseMethods(ArrayBuffer.prototype, ["resize", "transfer", "transferToFixedLength"]);
+
+  // Iterators only advance if the watch made them
+  const advances = new Set(iterators.map((proto) => proto.next));
+  for (const name of ["next", "return", "throw"]) advances.add(Generator.prototype[name]);
+  const makesIterators = new Set();
+  for (const proto of [Map.prototype, Set.prototype, TypedArray.prototype]) {
+    for (const name of ["entries", "keys", "values", Symbol.iterator]) makesIterators.add(proto[name]);
+  }
+  const made = new WeakSet();
+
+  const hasState = (value) =>
+    typeof value === "object" && value !== null && withState.some((proto) => Object.prototype.isPrototypeOf.call(proto, value));
+
+  const readOnly = () => new TypeError("a watch can't change the program's values");
+
+  function checkCallable(fn) {
+    if (!builtins.has(fn)) {
+      const name = Object.getOwnPropertyDescriptor(fn, "name")?.value;
+      throw new TypeError(`a watch can only call built-in functions, not ${(typeof name === "string" && name) || "this one"}`);
+    }
+    if (changesState.has(fn)) throw readOnly();
+  }
+
+  // A function of the watch's own gets views of what a built-in passes it
+  function passViews(arg) {
+    if (typeof arg !== "function") return reveal(arg);
+    if (valuesOf.has(arg)) return arg;
+    return function (...args) { return Reflect.apply(arg, view(this), args.map(view)); };
+  }
+
+  // --- Views ---
+  // The proxy's target is a stand-in, so a view can report what it likes
+  // about the value; the one thing it must agree with its target on is a
+  // property that can't change, which is copied over once it's been seen.
+  function show(descriptor) {
+    if ("value" in descriptor) return { ...descriptor, value: view(descriptor.value) };
+    return { ...descriptor, get: view(descriptor.get), set: view(descriptor.set) };
+  }
+
+  function copyFixed(standIn, key, descriptor) {
+    if (!descriptor) {
+      if (Object.hasOwn(standIn, key)) Reflect.deleteProperty(standIn, key);
+      return undefined;
+    }
+    const shown = show(descriptor);
+    if (!descriptor.configurable || !Object.isExtensible(standIn)) Object.defineProperty(standIn, key, shown);
+    return shown;
+  }
+
+  // A value that can't be extended is copied over whole, as its stand-in
+  // can't be extended afterwards either
+  function copyAll(value, standIn) {
+    if (Object.isExtensible(value) || !Object.isExtensible(standIn)) return;
+    for (const key of Reflect.ownKeys(standIn)) {
+      if (!Object.hasOwn(value, key)) Reflect.deleteProperty(standIn, key);
+    }
+    for (const key of Reflect.ownKeys(value)) {
+      Object.defineProperty(standIn, key, show(Object.getOwnPropertyDescriptor(value, key)));
+    }
+    Object.setPrototypeOf(standIn, view(Object.getPrototypeOf(value)));
+    Object.preventExtensions(standIn);
+  }
+
+  function createView(value) {
+    const standIn = Array.isArray(value) ? [] : typeof value === "function" ? function () {}.bind() : {};
+    return new Proxy(standIn, {
+      get(_, key) {
+        for (let object = value; object !== null; object = Object.getPrototypeOf(object)) {
+          const descriptor = Object.getOwnPropertyDescriptor(object, key);
+          if (!descriptor) continue;
+          if ("value" in descriptor) return view(descriptor.value);
+          if (!descriptor.get) return undefined;
+          checkCallable(descriptor.get);
+          return view(descriptor.get.call(value));
+        }
+        return undefined;
+      },
+      has: (_, key) => {
+        if (!Object.hasOwn(value, key)) copyFixed(standIn, key, undefined);
+        return key in value;
+      },
+      ownKeys: () => {
+        copyAll(value, standIn);
+        if (!Object.isExtensible(standIn)) {
+          for (const key of Reflect.ownKeys(standIn)) copyFixed(standIn, key, Object.getOwnPropertyDescriptor(value, key));
+        }
+        return Reflect.ownKeys(value);
+      },
+      getOwnPropertyDescriptor: (_, key) => {
+        copyAll(value, standIn);
+        return copyFixed(standIn, key, Object.getOwnPropertyDescriptor(value, key));
+      },
+      getPrototypeOf: () => {
+        copyAll(value, standIn);
+        return view(Object.getPrototypeOf(value));
+      },
+      isExtensible: () => {
+        copyAll(value, standIn);
+        return Object.isExtensible(value);
+      },
+      set: () => { throw readOnly(); },
+      defineProperty: () => { throw readOnly(); },
+      deleteProperty: () => { throw readOnly(); },
+      setPrototypeOf: () => { throw readOnly(); },
+      preventExtensions: () => { throw readOnly(); },
+      apply(_, thisArg, args) {
+        checkCallable(value);
+        const receiver = reveal(thisArg);
+        // instanceof compares prototypes, which have views of their own
+        if (value === Function.prototype[Symbol.hasInstance]) return Reflect.apply(value, receiver, args.map(reveal));
+        if (hasState(receiver)) {
+          if (advances.has(value) && !made.has(receiver)) throw new TypeError("a watch can't advance the program's iterators");
+          const result = Reflect.apply(value, receiver, args.map(passViews));
+          if (makesIterators.has(value)) made.add(result);
+          return view(result);
+        }
+        return Reflect.apply(value, thisArg, args);
+      },
+      construct(_, args, newTarget) {
+        checkCallable(value);
+        return Reflect.construct(value, args, reveal(newTarget));
+      },
+    });
+  }
+
+  function view(value) {
+    if ((typeof value !== "object" || value === null) && typeof value !== "function") return value;
+    if (valuesOf.has(value)) return value;
+    let shown = viewsOf.get(value);
+    if (!shown) {
+      shown = createView(value);
+      viewsOf.set(value, shown);
+      valuesOf.set(shown, value);
+    }
+    return shown;
+  }
+
+  function reveal(value) {
+    return valuesOf.has(value) ? valuesOf.get(value) : value;
+  }
+
+  return { view, reveal };
+}
+
+module.exports = { createReadOnlyViews };